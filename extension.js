@@ -1,646 +1,783 @@
 const vscode = require('vscode');
 const path = require('path');
+const { CommentAnalyzer, CONFIDENCE_THRESHOLDS } = require('./src/analyzer');
+const { getRemovalRanges, applyRemovals, DEFAULT_MAX_BLANK_LINES } = require('./src/removal');
+const { IgnoreMatcher } = require('./src/ignore');
+const { summarizeAnalyses, createReport, formatReport, REPORT_FORMATS } = require('./src/report');
+const { CommentDiagnostics } = require('./src/diagnostics');
+const { CommentCodeActionProvider, insertDocDescription } = require('./src/codeActions');
+const { TodoTreeProvider } = require('./src/todoTree');
+const { RemovalHistoryTreeProvider } = require('./src/historyTree');
+const { ReviewPanel } = require('./src/reviewPanel');
+const { RemovalHistory, recordRemovals, planRestore } = require('./src/removalHistory');
+const { resolveConfig, clearRcCache } = require('./src/rcConfig');
+const { languages } = require('./src/languages');
+const { LocalIssueResolver, combineResolvers } = require('./src/tickets');
+const { blameFile, applyBlame, formatAge, getChangedLines, listBranches, isCommentChanged } = require('./src/git');
+const { isCommentInRanges, findEnclosingSymbol, includeLeadingComments } = require('./src/scope');
+const { tidyComments, applyEdits, getDelimiters, TIDY_STYLES } = require('./src/tidy');
+const { PreviewDocumentProvider, PREVIEW_SCHEME } = require('./src/preview');
+const { readArchive, writeArchive, createArchiveEntry, getRestoreEdit, DEFAULT_ARCHIVE_FILE } = require('./src/archive');
 
 /**
  * Professional Comment Cleaner Extension
  * Advanced intelligent comment removal with comprehensive analysis
  */
 
-class CommentAnalyzer {
+// How Tidy Comments describes each kind of change
+const TIDY_CHANGE_LABELS = {
+    spacing: 'spacing fixed',
+    capitalization: 'capitalized',
+    wrapped: 're-wrapped',
+    converted: 'converted',
+    banner: 'banners removed'
+};
+
+// Symbols that "Clean Comments in Current Function or Class" can scope to
+const SCOPE_SYMBOL_KINDS = [
+    vscode.SymbolKind.Function,
+    vscode.SymbolKind.Method,
+    vscode.SymbolKind.Constructor,
+    vscode.SymbolKind.Class,
+    vscode.SymbolKind.Interface,
+    vscode.SymbolKind.Struct,
+    vscode.SymbolKind.Enum
+];
+
+// Documents whose git blame is kept for reuse
+const BLAME_CACHE_SIZE = 50;
+
+/**
+ * Read the commentCleaner.* settings into the plain object the analyzer expects
+ */
+function readSettings() {
+    const config = vscode.workspace.getConfiguration('commentCleaner');
+
+    return {
+        confidenceThreshold: config.get('confidenceThreshold', CONFIDENCE_THRESHOLDS.standard),
+        categories: config.get('categories', {}),
+        checkDocComments: config.get('docComments.check', true),
+        criticalPatterns: config.get('criticalPatterns', []),
+        noisePatterns: config.get('noisePatterns', []),
+        debugPatterns: config.get('debugPatterns', []),
+        weights: config.get('weights', {})
+    };
+}
+
+class CommentCleaner {
     constructor() {
-        this.config = vscode.workspace.getConfiguration('commentCleaner');
-        this.statistics = {
-            totalComments: 0,
-            preservedComments: 0,
-            removedComments: 0,
-            categories: {}
-        };
+        // Ticket resolvers registered by other extensions
+        this.ticketResolvers = [];
+        // Log of removal runs, set up on activation where extension storage is known
+        this.removalHistory = null;
+        // Proposed file contents shown in diff editors
+        this.previewProvider = new PreviewDocumentProvider();
+        // Blame of recently analyzed documents by URI, for the document version it was read at
+        this.blameCache = new Map();
+        this.historyEmitter = new vscode.EventEmitter();
+        this.onDidChangeRemovalHistory = this.historyEmitter.event;
+        this.analyzer = new CommentAnalyzer({
+            createRange: (start, end) => new vscode.Range(start, end),
+            onWarning: message => vscode.window.showWarningMessage(message)
+        });
+        this.loadSettings();
+        this.decorationType = vscode.window.createTextEditorDecorationType({
+            backgroundColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
+            border: '1px solid',
+            borderColor: new vscode.ThemeColor('editor.findMatchBorder'),
+            overviewRulerColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
+            overviewRulerLane: vscode.OverviewRulerLane.Right
+        });
     }
 
     /**
-     * Get language-specific comment patterns with enhanced support
+     * Re-read settings (called again whenever they change)
      */
-    getLanguageConfig(languageId) {
-        const configs = {
-            'javascript': {
-                singleLine: /\/\/.*$/gm,
-                multiLine: /\/\*[\s\S]*?\*\//g,
-                docBlock: /\/\*\*[\s\S]*?\*\//g,
-                keywords: ['function', 'const', 'let', 'var', 'class', 'if', 'else', 'for', 'while', 'return', 'import', 'export']
-            },
-            'typescript': {
-                singleLine: /\/\/.*$/gm,
-                multiLine: /\/\*[\s\S]*?\*\//g,
-                docBlock: /\/\*\*[\s\S]*?\*\//g,
-                keywords: ['function', 'const', 'let', 'var', 'class', 'interface', 'type', 'enum', 'if', 'else', 'for', 'while', 'return', 'import', 'export']
-            },
-            'python': {
-                singleLine: /#.*$/gm,
-                multiLine: /"""[\s\S]*?"""|'''[\s\S]*?'''/g,
-                docBlock: /"""[\s\S]*?"""/g,
-                keywords: ['def', 'class', 'if', 'elif', 'else', 'for', 'while', 'return', 'import', 'from', 'try', 'except']
-            },
-            'java': {
-                singleLine: /\/\/.*$/gm,
-                multiLine: /\/\*[\s\S]*?\*\//g,
-                docBlock: /\/\*\*[\s\S]*?\*\//g,
-                keywords: ['public', 'private', 'protected', 'class', 'interface', 'if', 'else', 'for', 'while', 'return', 'import']
-            },
-            'csharp': {
-                singleLine: /\/\/.*$/gm,
-                multiLine: /\/\*[\s\S]*?\*\//g,
-                docBlock: /\/\*\*[\s\S]*?\*\//g,
-                keywords: ['public', 'private', 'protected', 'class', 'interface', 'namespace', 'using', 'if', 'else', 'for', 'while', 'return']
-            },
-            'html': {
-                singleLine: null,
-                multiLine: /<!--[\s\S]*?-->/g,
-                docBlock: null,
-                keywords: ['div', 'span', 'html', 'head', 'body', 'script', 'style']
-            },
-            'css': {
-                singleLine: null,
-                multiLine: /\/\*[\s\S]*?\*\//g,
-                docBlock: null,
-                keywords: ['class', 'id', 'color', 'background', 'margin', 'padding']
-            }
-        };
-
-        // Add aliases
-        configs['javascriptreact'] = configs['javascript'];
-        configs['typescriptreact'] = configs['typescript'];
-        configs['c'] = configs['java'];
-        configs['cpp'] = configs['java'];
-        configs['xml'] = configs['html'];
-
-        return configs[languageId] || null;
+    loadSettings() {
+        this.settings = readSettings();
+        this.analyzer.updateSettings(this.settings);
+        this.ticketResolver = this.createTicketResolver();
+        this.analyzer.ticketResolver = this.ticketResolver;
+        this.ruleAnalyzers = new Map();
+        this.reportedRuleErrors = new Set();
+        this.registerConfiguredLanguages();
     }
 
     /**
-     * Enhanced comment extraction with better regex patterns
+     * Resolver for ticket references in TODOs: the issue list from commentCleaner.tickets.source,
+     * then any resolvers registered by other extensions; null when there are none
      */
-    extractComments(document) {
-        const languageConfig = this.getLanguageConfig(document.languageId);
-        if (!languageConfig) return [];
-
-        const text = document.getText();
-        const comments = [];
-
-        // Extract ALL single-line comments
-        if (languageConfig.singleLine) {
-            let match;
-            const singleLineRegex = new RegExp(languageConfig.singleLine.source, 'gm');
-
-            while ((match = singleLineRegex.exec(text)) !== null) {
-                const startPos = document.positionAt(match.index);
-                const endPos = document.positionAt(match.index + match[0].length);
-
-                comments.push({
-                    type: 'single',
-                    text: match[0],
-                    range: new vscode.Range(startPos, endPos),
-                    lineNumber: startPos.line,
-                    context: this.getContext(document, startPos.line),
-                    isInlineComment: startPos.character > 0
-                });
-            }
-        }
-
-        // Extract ALL multi-line comments (INCLUDING doc blocks)
-        if (languageConfig.multiLine) {
-            let match;
-            const multiLineRegex = new RegExp(languageConfig.multiLine.source, 'g');
-
-            while ((match = multiLineRegex.exec(text)) !== null) {
-                const startPos = document.positionAt(match.index);
-                const endPos = document.positionAt(match.index + match[0].length);
-
-                comments.push({
-                    type: 'multi',
-                    text: match[0],
-                    range: new vscode.Range(startPos, endPos),
-                    lineNumber: startPos.line,
-                    context: this.getContext(document, startPos.line),
-                    isInlineComment: false
-                });
-            }
+    createTicketResolver() {
+        const resolvers = [];
+        const source = vscode.workspace.getConfiguration('commentCleaner').get('tickets.source', '');
+        if (source) {
+            const folders = vscode.workspace.workspaceFolders || [];
+            const baseDir = folders.length > 0 ? folders[0].uri.fsPath : process.cwd();
+            resolvers.push(new LocalIssueResolver(path.resolve(baseDir, source)));
         }
 
-        this.statistics.totalComments = comments.length;
-        console.log(`DEBUG: Found ${comments.length} total comments`); // Add this for debugging
-        return comments;
+        resolvers.push(...this.ticketResolvers);
+        return resolvers.length > 0 ? combineResolvers(resolvers) : null;
     }
 
     /**
-     * Helper to determine if comment is inline with code
+     * Register the languages defined in commentCleaner.languages, replacing earlier ones
      */
-    isInlineComment(document, startPos) {
-        const line = document.lineAt(startPos.line);
-        const beforeComment = line.text.substring(0, startPos.character).trim();
-        return beforeComment.length > 0;
+    registerConfiguredLanguages() {
+        (this.configuredLanguages || []).forEach(registration => registration.dispose());
+        this.configuredLanguages = [];
+
+        const definitions = vscode.workspace.getConfiguration('commentCleaner').get('languages', {});
+        Object.entries(definitions).forEach(([id, definition]) => {
+            try {
+                this.configuredLanguages.push(languages.register(id, definition));
+            } catch (error) {
+                vscode.window.showWarningMessage(`Ignoring commentCleaner.languages entry: ${error.message}`);
+            }
+        });
     }
 
-
     /**
-     * Get context around a comment (previous and next lines)
+     * Analyzer, language and rules files that apply to a document, taking
+     * .commentcleanerrc files above it into account
      */
-    getContext(document, lineNumber) {
-        const context = {
-            previousLine: lineNumber > 0 ? document.lineAt(lineNumber - 1).text.trim() : '',
-            currentLine: document.lineAt(lineNumber).text.trim(),
-            nextLine: lineNumber < document.lineCount - 1 ? document.lineAt(lineNumber + 1).text.trim() : '',
-            nextNonEmptyLine: this.getNextNonEmptyLine(document, lineNumber + 1),
-            indentLevel: this.getIndentLevel(document.lineAt(lineNumber).text)
-        };
-
-        return context;
-    }
+    getAnalysisContext(document) {
+        const defaultContext = { analyzer: this.analyzer, languageId: document.languageId, ruleSources: [] };
+        if (document.uri.scheme !== 'file') return defaultContext;
 
-    /**
-     * Get the next non-empty line
-     */
-    getNextNonEmptyLine(document, startLine) {
-        for (let i = startLine; i < document.lineCount; i++) {
-            const line = document.lineAt(i).text.trim();
-            if (line.length > 0) {
-                return line;
+        let resolved;
+        try {
+            resolved = resolveConfig(document.uri.fsPath, this.settings);
+        } catch (error) {
+            // Diagnostics re-resolve on every edit, so only warn once per broken file
+            if (!this.reportedRuleErrors.has(error.message)) {
+                this.reportedRuleErrors.add(error.message);
+                vscode.window.showWarningMessage(`Ignoring comment cleaner rules: ${error.message}`);
             }
+            return defaultContext;
         }
-        return '';
-    }
 
-    /**
-     * Get indentation level
-     */
-    getIndentLevel(line) {
-        const match = line.match(/^(\s*)/);
-        return match ? match[1].length : 0;
+        if (resolved.sources.length === 0) return defaultContext;
+
+        // Share one analyzer between files that resolve to the same settings
+        const key = JSON.stringify(resolved.settings);
+        if (!this.ruleAnalyzers.has(key)) {
+            this.ruleAnalyzers.set(key, new CommentAnalyzer({
+                createRange: (start, end) => new vscode.Range(start, end),
+                onWarning: message => vscode.window.showWarningMessage(message),
+                settings: resolved.settings,
+                ticketResolver: this.ticketResolver
+            }));
+        }
+
+        return {
+            analyzer: this.ruleAnalyzers.get(key),
+            languageId: resolved.languageId || document.languageId,
+            ruleSources: resolved.sources
+        };
     }
 
     /**
-     * Significantly enhanced heuristics for comment analysis
+     * @param {object} [options]
+     * @param {number} [options.confidenceThreshold] threshold instead of the configured one
+     * @param {{ mode: string, base?: string }} [options.scope] only clean comments within a git diff
+     * @param {vscode.Range[]} [options.ranges] only clean comments within these ranges,
+     *     instead of the editor's selections
      */
-    analyzeComment(comment, document) {
-        const analysis = {
-            category: 'unknown',
-            shouldRemove: false,
-            confidence: 0,
-            reasons: []
-        };
+    async cleanComments(options = {}) {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showInformationMessage('No active editor found.');
+            return;
+        }
 
-        const cleanComment = this.cleanCommentText(comment.text);
-        const languageConfig = this.getLanguageConfig(document.languageId);
+        const document = editor.document;
+        const { analyzer, languageId } = this.getAnalysisContext(document);
+        const languageConfig = analyzer.getLanguageConfig(languageId);
 
-        // Handle doc blocks specifically
-        if (comment.type === 'docblock' || comment.isDocBlock) {
-            analysis.category = 'documentation';
-            analysis.shouldRemove = false; // Normally preserve
-            analysis.confidence = 0.9;
-            analysis.reasons.push('API documentation block');
-            return analysis;
+        if (!languageConfig) {
+            vscode.window.showInformationMessage(
+                `Language '${languageId}' is not supported for comment analysis.`
+            );
+            return;
         }
 
-        // Priority 1: Preserve critical comments (highest priority)
-        if (this.isCriticalComment(cleanComment)) {
-            analysis.category = 'critical';
-            analysis.shouldRemove = false;
-            analysis.confidence = 0.95;
-            analysis.reasons.push('Contains critical directives or important metadata');
-            return analysis;
+        let changedLines = null;
+        if (options.scope) {
+            changedLines = this.getDiffLines(document, options.scope);
+            if (!changedLines) return;
         }
 
-        // Priority 2: Preserve meaningful documentation
-        if (this.isDocumentation(cleanComment, comment.context)) {
-            analysis.category = 'documentation';
-            analysis.shouldRemove = false;
-            analysis.confidence = 0.85;
-            analysis.reasons.push('Appears to be meaningful documentation');
-            return analysis;
-        }
+        try {
+            // Show progress indicator
+            await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: "Analyzing comments...",
+                cancellable: false
+            }, async (progress) => {
+                progress.report({ increment: 20, message: "Analyzing comment quality..." });
 
-        // Priority 3: Remove commented-out code (high confidence)
-        if (this.isCommentedCode(cleanComment, languageConfig)) {
-            analysis.category = 'commented_code';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.9;
-            analysis.reasons.push('Appears to be commented-out code');
-            return analysis;
-        }
+                const analyses = await this.analyzeDocument(document);
 
-        // Priority 4: Remove redundant comments (enhanced detection)
-        const redundancyScore = this.calculateRedundancyScore(cleanComment, comment.context);
-        if (redundancyScore > 0.5) {
-            analysis.category = 'redundant';
-            analysis.shouldRemove = true;
-            analysis.confidence = redundancyScore;
-            analysis.reasons.push('Comment is redundant with the code it describes');
-            return analysis;
-        }
+                if (analyses.length === 0) {
+                    vscode.window.showInformationMessage('No comments found in the current document.');
+                    return;
+                }
 
-        // Priority 5: Remove noise comments (improved detection)
-        if (this.isNoiseComment(cleanComment)) {
-            analysis.category = 'noise';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.8;
-            analysis.reasons.push('Comment appears to be noise or placeholder');
-            return analysis;
-        }
+                progress.report({ increment: 80, message: "Preparing results..." });
 
-        // Priority 6: Remove outdated comments
-        if (this.isOutdatedComment(cleanComment, comment.context)) {
-            analysis.category = 'outdated';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.7;
-            analysis.reasons.push('Comment appears to be outdated or incorrect');
-            return analysis;
-        }
+                // Comments outside the diff or selection were analyzed for context but are left untouched
+                const ranges = options.ranges || this.getSelectionRanges(editor);
+                if (changedLines || ranges) {
+                    const inScope = this.narrowToScope(analyses, changedLines, ranges);
+                    if (inScope.length === 0) {
+                        vscode.window.showInformationMessage(changedLines
+                            ? 'No comments found in the changed lines.'
+                            : 'No comments found in the selected code.');
+                        return;
+                    }
+                    analyses.splice(0, analyses.length, ...inScope);
+                }
 
-        // Priority 7: Remove obvious/trivial comments
-        if (this.isTrivialComment(cleanComment, comment.context)) {
-            analysis.category = 'trivial';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.75;
-            analysis.reasons.push('Comment states the obvious');
-            return analysis;
-        }
+                const threshold = options.confidenceThreshold || analyzer.settings.confidenceThreshold;
+                const removableComments = analyses.filter(
+                    item => item.analysis.shouldRemove && item.analysis.confidence >= threshold
+                );
 
-        // Priority 8: Remove empty or whitespace-only comments
-        if (this.isEmptyComment(cleanComment)) {
-            analysis.category = 'empty';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.95;
-            analysis.reasons.push('Comment is empty or contains only whitespace');
-            return analysis;
-        }
+                if (removableComments.length === 0) {
+                    vscode.window.showInformationMessage('No unnecessary comments found.');
+                    return;
+                }
 
-        // Priority 9: Remove duplicate comments
-        if (this.isDuplicateComment(cleanComment, comment, document)) {
-            analysis.category = 'duplicate';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.8;
-            analysis.reasons.push('Comment is duplicated elsewhere');
-            return analysis;
-        }
+                progress.report({ increment: 100, message: "Complete!" });
+
+                // Review the candidates in the panel
+                this.showDetailedResults(editor, analyses, threshold);
+            });
 
-        // Priority 10: Remove debug/temp comments
-        if (this.isDebugComment(cleanComment)) {
-            analysis.category = 'debug';
-            analysis.shouldRemove = true;
-            analysis.confidence = 0.85;
-            analysis.reasons.push('Comment appears to be debug or temporary');
-            return analysis;
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error analyzing comments: ${error.message}`);
         }
+    }
 
-        // Default: preserve unknown comments but with low confidence
-        analysis.category = 'regular';
-        analysis.shouldRemove = false;
-        analysis.confidence = 0.3;
-        analysis.reasons.push('Regular comment - preserving for safety');
+    /**
+     * Preview removing comments as a diff of the document against the cleaned result;
+     * the comments are removed once the preview is accepted from the diff editor title bar
+     *
+     * @param {object} [options] removeComments options such as the history mode; with `archive`
+     *     commented-out code is archived however the preview is accepted
+     * @returns {Promise<boolean>} whether the comments were removed
+     */
+    async showRemovalPreview(editor, removableComments, options = {}) {
+        const document = editor.document;
+        const hasCommentedCode = removableComments.some(item => item.analysis.category === 'commented_code');
+
+        // Highlight the comments in the original editor
+        editor.setDecorations(this.decorationType, removableComments.map(item => ({
+            range: item.comment.range,
+            hoverMessage: this.createRemovalHover(item.analysis)
+        })));
+
+        vscode.window.showInformationMessage(
+            `${this.generateConfirmationMessage(removableComments)} Accept or reject the change from the diff editor title bar.` +
+            (hasCommentedCode ? ' "Accept & Archive Code" keeps the commented-out code in the project archive.' : '')
+        );
+
+        const choice = await this.reviewChange(
+            document,
+            applyRemovals(document, removableComments.map(item => item.comment), this.getRemovalOptions(document)),
+            `${path.basename(document.fileName)} ↔ Without ${removableComments.length} Comments`,
+            { archivable: hasCommentedCode }
+        );
+        editor.setDecorations(this.decorationType, []);
+        if (!choice) return false;
 
-        return analysis;
+        const target = await vscode.window.showTextDocument(document, editor.viewColumn);
+        await this.removeComments(target, removableComments, { ...options, archive: !!options.archive || choice === 'archive' });
+        return true;
     }
 
     /**
-     * Clean comment text for analysis
+     * Show proposed contents for a document in the diff editor and wait for the
+     * user to accept or reject them; accepting a preview of a document that has
+     * changed since counts as rejecting it
+     *
+     * @returns {Promise<'accept'|'archive'|null>}
      */
-    cleanCommentText(commentText) {
-        return commentText
-            .replace(/\/\*+|\*+\/|\/\/+|#+/g, '')
-            .replace(/\s+/g, ' ')
-            .trim()
-            .toLowerCase();
+    async reviewChange(document, content, title, options = {}) {
+        const version = document.version;
+        const choice = await this.previewProvider.review(document, content, title, options);
+        if (!choice) return null;
+
+        if (document.isClosed || document.version !== version) {
+            vscode.window.showWarningMessage('The file changed during the preview, so nothing was applied. Run the command again.');
+            return null;
+        }
+        return choice;
     }
 
     /**
-     * Check if comment contains critical information
+     * Hover for a comment highlighted for removal, listing every signal behind its analysis
      */
-    isCriticalComment(cleanComment) {
-        const criticalPatterns = [
-            // Linting and static analysis
-            'eslint-disable', 'eslint-enable', 'jshint', 'tslint', 'prettier-ignore',
-            'stylelint-disable', 'stylelint-enable',
+    createRemovalHover(analysis) {
+        const hover = new vscode.MarkdownString(
+            `**Will be removed:** ${analysis.category} (${Math.round(analysis.confidence * 100)}% confidence)\n\n`
+        );
+        analysis.reasons.forEach(reason => {
+            hover.appendMarkdown('- ');
+            hover.appendText(reason);
+            hover.appendMarkdown('\n');
+        });
+        return hover;
+    }
+
+    generateConfirmationMessage(removableComments) {
+        const categoryCount = {};
+        removableComments.forEach(item => {
+            const category = item.analysis.category;
+            categoryCount[category] = (categoryCount[category] || 0) + 1;
+        });
 
-            // TypeScript directives
-            '@ts-ignore', '@ts-expect-error', '@ts-check', '@ts-nocheck',
+        const categories = Object.entries(categoryCount)
+            .map(([category, count]) => `${category.replace(/_/g, ' ')}: ${count}`)
+            .join(', ');
+        return `Removing ${removableComments.length} comment${removableComments.length === 1 ? '' : 's'} (${categories}).`;
+    }
 
-            // Build and bundler directives
-            'webpack:', 'rollup:', 'vite:', 'esbuild:',
+    /**
+     * Open the review panel for the analyzed comments
+     *
+     * @param {number} threshold confidence at which candidates start out selected
+     */
+    showDetailedResults(editor, allAnalyses, threshold) {
+        ReviewPanel.show(this, editor, allAnalyses, threshold);
+    }
 
-            // Framework-specific
-            'vue-ignore', 'angular-ignore', 'react-ignore',
+    async removeAllCommentsWithConfirmation(editor, allAnalyses) {
+        // For nuclear option - remove EVERYTHING except comments protected by
+        // comment-cleaner directives, unless the user opted to override those too
+        const overrideDirectives = vscode.workspace.getConfiguration('commentCleaner.nuclear').get('overrideDirectives', false);
+        const protectedComments = overrideDirectives ? [] : allAnalyses.filter(item => item.comment.suppression);
+        const commentsToRemove = allAnalyses.filter(item => !protectedComments.includes(item));
 
-            // License and legal
-            'copyright', 'license', 'mit license', 'apache license', 'gpl license',
+        if (commentsToRemove.length === 0) {
+            vscode.window.showInformationMessage(
+                protectedComments.length > 0
+                    ? 'All comments in the current document are protected by comment-cleaner directives.'
+                    : 'No comments found in the current document.'
+            );
+            return;
+        }
 
-            // Important developer notes
-            'todo:', 'fixme:', 'hack:', 'note:', 'warning:', 'danger:', 'important:',
-            'bug:', 'issue:', 'ticket:', 'jira:', 'github:',
+        // Highlight ALL comments that will be removed
+        const decorations = commentsToRemove.map(item => ({
+            range: item.comment.range,
+            hoverMessage: new vscode.MarkdownString(
+                `**NUCLEAR REMOVAL:** ${item.analysis.category}\n\n${item.comment.text.substring(0, 100)}...`
+            )
+        }));
+        editor.setDecorations(this.decorationType, decorations);
 
-            // API documentation
-            '@param', '@returns', '@throws', '@deprecated', '@example', '@see',
-            '@since', '@author', '@version',
+        vscode.window.showWarningMessage(
+            `🚨 Nuclear preview: ${commentsToRemove.length} comments will be removed` +
+            (protectedComments.length > 0 ? `, ${protectedComments.length} protected by comment-cleaner directives are kept` : ', with no exceptions') +
+            '. Accept or reject the change from the diff editor title bar.'
+        );
 
-            // Conditional compilation
-            '#ifdef', '#ifndef', '#endif', '#pragma',
+        const document = editor.document;
+        const accepted = await this.reviewChange(
+            document,
+            applyRemovals(document, commentsToRemove.map(item => item.comment), this.getRemovalOptions(document)),
+            `${path.basename(document.fileName)} ↔ Without Any Comments (Nuclear)`
+        );
+
+        // Show final confirmation with strong warning
+        const userChoice = accepted && await vscode.window.showWarningMessage(
+            `🚨 NUCLEAR OPTION - REMOVE ALL COMMENTS\n\nThis will remove ALL ${commentsToRemove.length} comments from your code, including:\n• License headers\n• Documentation\n• TODOs and important notes\n• Linter directives\n• ALL comments without exception\n\nAre you absolutely sure?`,
+            {
+                modal: true,
+                detail: protectedComments.length > 0
+                    ? `NUCLEAR MODE: This will remove EVERY comment in your file except ${protectedComments.length} protected by comment-cleaner directives.\n\nThis includes:\n• Copyright and license headers\n• Important documentation\n• TODO and FIXME notes\n• ESLint and other linter directives\n• TypeScript directives\n\nSet commentCleaner.nuclear.overrideDirectives to remove protected comments as well.\n\nRemoved comments can be restored from the Comment Cleaner: History view.`
+                    : `NUCLEAR MODE: This will remove EVERY SINGLE COMMENT in your file.\n\nThis includes:\n• Copyright and license headers\n• Important documentation\n• TODO and FIXME notes\n• ESLint and other linter directives\n• TypeScript directives\n• ALL comments of any kind\n\nThere are NO exceptions in nuclear mode.\n\nRemoved comments can be restored from the Comment Cleaner: History view.`
+            },
+            'Yes, NUKE ALL Comments',
+            'No, Cancel'
+        );
 
-            // Performance notes
-            'performance:', 'optimization:', 'benchmark:', 'profiling:',
+        // Clear decorations
+        editor.setDecorations(this.decorationType, []);
 
-            // Security notes
-            'security:', 'vulnerability:', 'cve-', 'sanitize:', 'validate:'
-        ];
+        if (userChoice === 'Yes, NUKE ALL Comments') {
+            const target = await vscode.window.showTextDocument(document, editor.viewColumn);
+            await this.removeComments(target, commentsToRemove, { mode: 'Nuclear' });
 
-        return criticalPatterns.some(pattern => cleanComment.includes(pattern));
+            vscode.window.showInformationMessage(
+                `💥 NUCLEAR REMOVAL COMPLETE!\n\nRemoved ALL ${commentsToRemove.length} comments from your code.\n\nUse Ctrl+Z or the Comment Cleaner: History view if you need them back!`,
+                'I Understand'
+            );
+        }
     }
 
-    /**
-     * Check if comment is meaningful documentation
-     */
-    isDocumentation(cleanComment, context) {
-        // Too short to be meaningful documentation
-        if (cleanComment.length < 10) return false;
-
-        // Check for documentation patterns
-        const docPatterns = [
-            'explains', 'describes', 'represents', 'implements', 'algorithm',
-            'strategy', 'pattern', 'approach', 'method', 'technique',
-            'purpose:', 'goal:', 'objective:', 'requirements:', 'assumptions:',
-            'preconditions:', 'postconditions:', 'side effects:'
-        ];
-
-        // Check if it's at the beginning of a function/class
-        const isAtFunctionStart = context.nextNonEmptyLine.includes('function') ||
-            context.nextNonEmptyLine.includes('class') ||
-            context.nextNonEmptyLine.includes('def ') ||
-            context.nextNonEmptyLine.includes('public ') ||
-            context.nextNonEmptyLine.includes('private ');
-
-        // Complex logic explanation
-        const hasComplexExplanation = cleanComment.length > 50 &&
-            (cleanComment.includes('because') ||
-                cleanComment.includes('however') ||
-                cleanComment.includes('therefore') ||
-                cleanComment.includes('algorithm') ||
-                cleanComment.includes('implementation'));
-
-        return docPatterns.some(pattern => cleanComment.includes(pattern)) ||
-            (isAtFunctionStart && cleanComment.length > 20) ||
-            hasComplexExplanation;
+    async showRemovalSummary(removedComments, preservedComments) {
+        const summaryContent = `# Comment Removal Summary\n\n**Removed:** ${removedComments.length} comments\n**Preserved:** ${preservedComments.length} comments\n\n## Details\n\nRemoval completed successfully. Use Ctrl+Z to undo if needed.`;
+
+        const doc = await vscode.workspace.openTextDocument({
+            content: summaryContent,
+            language: 'markdown'
+        });
+
+        await vscode.window.showTextDocument(doc);
     }
 
     /**
-     * Enhanced commented-out code detection
+     * @param {object} [options]
+     * @param {boolean} [options.archive] keep removed commented-out code in the project archive
+     * @param {string} [options.mode] name of the run in the removal history
      */
-    isCommentedCode(cleanComment, languageConfig) {
-        if (!languageConfig || cleanComment.length < 3) return false;
-
-        const codeIndicators = {
-            symbols: ['{', '}', '(', ')', '[', ']', ';', '=', '==', '===', '!=', '!==', '&&', '||', '++', '--'],
-            operators: ['+', '-', '*', '/', '%', '&', '|', '^', '~', '<<', '>>', '?', ':'],
-            keywords: languageConfig.keywords || []
-        };
-
-        // Count code-like patterns
-        let symbolCount = 0;
-        let keywordCount = 0;
-        let operatorCount = 0;
+    async removeComments(editor, commentsToRemove, options = {}) {
+        const historyFiles = [this.recordFileRemovals(editor.document, commentsToRemove)];
+
+        // Archived before the edit so the code is never lost if writing the archive fails
+        let archived = null;
+        if (options.archive) {
+            archived = this.archiveCommentedCode(editor.document, commentsToRemove);
+            if (!archived) return;
+        }
 
-        codeIndicators.symbols.forEach(symbol => {
-            if (cleanComment.includes(symbol)) symbolCount++;
+        const edits = this.getRemovalEdits(editor.document, commentsToRemove.map(item => item.comment));
+        const success = await editor.edit(editBuilder => {
+            edits.forEach(edit => editBuilder.replace(edit.range, edit.newText));
         });
 
-        codeIndicators.operators.forEach(operator => {
-            if (cleanComment.includes(operator)) operatorCount++;
-        });
+        if (!success && archived) this.removeArchiveEntries(archived.archivePath, archived.entries);
 
-        codeIndicators.keywords.forEach(keyword => {
-            if (cleanComment.includes(keyword + ' ') || cleanComment.includes(' ' + keyword)) {
-                keywordCount++;
-            }
-        });
+        if (success) {
+            vscode.window.showInformationMessage(
+                `Successfully removed ${commentsToRemove.length} unnecessary comments.` +
+                (archived ? ` ${archived.entries.length} commented-out code blocks were archived.` : '')
+            );
 
-        // Advanced heuristics for code detection
-        const hasCodeStructure = symbolCount >= 3;
-        const hasCodeKeywords = keywordCount >= 2;
-        const hasVariableAssignment = /\w+\s*=\s*\w+/.test(cleanComment);
-        const hasFunctionCall = /\w+\s*\([^)]*\)/.test(cleanComment);
-        const hasCodeFlow = /(if|for|while|try)\s*\(/.test(cleanComment);
+            // Update statistics
+            this.analyzer.statistics.removedComments = commentsToRemove.length;
+            this.updateStatistics(commentsToRemove);
+            this.addRemovalRun(options.mode || (options.archive ? 'Clean (code archived)' : 'Clean'), historyFiles);
+        } else {
+            vscode.window.showErrorMessage('Failed to remove comments.');
+        }
+    }
 
-        return hasCodeStructure || hasCodeKeywords || hasVariableAssignment || hasFunctionCall || hasCodeFlow;
+    /**
+     * History record of the comments about to be removed from a document;
+     * documents that are not files on disk cannot be restored later and get no entries
+     */
+    recordFileRemovals(document, items) {
+        if (document.uri.scheme !== 'file') return { filePath: null, entries: [] };
+        return { filePath: document.uri.fsPath, entries: recordRemovals(document, items, this.getRemovalOptions(document)) };
     }
 
     /**
-     * Enhanced redundant comment detection with better scoring
+     * Log a removal run; failing to write the history never fails the removal itself
      */
-    calculateRedundancyScore(cleanComment, context) {
-        if (cleanComment.length < 3 || !context.nextNonEmptyLine) return 0;
+    addRemovalRun(mode, files) {
+        if (!this.removalHistory) return;
 
-        const nextLine = context.nextNonEmptyLine.toLowerCase().replace(/[^a-zA-Z0-9]/g, ' ');
-        const commentWords = cleanComment.split(/\s+/).filter(word => word.length > 2);
-        const codeWords = nextLine.split(/\s+/).filter(word => word.length > 2);
+        try {
+            if (this.removalHistory.addRun(mode, files)) this.historyEmitter.fire();
+        } catch (error) {
+            vscode.window.showWarningMessage(`Could not record the removal in the history: ${error.message}`);
+        }
+    }
 
-        if (commentWords.length === 0 || codeWords.length === 0) return 0;
+    /**
+     * Put removed comments back, asking what to do with those whose surrounding
+     * lines changed since they were removed
+     *
+     * @param {{ file: object, entries: object[] }[]} selections history files and entries to restore
+     */
+    async restoreRemovals(selections) {
+        const targets = [];
+        const missing = [];
+
+        for (const { file, entries } of selections) {
+            try {
+                const document = await vscode.workspace.openTextDocument(vscode.Uri.file(file.filePath));
+                targets.push({ document, file, entries, plan: planRestore(document.getText(), file, entries) });
+            } catch (error) {
+                missing.push(file.filePath);
+            }
+        }
 
-        // Calculate different types of redundancy
-        let exactMatches = 0;
-        let partialMatches = 0;
-        let semanticMatches = 0;
+        if (missing.length > 0) {
+            vscode.window.showWarningMessage(`Cannot restore comments of missing files: ${missing.map(filePath => vscode.workspace.asRelativePath(filePath)).join(', ')}`);
+        }
 
-        commentWords.forEach(commentWord => {
-            // Exact match
-            if (codeWords.includes(commentWord)) {
-                exactMatches++;
-                return;
-            }
+        const conflicts = [].concat(...targets.map(target => target.plan.conflicts));
+        if (conflicts.length > 0) {
+            const choice = await vscode.window.showWarningMessage(
+                `${conflicts.length} removed comment${conflicts.length === 1 ? '' : 's'} cannot be placed because the lines around ${conflicts.length === 1 ? 'it' : 'them'} changed.`,
+                {
+                    modal: true,
+                    detail: conflicts.slice(0, 10).map(entry => `Line ${entry.line + 1}: ${entry.text.trim().split(/\r?\n/)[0].substring(0, 60)}`).join('\n')
+                },
+                'Restore at Original Position',
+                'Skip Conflicts'
+            );
+            if (!choice) return;
 
-            // Partial match (substring)
-            if (codeWords.some(codeWord => codeWord.includes(commentWord) || commentWord.includes(codeWord))) {
-                partialMatches++;
-                return;
+            if (choice === 'Restore at Original Position') {
+                targets.forEach(target => {
+                    target.plan = planRestore(target.document.getText(), target.file, target.entries, true);
+                });
             }
+        }
 
-            // Semantic match (common programming terms)
-            const semanticPairs = {
-                'get': ['fetch', 'retrieve', 'obtain'],
-                'set': ['assign', 'update', 'change'],
-                'create': ['make', 'build', 'generate', 'new'],
-                'delete': ['remove', 'destroy', 'clear'],
-                'check': ['validate', 'verify', 'test'],
-                'start': ['begin', 'init', 'initialize'],
-                'end': ['finish', 'complete', 'stop']
-            };
-
-            Object.entries(semanticPairs).forEach(([key, synonyms]) => {
-                if (commentWord === key && synonyms.some(syn => codeWords.includes(syn))) {
-                    semanticMatches++;
-                }
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        const restored = [];
+        targets.forEach(({ document, plan }) => {
+            plan.edits.forEach(edit => {
+                const range = new vscode.Range(document.positionAt(edit.offset), document.positionAt(edit.offset + edit.length));
+                workspaceEdit.replace(document.uri, range, edit.text);
+                restored.push(...edit.entries);
             });
         });
 
-        // Calculate redundancy score
-        const totalWords = commentWords.length;
-        const redundancyScore = (exactMatches * 1.0 + partialMatches * 0.7 + semanticMatches * 0.5) / totalWords;
+        if (restored.length === 0) {
+            vscode.window.showInformationMessage('Nothing to restore.');
+            return;
+        }
+
+        if (!await vscode.workspace.applyEdit(workspaceEdit)) {
+            vscode.window.showErrorMessage('Failed to restore comments.');
+            return;
+        }
 
-        return Math.min(redundancyScore, 0.95); // Cap at 95%
+        this.removalHistory.markRestored(restored);
+        this.historyEmitter.fire();
+        vscode.window.showInformationMessage(
+            `Restored ${restored.length} comment${restored.length === 1 ? '' : 's'}. Save the modified files to keep the changes.`
+        );
     }
 
     /**
-     * Enhanced redundant comment detection (kept for backward compatibility)
+     * Archive file of the workspace folder containing a file, or null outside a workspace
      */
-    isRedundantComment(cleanComment, context) {
-        return this.calculateRedundancyScore(cleanComment, context) > 0.5;
+    getArchivePath(uri) {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) return null;
+
+        const archiveFile = vscode.workspace.getConfiguration('commentCleaner', uri).get('archive.path', DEFAULT_ARCHIVE_FILE);
+        return path.resolve(folder.uri.fsPath, archiveFile);
     }
 
     /**
-     * Detect trivial/obvious comments
+     * Add the commented-out code among the comments to the project archive
+     * Returns { archivePath, entries }, or null after reporting why nothing could be archived
      */
-    isTrivialComment(cleanComment, context) {
-        const trivialPatterns = [
-            // Obvious statements
-            /^(increment|decrement) \w+$/,
-            /^(add|subtract|multiply|divide) \w+$/,
-            /^(open|close) \w+$/,
-            /^(show|hide) \w+$/,
-            /^(enable|disable) \w+$/,
-            /^(start|stop) \w+$/,
-
-            // Variable assignments
-            /^set \w+ to \w+$/,
-            /^\w+ equals \w+$/,
-            /^assign \w+ to \w+$/,
-
-            // Simple operations
-            /^(loop|iterate) through \w+$/,
-            /^check if \w+ is \w+$/,
-            /^return \w+$/,
-            /^call \w+$/,
-
-            // Redundant function descriptions
-            /^constructor$/,
-            /^getter$/,
-            /^setter$/,
-            /^main function$/,
-            /^helper function$/,
-            /^utility function$/
-        ];
-
-        // Check if next line makes the comment obvious
-        if (context.nextNonEmptyLine) {
-            const nextLine = context.nextNonEmptyLine.toLowerCase();
-
-            // Comments that just repeat the function name
-            if (cleanComment.replace(/[^a-zA-Z]/g, '').toLowerCase() ===
-                nextLine.replace(/[^a-zA-Z]/g, '').toLowerCase()) {
-                return true;
-            }
+    archiveCommentedCode(document, items) {
+        const archivePath = this.getArchivePath(document.uri);
+        if (!archivePath || document.uri.scheme !== 'file') {
+            vscode.window.showWarningMessage('Commented-out code can only be archived for files in an open workspace folder.');
+            return null;
         }
 
-        return trivialPatterns.some(pattern => pattern.test(cleanComment));
+        const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+        const comments = items.map(item => item.comment);
+        const now = new Date();
+        const entries = items
+            .filter(item => item.analysis.category === 'commented_code')
+            .map(item => createArchiveEntry(document, item.comment, {
+                file: path.relative(folder.uri.fsPath, document.uri.fsPath),
+                category: item.analysis.category,
+                comments,
+                now
+            }));
+
+        try {
+            const archive = readArchive(archivePath);
+            archive.entries.push(...entries);
+            writeArchive(archivePath, archive);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Could not archive commented-out code: ${error.message}`);
+            return null;
+        }
+
+        return { archivePath, entries };
+    }
+
+    removeArchiveEntries(archivePath, entries) {
+        const ids = new Set(entries.map(entry => entry.id));
+        const archive = readArchive(archivePath);
+        archive.entries = archive.entries.filter(entry => !ids.has(entry.id));
+        writeArchive(archivePath, archive);
     }
 
     /**
-     * Detect empty or whitespace-only comments
+     * Browse the archived commented-out code of every workspace folder and
+     * restore, open or discard an entry
      */
-    isEmptyComment(cleanComment) {
-        // After cleaning, if there's nothing left or just punctuation
-        const meaningfulContent = cleanComment.replace(/[^\w]/g, '');
-        return meaningfulContent.length === 0 || meaningfulContent.length < 2;
+    async browseArchive() {
+        const items = [];
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            const archivePath = this.getArchivePath(folder.uri);
+            let archive;
+            try {
+                archive = readArchive(archivePath);
+            } catch (error) {
+                vscode.window.showErrorMessage(error.message);
+                continue;
+            }
+
+            archive.entries.slice().reverse().forEach(entry => items.push({
+                label: `${entry.file}:${entry.line + 1}`,
+                description: entry.text.trim().split(/\r?\n/)[0].substring(0, 80),
+                detail: `Archived ${new Date(entry.archivedAt).toLocaleString()} · ${entry.text.trim().split(/\r?\n/).length} lines`,
+                entry,
+                folder,
+                archivePath
+            }));
+        }
+
+        if (items.length === 0) {
+            vscode.window.showInformationMessage('The comment archive is empty.');
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: 'Select archived code to restore',
+            matchOnDescription: true,
+            title: 'Commented-Out Code Archive'
+        });
+        if (!picked) return;
+
+        const action = await vscode.window.showQuickPick(['Restore', 'Show Code', 'Delete from Archive'], {
+            placeHolder: picked.label
+        });
+
+        if (action === 'Restore') {
+            await this.restoreArchiveEntry(picked);
+        } else if (action === 'Show Code') {
+            const document = await vscode.workspace.openTextDocument({ content: picked.entry.text });
+            await vscode.window.showTextDocument(document, { preview: true });
+        } else if (action === 'Delete from Archive') {
+            this.removeArchiveEntries(picked.archivePath, [picked.entry]);
+            vscode.window.showInformationMessage(`Deleted ${picked.label} from the archive.`);
+        }
     }
 
     /**
-     * Detect duplicate comments
+     * Put an archived snippet back where it was removed and drop it from the archive
      */
-    isDuplicateComment(cleanComment, currentComment, document) {
-        if (cleanComment.length < 5) return false;
+    async restoreArchiveEntry({ entry, folder, archivePath }) {
+        const uri = vscode.Uri.file(path.join(folder.uri.fsPath, ...entry.file.split('/')));
 
-        const text = document.getText();
-        const commentText = currentComment.text.trim();
+        let document;
+        try {
+            document = await vscode.workspace.openTextDocument(uri);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Cannot restore archived code: ${entry.file} no longer exists.`);
+            return;
+        }
 
-        // Count occurrences of the same comment
-        const regex = new RegExp(this.escapeRegex(commentText), 'g');
-        const matches = text.match(regex);
+        const editor = await vscode.window.showTextDocument(document);
+        const { offset, text } = getRestoreEdit(document.getText(), entry);
+        const position = document.positionAt(offset);
 
-        return matches && matches.length > 1;
+        const success = await editor.edit(editBuilder => editBuilder.insert(position, text));
+        if (!success) {
+            vscode.window.showErrorMessage('Failed to restore archived code.');
+            return;
+        }
+
+        this.removeArchiveEntries(archivePath, [entry]);
+        const end = document.positionAt(offset + text.length);
+        editor.selection = new vscode.Selection(position, end);
+        editor.revealRange(new vscode.Range(position, end), vscode.TextEditorRevealType.InCenter);
+        vscode.window.showInformationMessage(`Restored archived code to ${entry.file}:${position.line + 1}.`);
     }
 
     /**
-     * Detect debug/temporary comments
+     * Non-overlapping { range, newText } edits removing comments: entire lines when only
+     * removed comments are on them, and a space where code would otherwise be joined
      */
-    isDebugComment(cleanComment) {
-        const debugPatterns = [
-            /^(console\.log|print|echo|debug|trace)/,
-            /^(test|testing|temp|temporary|tmp)/,
-            /^(remove|delete) (this|me|later)/,
-            /^(work in progress|wip)/,
-            /^(placeholder|stub)/,
-            /^(broken|doesnt work|not working)/,
-            /^(quick fix|quick hack|dirty fix)/,
-            /^(remember to|dont forget)/,
-            /^(asap|urgent|priority)/,
-            /^(review|check) (this|later)/,
-            /^(delete|remove) before/,
-            /^(for now|temporarily)/
-        ];
-
-        return debugPatterns.some(pattern => pattern.test(cleanComment));
+    getRemovalEdits(document, comments) {
+        return getRemovalRanges(document, comments, this.getRemovalOptions(document))
+            .map(({ start, end, replacement }) => ({
+                range: new vscode.Range(document.positionAt(start), document.positionAt(end)),
+                newText: replacement
+            }));
     }
 
     /**
-     * Detect noise comments
+     * Removal engine options from the settings of a document's workspace folder
      */
-    isNoiseComment(cleanComment) {
-        const noisePatterns = [
-            /^(test|testing|debug|debugging)$/,
-            /^(temp|temporary|tmp)$/,
-            /^(old|deprecated|unused)$/,
-            /^(comment|comments?)$/,
-            /^(code|codes?)$/,
-            /^(fix|fixed|fixes)$/,
-            /^(change|changed|changes)$/,
-            /^(update|updated|updates)$/,
-            /^(\w+\s*){1,3}$/,  // Very short comments
-            /^[.]{3,}|[-]{3,}|[=]{3,}|[*]{3,}/,  // Decorative comments
-            /^\d+$|^v?\d+\.\d+/  // Version numbers only
-        ];
-
-        return noisePatterns.some(pattern => pattern.test(cleanComment)) || cleanComment.length <= 2;
+    getRemovalOptions(document) {
+        return { maxBlankLines: vscode.workspace.getConfiguration('commentCleaner', document.uri).get('removal.maxBlankLines', DEFAULT_MAX_BLANK_LINES) };
     }
 
     /**
-     * Detect potentially outdated comments
+     * Analyze every comment in a document, with its git history
+     * Every command scores comments through here, so they all agree.
      */
-    isOutdatedComment(cleanComment, context) {
-        const outdatedIndicators = [
-            'old version', 'previous version', 'legacy', 'deprecated',
-            'no longer', 'not used', 'unused', 'obsolete',
-            'will be removed', 'to be deleted', 'remove this',
-            'temporary fix', 'quick fix', 'workaround'
-        ];
-
-        return outdatedIndicators.some(indicator => cleanComment.includes(indicator));
+    async analyzeDocument(document) {
+        const { analyzer, languageId } = this.getAnalysisContext(document);
+        const comments = analyzer.extractComments(document, languageId);
+        await this.annotateHistory(document, comments);
+
+        return comments.map(comment => ({
+            comment,
+            analysis: analyzer.analyzeComment(comment, document)
+        }));
     }
 
     /**
-     * Escape special regex characters
+     * Add git blame age and drift to comments of a file in a repository
+     * Unsaved changes are blamed as uncommitted lines. The blame is reused until the
+     * document changes.
      */
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    async annotateHistory(document, comments) {
+        const enabled = vscode.workspace.getConfiguration('commentCleaner').get('history.enabled', true);
+        if (!enabled || document.uri.scheme !== 'file') return comments;
+
+        const key = document.uri.toString();
+        let cached = this.blameCache.get(key);
+        if (!cached || cached.version !== document.version || cached.isDirty !== document.isDirty) {
+            cached = {
+                version: document.version,
+                isDirty: document.isDirty,
+                blame: blameFile(document.uri.fsPath, document.isDirty ? document.getText() : null)
+            };
+        }
+        // Most recently used last, so the oldest entry is dropped first
+        this.blameCache.delete(key);
+        this.blameCache.set(key, cached);
+        if (this.blameCache.size > BLAME_CACHE_SIZE) this.blameCache.delete(this.blameCache.keys().next().value);
+
+        return applyBlame(comments, await cached.blame, document);
     }
-}
 
-class CommentCleaner {
-    constructor() {
-        this.analyzer = new CommentAnalyzer();
-        this.decorationType = vscode.window.createTextEditorDecorationType({
-            backgroundColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
-            border: '1px solid',
-            borderColor: new vscode.ThemeColor('editor.findMatchBorder'),
-            overviewRulerColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
-            overviewRulerLane: vscode.OverviewRulerLane.Right
-        });
+    /**
+     * Non-empty selections of an editor, or null when nothing is selected
+     */
+    getSelectionRanges(editor) {
+        const ranges = editor.selections.filter(selection => !selection.isEmpty);
+        return ranges.length > 0 ? ranges : null;
     }
 
-    async cleanComments(options = {}) {
+    /**
+     * Analyses of comments within the changed lines and ranges (either may be null)
+     */
+    narrowToScope(analyses, changedLines, ranges) {
+        return analyses.filter(item =>
+            (!changedLines || isCommentChanged(item.comment, changedLines)) &&
+            (!ranges || isCommentInRanges(item.comment, ranges))
+        );
+    }
+
+    /**
+     * Clean the comments of the innermost function or class around the cursor,
+     * including the comments directly above it
+     */
+    async cleanCurrentSymbol() {
         const editor = vscode.window.activeTextEditor;
         if (!editor) {
             vscode.window.showInformationMessage('No active editor found.');
@@ -648,269 +785,297 @@ class CommentCleaner {
         }
 
         const document = editor.document;
-        const languageConfig = this.analyzer.getLanguageConfig(document.languageId);
-
-        if (!languageConfig) {
-            vscode.window.showInformationMessage(
-                `Language '${document.languageId}' is not supported for comment analysis.`
-            );
+        const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri);
+        const symbol = findEnclosingSymbol(symbols || [], editor.selection.active, SCOPE_SYMBOL_KINDS);
+        if (!symbol) {
+            vscode.window.showInformationMessage('No function or class found at the cursor.');
             return;
         }
 
-        try {
-            // Show progress indicator
-            await vscode.window.withProgress({
-                location: vscode.ProgressLocation.Notification,
-                title: "Analyzing comments...",
-                cancellable: false
-            }, async (progress) => {
-                progress.report({ increment: 20, message: "Extracting comments..." });
-
-                const comments = this.analyzer.extractComments(document);
-
-                if (comments.length === 0) {
-                    vscode.window.showInformationMessage('No comments found in the current document.');
-                    return;
-                }
+        const { analyzer, languageId } = this.getAnalysisContext(document);
+        const range = includeLeadingComments(symbol.range, analyzer.extractComments(document, languageId));
+        await this.cleanComments({ ranges: [new vscode.Range(range.start, range.end)] });
+    }
 
-                progress.report({ increment: 40, message: "Analyzing comment quality..." });
+    /**
+     * Changed lines of a saved document for a diff scope, or null after telling the user why not
+     */
+    getDiffLines(document, scope) {
+        if (document.uri.scheme !== 'file') {
+            vscode.window.showInformationMessage('Only files on disk can be compared with git.');
+            return null;
+        }
+        if (document.isDirty) {
+            vscode.window.showWarningMessage('Save the document before cleaning comments in its changes.');
+            return null;
+        }
 
-                const analyses = [];
-                for (const comment of comments) {
-                    const analysis = this.analyzer.analyzeComment(comment, document);
-                    analyses.push({ comment, analysis });
-                }
+        let changedLines;
+        try {
+            changedLines = getChangedLines(document.uri.fsPath, scope);
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+            return null;
+        }
 
-                progress.report({ increment: 80, message: "Preparing results..." });
+        if (!changedLines) {
+            vscode.window.showInformationMessage('The current file is not inside a git repository.');
+        }
+        return changedLines;
+    }
 
-                const removableComments = analyses.filter(
-                    item => item.analysis.shouldRemove &&
-                        item.analysis.confidence >= (options.confidenceThreshold || 0.6)
-                );
+    /**
+     * Clean the comments changed since the merge base with a branch picked by the user
+     */
+    async cleanCommentsAgainstBranch() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.document.uri.scheme !== 'file') {
+            vscode.window.showInformationMessage('No active editor found.');
+            return;
+        }
 
-                if (removableComments.length === 0) {
-                    vscode.window.showInformationMessage('No unnecessary comments found.');
-                    return;
-                }
+        const branches = listBranches(path.dirname(editor.document.uri.fsPath));
+        if (branches.length === 0) {
+            vscode.window.showInformationMessage('No git branches found for the current file.');
+            return;
+        }
 
-                progress.report({ increment: 100, message: "Complete!" });
+        const base = await vscode.window.showQuickPick(branches, {
+            placeHolder: 'Clean comments changed since this branch'
+        });
+        if (!base) return;
 
-                // Show detailed results
-                await this.showDetailedResults(editor, removableComments, analyses);
-            });
+        await this.cleanComments({ scope: { mode: 'branch', base } });
+    }
 
-        } catch (error) {
-            vscode.window.showErrorMessage(`Error analyzing comments: ${error.message}`);
+    /**
+     * Fix comments in place instead of removing them: spacing, capitalization,
+     * wrapping, banners and line/block conversion, previewed as a diff first
+     */
+    async tidyComments() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showInformationMessage('No active editor found.');
+            return;
         }
-    }
 
-    async showRemovalPreview(editor, removableComments) {
-        // Create a detailed preview document
-        const previewContent = this.generateRemovalPreview(editor, removableComments);
+        const document = editor.document;
+        const { analyzer, languageId } = this.getAnalysisContext(document);
+        const languageConfig = analyzer.getLanguageConfig(languageId);
+        if (!languageConfig) {
+            vscode.window.showInformationMessage(`Language '${languageId}' is not supported for comment analysis.`);
+            return;
+        }
 
-        // Open preview in a new tab
-        const previewDoc = await vscode.workspace.openTextDocument({
-            content: previewContent,
-            language: 'markdown'
+        const ranges = this.getSelectionRanges(editor);
+        const items = this.narrowToScope(await this.analyzeDocument(document), null, ranges);
+        const config = vscode.workspace.getConfiguration('commentCleaner.tidy');
+        const style = config.get('style', 'preserve');
+        const edits = tidyComments(document, items, {
+            delimiters: getDelimiters(languageConfig.syntax),
+            wrapColumn: config.get('wrapColumn', 80),
+            style: TIDY_STYLES.includes(style) ? style : 'preserve',
+            capitalize: config.get('capitalize', true),
+            stripBanners: config.get('stripBanners', true),
+            tabSize: typeof editor.options.tabSize === 'number' ? editor.options.tabSize : 4
         });
 
-        const previewEditor = await vscode.window.showTextDocument(previewDoc, {
-            viewColumn: vscode.ViewColumn.Beside,
-            preview: true
-        });
+        if (edits.length === 0) {
+            vscode.window.showInformationMessage(ranges ? 'Comments in the selected code are already tidy.' : 'Comments are already tidy.');
+            return;
+        }
 
-        // Highlight the comments in the original editor
-        const decorations = removableComments.map(item => ({
-            range: item.comment.range,
-            hoverMessage: new vscode.MarkdownString(
-                `**Will be removed:** ${item.analysis.category} (${Math.round(item.analysis.confidence * 100)}% confidence)`
-            )
+        const counts = {};
+        edits.forEach(edit => edit.changes.forEach(change => {
+            counts[change] = (counts[change] || 0) + 1;
         }));
-        editor.setDecorations(this.decorationType, decorations);
-
-        // Show confirmation dialog with detailed information
-        const confirmationMessage = this.generateConfirmationMessage(removableComments);
-
-        const userChoice = await vscode.window.showWarningMessage(
-            confirmationMessage,
-            {
-                modal: true,
-                detail: 'Review the preview tab to see all comments that will be removed. This action cannot be undone (use Ctrl+Z to undo after removal).'
-            },
-            'Yes, Remove Comments',
-            'No, Cancel'
+        vscode.window.showInformationMessage(
+            `Tidying ${edits.length} comment${edits.length === 1 ? '' : 's'} (` +
+            Object.entries(counts).map(([change, count]) => `${TIDY_CHANGE_LABELS[change]}: ${count}`).join(', ') +
+            '). Accept or reject the change from the diff editor title bar.'
         );
 
-        // Clear decorations
-        editor.setDecorations(this.decorationType, []);
+        const choice = await this.reviewChange(
+            document,
+            applyEdits(document.getText(), edits),
+            `${path.basename(document.fileName)} ↔ Tidied Comments`
+        );
+        if (!choice) return;
 
-        // Close preview document
-        await vscode.commands.executeCommand('workbench.action.closeActiveEditor');
+        const target = await vscode.window.showTextDocument(document, editor.viewColumn);
+        const success = await target.edit(editBuilder => {
+            edits.forEach(edit => {
+                editBuilder.replace(new vscode.Range(document.positionAt(edit.start), document.positionAt(edit.end)), edit.text);
+            });
+        });
 
-        if (userChoice === 'Yes, Remove Comments') {
-            await this.removeComments(editor, removableComments);
+        if (success) {
+            vscode.window.showInformationMessage(`Tidied ${edits.length} comment${edits.length === 1 ? '' : 's'}.`);
+        } else {
+            vscode.window.showErrorMessage('Failed to tidy comments.');
         }
     }
 
-    generateRemovalPreview(editor, removableComments) {
-        const document = editor.document;
-        const fileName = document.fileName ? document.fileName.split('/').pop() : 'Untitled';
-
-        let content = `# Comment Removal Preview\n\n`;
-        content += `**File:** ${fileName}\n`;
-        content += `**Language:** ${document.languageId}\n`;
-        content += `**Total comments to remove:** ${removableComments.length}\n`;
-        content += `**Generated:** ${new Date().toLocaleString()}\n\n`;
+    /**
+     * Whether a document's (possibly remapped) language can be analyzed
+     */
+    isSupported(document) {
+        const { analyzer, languageId } = this.getAnalysisContext(document);
+        return !!analyzer.getLanguageConfig(languageId);
+    }
 
-        // Group comments by category
-        const categorizedComments = {};
-        removableComments.forEach(item => {
-            const category = item.analysis.category;
-            if (!categorizedComments[category]) {
-                categorizedComments[category] = [];
-            }
-            categorizedComments[category].push(item);
-        });
+    /**
+     * Standard confidence threshold for a document, including project rules
+     */
+    getConfidenceThreshold(document) {
+        return this.getAnalysisContext(document).analyzer.settings.confidenceThreshold;
+    }
 
-        // Generate preview for each category
-        Object.entries(categorizedComments).forEach(([category, comments]) => {
-            content += `## ${category.charAt(0).toUpperCase() + category.slice(1)} Comments (${comments.length})\n\n`;
+    describeHistory(history) {
+        const changed = history.commit
+            ? `last changed ${formatAge(history.ageDays)} in ${history.commit.substring(0, 7)}`
+            : 'not committed yet';
+        return history.codeChangedSince
+            ? `${changed}; the code below has changed since`
+            : `${changed}; the code below has not changed since`;
+    }
 
-            comments.forEach((item, index) => {
-                const lineNum = item.comment.lineNumber + 1;
-                const commentText = item.comment.text.trim();
-                const confidence = Math.round(item.analysis.confidence * 100);
-                const reasons = item.analysis.reasons.join(', ');
-
-                content += `### ${index + 1}. Line ${lineNum} (${confidence}% confidence)\n\n`;
-                content += `**Reason:** ${reasons}\n\n`;
-                content += `**Comment to be removed:**\n`;
-                content += `\`\`\`\n${commentText}\n\`\`\`\n\n`;
-
-                // Show context (surrounding code)
-                const context = this.getCommentContext(document, item.comment);
-                if (context) {
-                    content += `**Context:**\n`;
-                    content += `\`\`\`${document.languageId}\n${context}\n\`\`\`\n\n`;
-                }
+    describeRuleSources(ruleSources) {
+        return ruleSources.length > 0
+            ? ruleSources.map(source => vscode.workspace.asRelativePath(source)).join(' → ')
+            : 'User and workspace settings';
+    }
 
-                content += `---\n\n`;
-            });
-        });
+    async cleanWorkspace(folderUri) {
+        const folders = folderUri
+            ? [folderUri]
+            : (vscode.workspace.workspaceFolders || []).map(folder => folder.uri);
 
-        // Add summary statistics
-        content += `## Summary\n\n`;
-        content += `| Category | Count | Avg Confidence |\n`;
-        content += `|----------|-------|----------------|\n`;
+        if (folders.length === 0) {
+            vscode.window.showInformationMessage('Open a folder or workspace to clean comments across files.');
+            return;
+        }
 
-        Object.entries(categorizedComments).forEach(([category, comments]) => {
-            const avgConfidence = Math.round(
-                comments.reduce((sum, item) => sum + item.analysis.confidence, 0) / comments.length * 100
-            );
-            content += `| ${category} | ${comments.length} | ${avgConfidence}% |\n`;
+        const level = await vscode.window.showQuickPick([
+            { label: 'Standard', description: `${Math.round(this.analyzer.settings.confidenceThreshold * 100)}% confidence, or per project rules`, threshold: null },
+            { label: 'Aggressive', description: `${Math.round(CONFIDENCE_THRESHOLDS.aggressive * 100)}% confidence`, threshold: CONFIDENCE_THRESHOLDS.aggressive },
+            { label: 'Conservative', description: `${Math.round(CONFIDENCE_THRESHOLDS.conservative * 100)}% confidence`, threshold: CONFIDENCE_THRESHOLDS.conservative }
+        ], {
+            placeHolder: 'Select cleaning mode for the workspace',
+            title: 'Clean Workspace Comments'
         });
 
-        content += `\n**⚠️ Warning:** These comments will be permanently removed from your code. Make sure to review each one carefully.\n`;
-        content += `\n**💡 Tip:** You can use Ctrl+Z (Cmd+Z on Mac) to undo the removal after it's completed.\n`;
+        if (!level) return;
 
-        return content;
-    }
+        try {
+            const results = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: "Analyzing workspace comments...",
+                cancellable: true
+            }, (progress, token) => this.analyzeWorkspaceFiles(folders, level.threshold, progress, token));
+
+            if (!results) {
+                vscode.window.showInformationMessage('Workspace comment cleaning cancelled.');
+                return;
+            }
 
-    getCommentContext(document, comment) {
-        const startLine = Math.max(0, comment.lineNumber - 2);
-        const endLine = Math.min(document.lineCount - 1, comment.lineNumber + 2);
+            if (results.length === 0) {
+                vscode.window.showInformationMessage('No unnecessary comments found in the workspace.');
+                return;
+            }
 
-        let context = '';
-        for (let i = startLine; i <= endLine; i++) {
-            const line = document.lineAt(i);
-            const prefix = i === comment.lineNumber ? '→ ' : '  ';
-            const lineNumber = (i + 1).toString().padStart(3, ' ');
-            context += `${prefix}${lineNumber}: ${line.text}\n`;
+            await this.showWorkspacePreview(results, level.label);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error analyzing workspace comments: ${error.message}`);
         }
-
-        return context.trim();
     }
 
-    generateConfirmationMessage(removableComments) {
-        const categoryCount = {};
-        removableComments.forEach(item => {
-            const category = item.analysis.category;
-            categoryCount[category] = (categoryCount[category] || 0) + 1;
-        });
-
-        let message = `About to remove ${removableComments.length} comments:\n\n`;
+    /**
+     * Collect removable comments for every matching file, or every analyzed file when
+     * `includeUnchanged` is set. A null threshold uses each file's Standard threshold.
+     * Returns null when the user cancels
+     */
+    async analyzeWorkspaceFiles(folders, threshold, progress, token, includeUnchanged = false) {
+        progress.report({ message: 'Finding files...' });
 
-        Object.entries(categoryCount).forEach(([category, count]) => {
-            const categoryName = category.charAt(0).toUpperCase() + category.slice(1);
-            message += `• ${categoryName}: ${count} comment${count > 1 ? 's' : ''}\n`;
-        });
+        const uris = await this.findWorkspaceFiles(folders, token);
+        const results = [];
+        const increment = uris.length > 0 ? 100 / uris.length : 100;
 
-        message += `\nAre you sure you want to proceed?`;
+        for (const uri of uris) {
+            if (token.isCancellationRequested) return null;
 
-        return message;
-    }
+            progress.report({ increment, message: vscode.workspace.asRelativePath(uri) });
 
-    async showDetailedResults(editor, removableComments, allAnalyses) {
-        // Highlight removable comments
-        const decorations = removableComments.map(item => ({
-            range: item.comment.range,
-            hoverMessage: new vscode.MarkdownString(
-                `**${item.analysis.category.toUpperCase()}** (${Math.round(item.analysis.confidence * 100)}% confidence)\n\n` +
-                `${item.analysis.reasons.join(', ')}\n\n` +
-                `**Comment:** ${item.comment.text.substring(0, 100)}${item.comment.text.length > 100 ? '...' : ''}`
-            )
-        }));
+            const document = await vscode.workspace.openTextDocument(uri);
+            if (!this.isSupported(document)) continue;
 
-        editor.setDecorations(this.decorationType, decorations);
+            const fileThreshold = threshold === null ? this.getConfidenceThreshold(document) : threshold;
+            const analyses = await this.analyzeDocument(document);
+            const removableComments = analyses.filter(
+                item => item.analysis.shouldRemove && item.analysis.confidence >= fileThreshold
+            );
 
-        // Create detailed report
-        const report = this.generateReport(allAnalyses);
+            if (removableComments.length > 0 || (includeUnchanged && analyses.length > 0)) {
+                const { languageId, ruleSources } = this.getAnalysisContext(document);
+                results.push({ document, languageId, ruleSources, removableComments, analyses, threshold: fileThreshold });
+            }
+        }
 
-        // Show options dialog with "Remove All Comments" option
-        const action = await vscode.window.showInformationMessage(
-            `Found ${removableComments.length} unnecessary comments to remove out of ${allAnalyses.length} total comments.`,
-            { modal: true },
-            'Preview & Remove',
-            'Review & Select',
-            'Remove ALL Comments',
-            'Show Report',
-            'Cancel'
-        );
+        return token.isCancellationRequested ? null : results;
+    }
 
-        editor.setDecorations(this.decorationType, []);
+    /**
+     * Files matching the workspace include/exclude settings and .gitignore
+     */
+    async findWorkspaceFiles(folders, token) {
+        const settings = vscode.workspace.getConfiguration('commentCleaner.workspace');
+        const include = settings.get('include', '**/*');
+        const exclude = settings.get('exclude', '');
+        const respectGitignore = settings.get('respectGitignore', true);
+
+        let uris = [];
+        for (const folder of folders) {
+            const found = await vscode.workspace.findFiles(
+                new vscode.RelativePattern(folder.fsPath, include),
+                exclude || undefined,
+                undefined,
+                token
+            );
+            uris = uris.concat(found);
+        }
 
-        switch (action) {
-            case 'Preview & Remove':
-                await this.showRemovalPreview(editor, removableComments);
-                break;
-            case 'Review & Select':
-                await this.selectiveRemoval(editor, removableComments);
-                break;
-            case 'Remove ALL Comments':
-                await this.removeAllCommentsWithConfirmation(editor, allAnalyses);
-                break;
-            case 'Show Report':
-                await this.showReport(report);
-                break;
+        if (respectGitignore) {
+            const matcher = await this.loadGitignore(folders, token);
+            uris = uris.filter(uri => !matcher.ignores(uri.fsPath));
         }
+
+        return uris;
     }
 
-    async removeAllCommentsWithConfirmation(editor, allAnalyses) {
-        // For nuclear option - remove EVERYTHING, no exceptions
-        const commentsToRemove = allAnalyses; // Remove ALL comments
-        const criticalComments = []; // No comments are preserved in nuclear mode
+    async loadGitignore(folders, token) {
+        const matcher = new IgnoreMatcher();
 
-        if (commentsToRemove.length === 0) {
-            vscode.window.showInformationMessage('No comments found in the current document.');
-            return;
+        for (const folder of folders) {
+            const ignoreFiles = await vscode.workspace.findFiles(
+                new vscode.RelativePattern(folder.fsPath, '**/.gitignore'),
+                '**/node_modules/**',
+                undefined,
+                token
+            );
+
+            for (const ignoreFile of ignoreFiles) {
+                const content = Buffer.from(await vscode.workspace.fs.readFile(ignoreFile)).toString('utf8');
+                matcher.addIgnoreFile(path.dirname(ignoreFile.fsPath), content);
+            }
         }
 
-        // Create detailed warning message for nuclear removal
-        const warningContent = this.generateNuclearRemovalPreview(editor, commentsToRemove);
+        return matcher;
+    }
 
-        // Open preview in a new tab
+    async showWorkspacePreview(results, modeLabel) {
         const previewDoc = await vscode.workspace.openTextDocument({
-            content: warningContent,
+            content: this.generateWorkspacePreview(results, modeLabel),
             language: 'markdown'
         });
 
@@ -919,211 +1084,179 @@ class CommentCleaner {
             preview: true
         });
 
-        // Highlight ALL comments that will be removed
-        const decorations = commentsToRemove.map(item => ({
-            range: item.comment.range,
-            hoverMessage: new vscode.MarkdownString(
-                `**NUCLEAR REMOVAL:** ${item.analysis.category}\n\n${item.comment.text.substring(0, 100)}...`
-            )
-        }));
-        editor.setDecorations(this.decorationType, decorations);
+        const totalComments = results.reduce((sum, result) => sum + result.removableComments.length, 0);
 
-        // Show final confirmation with strong warning
         const userChoice = await vscode.window.showWarningMessage(
-            `🚨 NUCLEAR OPTION - REMOVE ALL COMMENTS\n\nThis will remove ALL ${commentsToRemove.length} comments from your code, including:\n• License headers\n• Documentation\n• TODOs and important notes\n• Linter directives\n• ALL comments without exception\n\nThis is IRREVERSIBLE. Are you absolutely sure?`,
+            `About to remove ${totalComments} comments across ${results.length} files.\n\nAre you sure you want to proceed?`,
             {
                 modal: true,
-                detail: `NUCLEAR MODE: This will remove EVERY SINGLE COMMENT in your file.\n\nThis includes:\n• Copyright and license headers\n• Important documentation\n• TODO and FIXME notes\n• ESLint and other linter directives\n• TypeScript directives\n• ALL comments of any kind\n\nThere are NO exceptions in nuclear mode.\n\nREVIEW THE PREVIEW TAB to see ALL comments that will be deleted.\n\nThis action CANNOT be automatically undone!`
+                detail: 'Review the preview tab to see every comment that will be removed. All files are changed in a single edit, so one undo reverts everything, and the run can be restored later from the Comment Cleaner: History view.'
             },
-            'Yes, NUKE ALL Comments',
+            'Yes, Remove Comments',
             'No, Cancel'
         );
 
-        // Clear decorations
-        editor.setDecorations(this.decorationType, []);
-
-        // Close preview document
-        await vscode.commands.executeCommand('workbench.action.closeActiveEditor');
-
-        if (userChoice === 'Yes, NUKE ALL Comments') {
-            await this.removeComments(editor, commentsToRemove);
-
-            vscode.window.showInformationMessage(
-                `💥 NUCLEAR REMOVAL COMPLETE!\n\nRemoved ALL ${commentsToRemove.length} comments from your code.\n\nUse Ctrl+Z immediately if you need to undo!`,
-                'I Understand'
-            );
+        if (userChoice === 'Yes, Remove Comments') {
+            await this.applyWorkspaceRemoval(results);
         }
     }
 
-    generateNuclearRemovalPreview(editor, commentsToRemove) {
-        const document = editor.document;
-        const fileName = document.fileName ? document.fileName.split('/').pop() : 'Untitled';
+    generateWorkspacePreview(results, modeLabel) {
+        const totalComments = results.reduce((sum, result) => sum + result.removableComments.length, 0);
 
-        let content = `# 🚨 NUCLEAR COMMENT REMOVAL - PREVIEW\n\n`;
-        content += `**File:** ${fileName}\n`;
-        content += `**Language:** ${document.languageId}\n`;
-        content += `**ALL comments to remove:** ${commentsToRemove.length}\n`;
-        content += `**Comments to preserve:** 0 (NUCLEAR MODE)\n`;
+        let content = `# Workspace Comment Removal Preview\n\n`;
+        content += `**Mode:** ${modeLabel}\n`;
+        content += `**Files affected:** ${results.length}\n`;
+        content += `**Total comments to remove:** ${totalComments}\n`;
         content += `**Generated:** ${new Date().toLocaleString()}\n\n`;
 
-        content += `## 🚨 NUCLEAR MODE WARNING\n\n`;
-        content += `This mode will remove **EVERY SINGLE COMMENT** from your code.\n`;
-        content += `**NO EXCEPTIONS** - including critical comments like:\n`;
-        content += `- License headers and copyright notices\n`;
-        content += `- Important documentation\n`;
-        content += `- TODO and FIXME notes\n`;
-        content += `- ESLint, TypeScript, and other tool directives\n`;
-        content += `- Function and class documentation\n`;
-        content += `- ALL comments of any kind\n\n`;
-
-        // Group ALL comments by category (showing everything will be removed)
-        const categorizedComments = {};
-        commentsToRemove.forEach(item => {
-            const category = item.analysis.category;
-            if (!categorizedComments[category]) {
-                categorizedComments[category] = [];
-            }
-            categorizedComments[category].push(item);
+        content += `## Files\n\n`;
+        content += `| File | Comments | Categories |\n`;
+        content += `|------|----------|------------|\n`;
+
+        results.forEach(result => {
+            const categories = [...new Set(result.removableComments.map(item => item.analysis.category))].join(', ');
+            content += `| ${vscode.workspace.asRelativePath(result.document.uri)} | ${result.removableComments.length} | ${categories} |\n`;
         });
 
-        content += `## 💥 ALL COMMENTS TO BE REMOVED (${commentsToRemove.length})\n\n`;
+        content += `\n`;
 
-        Object.entries(categorizedComments).forEach(([category, comments]) => {
-            content += `### ${category.charAt(0).toUpperCase() + category.slice(1)} (${comments.length}) - ALL WILL BE DELETED\n\n`;
+        results.forEach(result => {
+            content += `## ${vscode.workspace.asRelativePath(result.document.uri)} (${result.removableComments.length})\n\n`;
+            if (result.ruleSources.length > 0) {
+                content += `*Rules: ${this.describeRuleSources(result.ruleSources)}*\n\n`;
+            }
 
-            // Show first few examples from each category
-            comments.slice(0, 3).forEach((item, index) => {
+            result.removableComments.forEach(item => {
                 const lineNum = item.comment.lineNumber + 1;
                 const commentText = item.comment.text.trim().substring(0, 80);
-                content += `- **Line ${lineNum}:** \`${commentText}${commentText.length >= 80 ? '...' : ''}\`\n`;
+                const confidence = Math.round(item.analysis.confidence * 100);
+                content += `- **Line ${lineNum}** ${item.analysis.category} (${confidence}%): \`${commentText}${commentText.length >= 80 ? '...' : ''}\`\n`;
             });
 
-            if (comments.length > 3) {
-                content += `- ... and ${comments.length - 3} more ${category} comments\n`;
-            }
             content += `\n`;
         });
 
-        content += `## 📊 Nuclear Removal Summary\n\n`;
-        content += `| Category | Count | Action |\n`;
-        content += `|----------|-------|--------|\n`;
-
-        Object.entries(categorizedComments).forEach(([category, comments]) => {
-            content += `| ${category} | ${comments.length} | 💥 DELETE |\n`;
-        });
-
-        content += `\n## 🚨 FINAL NUCLEAR WARNING\n\n`;
-        content += `### This will remove:\n`;
-        content += `- **${commentsToRemove.length}** comments (ALL of them)\n`;
-        content += `- **0** comments will be preserved\n`;
-        content += `- **EVERY** comment type including critical ones\n`;
-        content += `- License headers, documentation, TODOs, directives - EVERYTHING\n\n`;
-
-        content += `### Before proceeding:\n`;
-        content += `- ✅ Make sure you have a backup of your file\n`;
-        content += `- ✅ Confirm this is really what you want\n`;
-        content += `- ✅ Remember that Ctrl+Z is your only way to undo\n`;
-        content += `- ✅ Consider if you really need to remove ALL comments\n\n`;
-
-        content += `**🔥 This is the NUCLEAR OPTION - it removes EVERYTHING without discrimination!**\n\n`;
-        content += `**💡 Alternative:** If you want selective removal, cancel and use "Preview & Remove" instead.\n`;
+        content += `**💡 Tip:** All files are changed in one edit. Use Ctrl+Z (Cmd+Z on Mac) once to revert everything.\n`;
 
         return content;
     }
 
-    async showRemovalSummary(removedComments, preservedComments) {
-        const summaryContent = `# Comment Removal Summary\n\n**Removed:** ${removedComments.length} comments\n**Preserved:** ${preservedComments.length} comments\n\n## Details\n\nRemoval completed successfully. Use Ctrl+Z to undo if needed.`;
-
-        const doc = await vscode.workspace.openTextDocument({
-            content: summaryContent,
-            language: 'markdown'
-        });
-
-        await vscode.window.showTextDocument(doc);
-    }
-
-    async selectiveRemoval(editor, removableComments) {
-        const items = removableComments.map(item => ({
-            label: `Line ${item.comment.lineNumber + 1}: ${item.analysis.category} (${Math.round(item.analysis.confidence * 100)}%)`,
-            description: item.comment.text.substring(0, 80) + (item.comment.text.length > 80 ? '...' : ''),
-            detail: `${item.analysis.reasons.join(', ')}`,
-            picked: item.analysis.confidence > 0.7,
-            item: item
-        }));
-
-        const selected = await vscode.window.showQuickPick(items, {
-            canPickMany: true,
-            placeHolder: 'Select comments to remove (pre-selected based on confidence)',
-            matchOnDescription: true,
-            matchOnDetail: true,
-            title: 'Select Comments for Removal'
-        });
-
-        if (selected && selected.length > 0) {
-            // Show preview for selected comments
-            await this.showRemovalPreview(editor, selected.map(s => s.item));
-        }
-    }
-
-    async removeComments(editor, commentsToRemove) {
-        // Sort by position (descending) to avoid offset issues
-        commentsToRemove.sort((a, b) => b.comment.range.start.compareTo(a.comment.range.start));
+    async applyWorkspaceRemoval(results) {
+        const workspaceEdit = new vscode.WorkspaceEdit();
+        let removedCount = 0;
+        const historyFiles = results.map(({ document, removableComments }) => this.recordFileRemovals(document, removableComments));
 
-        const success = await editor.edit(editBuilder => {
-            commentsToRemove.forEach(item => {
-                // Handle full line comments (remove entire line if it's only whitespace + comment)
-                const line = editor.document.lineAt(item.comment.range.start.line);
-                const beforeComment = line.text.substring(0, item.comment.range.start.character);
-
-                if (beforeComment.trim() === '') {
-                    // Remove entire line
-                    const lineRange = new vscode.Range(
-                        item.comment.range.start.line, 0,
-                        item.comment.range.start.line + 1, 0
-                    );
-                    editBuilder.delete(lineRange);
-                } else {
-                    // Remove just the comment part
-                    editBuilder.delete(item.comment.range);
-                }
+        results.forEach(({ document, removableComments }) => {
+            this.getRemovalEdits(document, removableComments.map(item => item.comment)).forEach(edit => {
+                workspaceEdit.replace(document.uri, edit.range, edit.newText);
             });
+            removedCount += removableComments.length;
         });
 
+        const success = await vscode.workspace.applyEdit(workspaceEdit);
+
         if (success) {
             vscode.window.showInformationMessage(
-                `Successfully removed ${commentsToRemove.length} unnecessary comments.`
+                `Successfully removed ${removedCount} unnecessary comments across ${results.length} files. Save the modified files to keep the changes.`
             );
 
-            // Update statistics
-            this.analyzer.statistics.removedComments = commentsToRemove.length;
-            this.updateStatistics(commentsToRemove);
+            this.analyzer.statistics.removedComments = removedCount;
+            results.forEach(result => this.updateStatistics(result.removableComments));
+            this.addRemovalRun('Workspace', historyFiles);
         } else {
-            vscode.window.showErrorMessage('Failed to remove comments.');
+            vscode.window.showErrorMessage('Failed to remove comments from the workspace.');
         }
     }
 
     generateReport(analyses) {
-        const categories = {};
-        analyses.forEach(item => {
-            const cat = item.analysis.category;
-            if (!categories[cat]) {
-                categories[cat] = { count: 0, shouldRemove: 0, avgConfidence: 0 };
+        return summarizeAnalyses(analyses);
+    }
+
+    async exportReport() {
+        const formatItem = await vscode.window.showQuickPick(
+            Object.entries(REPORT_FORMATS).map(([format, { label, extension }]) => ({
+                label,
+                description: `.${extension}`,
+                format
+            })),
+            { placeHolder: 'Select report format', title: 'Export Comment Report' }
+        );
+        if (!formatItem) return;
+
+        const editor = vscode.window.activeTextEditor;
+        const folders = (vscode.workspace.workspaceFolders || []).map(folder => folder.uri);
+        const scopes = [];
+        if (editor && this.isSupported(editor.document)) {
+            scopes.push({ label: 'Current File', description: vscode.workspace.asRelativePath(editor.document.uri), scope: 'file' });
+        }
+        if (folders.length > 0) {
+            scopes.push({ label: 'Workspace', description: 'All matching files', scope: 'workspace' });
+        }
+
+        if (scopes.length === 0) {
+            vscode.window.showInformationMessage('Open a supported file or a workspace to export a comment report.');
+            return;
+        }
+
+        const scopeItem = scopes.length === 1
+            ? scopes[0]
+            : await vscode.window.showQuickPick(scopes, { placeHolder: 'Select what to report on', title: 'Export Comment Report' });
+        if (!scopeItem) return;
+
+        let files;
+
+        try {
+            if (scopeItem.scope === 'file') {
+                files = [{
+                    filePath: editor.document.uri.fsPath,
+                    languageId: this.getAnalysisContext(editor.document).languageId,
+                    analyses: await this.analyzeDocument(editor.document),
+                    threshold: this.getConfidenceThreshold(editor.document)
+                }];
+            } else {
+                const results = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: "Analyzing workspace comments...",
+                    cancellable: true
+                }, (progress, token) => this.analyzeWorkspaceFiles(folders, null, progress, token, true));
+
+                if (!results) {
+                    vscode.window.showInformationMessage('Report export cancelled.');
+                    return;
+                }
+
+                files = results.map(result => ({
+                    filePath: result.document.uri.fsPath,
+                    languageId: result.languageId,
+                    analyses: result.analyses,
+                    threshold: result.threshold
+                }));
             }
-            categories[cat].count++;
-            if (item.analysis.shouldRemove) categories[cat].shouldRemove++;
-            categories[cat].avgConfidence += item.analysis.confidence;
-        });
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error analyzing comments: ${error.message}`);
+            return;
+        }
+
+        const baseDir = folders.length > 0 ? folders[0].fsPath : path.dirname(files[0].filePath);
+        const report = createReport(files, { baseDir, threshold: this.analyzer.settings.confidenceThreshold });
+        const extension = REPORT_FORMATS[formatItem.format].extension;
 
-        // Calculate averages
-        Object.keys(categories).forEach(cat => {
-            categories[cat].avgConfidence /= categories[cat].count;
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(baseDir, `comment-report.${extension}`)),
+            filters: { [formatItem.label]: [extension] }
         });
+        if (!target) return;
 
-        return {
-            total: analyses.length,
-            categories: categories,
-            timestamp: new Date().toISOString()
-        };
+        await vscode.workspace.fs.writeFile(target, Buffer.from(formatReport(report, formatItem.format), 'utf8'));
+
+        const action = await vscode.window.showInformationMessage(
+            `Exported ${report.summary.total} comments from ${files.length} file${files.length === 1 ? '' : 's'} to ${path.basename(target.fsPath)}.`,
+            'Open Report'
+        );
+        if (action === 'Open Report') {
+            await vscode.window.showTextDocument(target);
+        }
     }
 
     async showReport(report) {
@@ -1187,7 +1320,11 @@ ${this.generateRecommendations(report)}
     }
 
     dispose() {
+        if (ReviewPanel.current) ReviewPanel.current.dispose();
+        this.previewProvider.dispose();
         this.decorationType.dispose();
+        this.historyEmitter.dispose();
+        this.configuredLanguages.forEach(registration => registration.dispose());
     }
 }
 
@@ -1196,6 +1333,11 @@ ${this.generateRecommendations(report)}
  */
 function activate(context) {
     const commentCleaner = new CommentCleaner();
+    const storageUri = context.storageUri || context.globalStorageUri;
+    commentCleaner.removalHistory = new RemovalHistory(
+        path.join(storageUri.fsPath, 'removal-history.json'),
+        vscode.workspace.getConfiguration('commentCleaner').get('removalHistory.maxRuns', 50)
+    );
 
     // Register main command
     const cleanCommand = vscode.commands.registerCommand('extension.intelligentRemoveComments', async () => {
@@ -1204,17 +1346,63 @@ function activate(context) {
 
     // Register configuration-specific commands
     const cleanAggressiveCommand = vscode.commands.registerCommand('extension.aggressiveCleanComments', async () => {
-        await commentCleaner.cleanComments({ confidenceThreshold: 0.4 });
+        await commentCleaner.cleanComments({ confidenceThreshold: CONFIDENCE_THRESHOLDS.aggressive });
     });
 
     const cleanConservativeCommand = vscode.commands.registerCommand('extension.conservativeCleanComments', async () => {
-        await commentCleaner.cleanComments({ confidenceThreshold: 0.8 });
+        await commentCleaner.cleanComments({ confidenceThreshold: CONFIDENCE_THRESHOLDS.conservative });
+    });
+
+    const cleanSymbolCommand = vscode.commands.registerCommand('extension.cleanCurrentSymbol', async () => {
+        await commentCleaner.cleanCurrentSymbol();
+    });
+
+    const browseArchiveCommand = vscode.commands.registerCommand('extension.browseCommentArchive', async () => {
+        await commentCleaner.browseArchive();
+    });
+
+    // Register diff-scoped commands
+    const cleanChangedCommand = vscode.commands.registerCommand('extension.cleanChangedComments', async () => {
+        await commentCleaner.cleanComments({ scope: { mode: 'diff' } });
+    });
+
+    const cleanStagedCommand = vscode.commands.registerCommand('extension.cleanStagedComments', async () => {
+        await commentCleaner.cleanComments({ scope: { mode: 'staged' } });
+    });
+
+    const cleanAgainstBranchCommand = vscode.commands.registerCommand('extension.cleanCommentsAgainstBranch', async () => {
+        await commentCleaner.cleanCommentsAgainstBranch();
+    });
+
+    // Register comment tidying
+    const tidyCommand = vscode.commands.registerCommand('extension.tidyComments', async () => {
+        await commentCleaner.tidyComments();
+    });
+
+    // Register diff previews and their title bar buttons, which pass the previewed uri
+    const previewProvider = vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, commentCleaner.previewProvider);
+    const activePreviewUri = uri => uri ||
+        (vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri.scheme === PREVIEW_SCHEME
+            ? vscode.window.activeTextEditor.document.uri
+            : null);
+    const acceptPreviewCommand = vscode.commands.registerCommand('extension.acceptPreview', (uri) => {
+        return commentCleaner.previewProvider.decide(activePreviewUri(uri), 'accept');
+    });
+    const acceptPreviewAndArchiveCommand = vscode.commands.registerCommand('extension.acceptPreviewAndArchive', (uri) => {
+        return commentCleaner.previewProvider.decide(activePreviewUri(uri), 'archive');
+    });
+    const rejectPreviewCommand = vscode.commands.registerCommand('extension.rejectPreview', (uri) => {
+        return commentCleaner.previewProvider.decide(activePreviewUri(uri), null);
     });
 
     // Register batch processing command
-    const cleanWorkspaceCommand = vscode.commands.registerCommand('extension.cleanWorkspaceComments', async () => {
-        // Implementation for cleaning entire workspace
-        vscode.window.showInformationMessage('Workspace cleaning feature coming soon!');
+    const cleanWorkspaceCommand = vscode.commands.registerCommand('extension.cleanWorkspaceComments', async (folderUri) => {
+        await commentCleaner.cleanWorkspace(folderUri instanceof vscode.Uri ? folderUri : undefined);
+    });
+
+    // Register report export command
+    const exportReportCommand = vscode.commands.registerCommand('extension.exportCommentReport', async () => {
+        await commentCleaner.exportReport();
     });
 
     // Register "Remove All Comments" command
@@ -1225,12 +1413,12 @@ function activate(context) {
             return;
         }
 
-        const analyzer = commentCleaner.analyzer;
+        const { analyzer, languageId } = commentCleaner.getAnalysisContext(editor.document);
 
-        const languageConfig = analyzer.getLanguageConfig(editor.document.languageId);
+        const languageConfig = analyzer.getLanguageConfig(languageId);
         if (!languageConfig) {
             vscode.window.showInformationMessage(
-                `Language '${editor.document.languageId}' is not supported for comment analysis.`
+                `Language '${languageId}' is not supported for comment analysis.`
             );
             return;
         }
@@ -1243,7 +1431,7 @@ function activate(context) {
             }, async (progress) => {
                 progress.report({ increment: 30, message: "Extracting comments..." });
 
-                const comments = analyzer.extractComments(editor.document);
+                const comments = analyzer.extractComments(editor.document, languageId);
                 if (comments.length === 0) {
                     vscode.window.showInformationMessage('No comments found in the current document.');
                     return;
@@ -1251,12 +1439,21 @@ function activate(context) {
 
                 progress.report({ increment: 70, message: "Analyzing comments..." });
 
-                const analyses = [];
+                let analyses = [];
                 for (const comment of comments) {
                     const analysis = analyzer.analyzeComment(comment, editor.document);
                     analyses.push({ comment, analysis });
                 }
 
+                const ranges = commentCleaner.getSelectionRanges(editor);
+                if (ranges) {
+                    analyses = commentCleaner.narrowToScope(analyses, null, ranges);
+                    if (analyses.length === 0) {
+                        vscode.window.showInformationMessage('No comments found in the selected code.');
+                        return;
+                    }
+                }
+
                 progress.report({ increment: 100, message: "Complete!" });
 
                 await commentCleaner.removeAllCommentsWithConfirmation(editor, analyses);
@@ -1266,12 +1463,113 @@ function activate(context) {
         }
     });
 
+    // Background diagnostics for removable comments
+    const commentDiagnostics = new CommentDiagnostics(commentCleaner);
+    commentDiagnostics.loadSettings();
+
+    const toggleDiagnosticsCommand = vscode.commands.registerCommand('extension.toggleCommentDiagnostics', async () => {
+        const config = vscode.workspace.getConfiguration('commentCleaner.diagnostics');
+        const enabled = !config.get('enabled', false);
+        await config.update('enabled', enabled, vscode.ConfigurationTarget.Global);
+        vscode.window.showInformationMessage(`Comment diagnostics ${enabled ? 'enabled' : 'disabled'}.`);
+    });
+
+    // Quick fixes to remove or keep individual comments
+    const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+        [{ scheme: 'file' }, { scheme: 'untitled' }],
+        new CommentCodeActionProvider(commentCleaner),
+        { providedCodeActionKinds: CommentCodeActionProvider.providedCodeActionKinds }
+    );
+
+    // TODO/FIXME tracker in the explorer sidebar
+    const todoTree = new TodoTreeProvider(commentCleaner);
+    const todoTreeView = vscode.window.registerTreeDataProvider('commentCleaner.todos', todoTree);
+    const refreshTodosCommand = vscode.commands.registerCommand('extension.refreshTodos', () => todoTree.refresh());
+    const groupTodosCommand = vscode.commands.registerCommand('extension.groupTodos', () => todoTree.chooseGrouping());
+    const exportTodosCommand = vscode.commands.registerCommand('extension.exportTodos', () => todoTree.exportTodos());
+
+    // Removed comments, restorable after a reload
+    const historyTree = new RemovalHistoryTreeProvider(commentCleaner);
+    const historyTreeView = vscode.window.registerTreeDataProvider('commentCleaner.history', historyTree);
+    const restoreRunCommand = vscode.commands.registerCommand('extension.restoreRemovalRun', async (node) => {
+        if (!node || !node.run) return;
+        await commentCleaner.restoreRemovals(node.run.files.map(file => ({ file, entries: file.entries })));
+    });
+    const restoreCommentCommand = vscode.commands.registerCommand('extension.restoreRemovedComment', async (node) => {
+        if (!node || !node.file) return;
+        await commentCleaner.restoreRemovals([{ file: node.file, entries: node.entry ? [node.entry] : node.file.entries }]);
+    });
+    const recordRemovalCommand = vscode.commands.registerCommand('extension.recordRemoval', (mode, files) => {
+        commentCleaner.addRemovalRun(mode, files);
+    });
+    const insertDocDescriptionCommand = vscode.commands.registerCommand('extension.insertDocDescription', insertDocDescription);
+    const clearHistoryCommand = vscode.commands.registerCommand('extension.clearRemovalHistory', async () => {
+        const choice = await vscode.window.showWarningMessage(
+            'Clear the removal history? Removed comments can no longer be restored from it.',
+            { modal: true },
+            'Clear History'
+        );
+        if (choice !== 'Clear History') return;
+
+        commentCleaner.removalHistory.clear();
+        commentCleaner.historyEmitter.fire();
+    });
+
+    // Reload settings so every command picks up changes immediately
+    const configurationListener = vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('commentCleaner')) {
+            commentCleaner.loadSettings();
+            commentDiagnostics.loadSettings();
+            todoTree.loadSettings();
+            commentCleaner.removalHistory.maxRuns = vscode.workspace.getConfiguration('commentCleaner').get('removalHistory.maxRuns', 50);
+        }
+    });
+
+    // Project rules files apply without a reload when they are added, edited or removed
+    const rulesWatcher = vscode.workspace.createFileSystemWatcher('**/.commentcleanerrc*');
+    const reloadRules = () => {
+        clearRcCache();
+        commentCleaner.loadSettings();
+        commentDiagnostics.loadSettings();
+    };
+    rulesWatcher.onDidCreate(reloadRules);
+    rulesWatcher.onDidChange(reloadRules);
+    rulesWatcher.onDidDelete(reloadRules);
+
     context.subscriptions.push(
         cleanCommand,
         cleanAggressiveCommand,
         cleanConservativeCommand,
+        cleanSymbolCommand,
+        browseArchiveCommand,
+        cleanChangedCommand,
+        cleanStagedCommand,
+        cleanAgainstBranchCommand,
+        tidyCommand,
+        previewProvider,
+        acceptPreviewCommand,
+        acceptPreviewAndArchiveCommand,
+        rejectPreviewCommand,
         cleanWorkspaceCommand,
         removeAllCommand,
+        exportReportCommand,
+        toggleDiagnosticsCommand,
+        codeActionProvider,
+        todoTreeView,
+        refreshTodosCommand,
+        groupTodosCommand,
+        exportTodosCommand,
+        todoTree,
+        historyTreeView,
+        restoreRunCommand,
+        restoreCommentCommand,
+        recordRemovalCommand,
+        insertDocDescriptionCommand,
+        clearHistoryCommand,
+        historyTree,
+        configurationListener,
+        rulesWatcher,
+        commentDiagnostics,
         commentCleaner
     );
 
@@ -1283,6 +1581,45 @@ function activate(context) {
     statusBarItem.show();
 
     context.subscriptions.push(statusBarItem);
+
+    // API for other extensions
+    return {
+        /**
+         * Add or override a language (see src/languages.js for the definition format)
+         * Returns a disposable that removes it again
+         */
+        registerLanguage(id, definition) {
+            const registration = languages.register(id, definition);
+            const refresh = () => {
+                if (commentDiagnostics.enabled) commentDiagnostics.refreshAll();
+            };
+
+            refresh();
+            return new vscode.Disposable(() => {
+                registration.dispose();
+                refresh();
+            });
+        },
+
+        /**
+         * Add a ticket resolver: an object whose synchronous `resolve(id)` returns
+         * { id, status, closed, title } or null (see src/tickets.js)
+         * Returns a disposable that removes it again
+         */
+        registerTicketResolver(resolver) {
+            const reload = () => {
+                commentCleaner.loadSettings();
+                commentDiagnostics.loadSettings();
+            };
+
+            commentCleaner.ticketResolvers.push(resolver);
+            reload();
+            return new vscode.Disposable(() => {
+                commentCleaner.ticketResolvers = commentCleaner.ticketResolvers.filter(other => other !== resolver);
+                reload();
+            });
+        }
+    };
 }
 
 function deactivate() {
@@ -0,0 +1,762 @@
+const { tokenize } = require('./tokenizer');
+const { languages, isDocComment } = require('./languages');
+const { checkDocComment } = require('./docComments');
+const { StalenessChecker } = require('./staleness');
+const { applyDirectives } = require('./directives');
+const { extractTicketReferences } = require('./tickets');
+const { resolveWeights, combineSignals } = require('./scoring');
+
+/**
+ * Comment Analyzer
+ * Editor-independent comment extraction and classification
+ *
+ * Documents only need to provide languageId, lineCount, getText(), positionAt(),
+ * offsetAt() and lineAt(), which both VS Code documents and ./document.js satisfy.
+ */
+
+// Confidence thresholds used by the Standard/Aggressive/Conservative commands
+const CONFIDENCE_THRESHOLDS = {
+    standard: 0.6,
+    aggressive: 0.4,
+    conservative: 0.8
+};
+
+// Age after which an unchanged comment above changed code counts as stale
+const STALE_AFTER_DAYS = 365;
+
+// Strength of the noise signal for comments that are merely very short
+const SHORT_NOISE_STRENGTH = 0.6;
+
+// Categories of comments the analyzer can recommend for removal
+const REMOVABLE_CATEGORIES = ['commented_code', 'redundant', 'noise', 'outdated', 'trivial', 'empty', 'duplicate', 'debug', 'resolved_todo'];
+
+class CommentAnalyzer {
+    /**
+     * @param {object} options
+     * @param {function} [options.createRange] builds a range from two positions (defaults to plain objects)
+     * @param {function} [options.onWarning] receives messages about invalid settings
+     * @param {object} [options.settings] initial settings, see updateSettings
+     * @param {LanguageRegistry} [options.languages] languages to support (defaults to the shared registry)
+     * @param {object} [options.ticketResolver] looks up ticket references of TODOs, see ./tickets.js
+     */
+    constructor(options = {}) {
+        this.createRange = options.createRange || ((start, end) => ({ start, end }));
+        this.onWarning = options.onWarning || (() => {});
+        this.languages = options.languages || languages;
+        this.ticketResolver = options.ticketResolver || null;
+        this.reportedTicketErrors = new Set();
+        this.staleness = new StalenessChecker();
+        this.statistics = {
+            totalComments: 0,
+            preservedComments: 0,
+            removedComments: 0,
+            categories: {}
+        };
+        this.updateSettings(options.settings || {});
+    }
+
+    /**
+     * Apply plain settings (the commentCleaner.* configuration or CLI options)
+     */
+    updateSettings(config) {
+        this.config = config;
+
+        const categories = {};
+        const configuredCategories = config.categories || {};
+        REMOVABLE_CATEGORIES.forEach(category => {
+            categories[category] = configuredCategories[category] !== false;
+        });
+
+        this.settings = {
+            confidenceThreshold: config.confidenceThreshold !== undefined
+                ? config.confidenceThreshold
+                : CONFIDENCE_THRESHOLDS.standard,
+            categories,
+            checkDocComments: config.checkDocComments !== false,
+            criticalPatterns: (config.criticalPatterns || []).map(pattern => pattern.toLowerCase()),
+            criticalRegexes: this.compilePatterns(config.criticalRegexes || [], 'criticalPatterns'),
+            noisePatterns: this.compilePatterns(config.noisePatterns || [], 'commentCleaner.noisePatterns'),
+            debugPatterns: this.compilePatterns(config.debugPatterns || [], 'commentCleaner.debugPatterns'),
+            weights: resolveWeights(config.weights, this.onWarning)
+        };
+    }
+
+    /**
+     * Compile user-supplied regex sources, reporting the ones that are invalid
+     */
+    compilePatterns(sources, settingName) {
+        const patterns = [];
+
+        sources.forEach(source => {
+            try {
+                patterns.push(new RegExp(source, 'i'));
+            } catch (error) {
+                this.onWarning(`Ignoring invalid pattern '${source}' in ${settingName}: ${error.message}`);
+            }
+        });
+
+        return patterns;
+    }
+
+    isCategoryEnabled(category) {
+        return this.settings.categories[category] !== false;
+    }
+
+    /**
+     * Comment syntax, keywords and doc-comment conventions of a language, or null if unsupported
+     */
+    getLanguageConfig(languageId) {
+        return this.languages.get(languageId);
+    }
+
+    /**
+     * Extract comments with a language-aware tokenizer so that comment markers
+     * inside strings, template literals, regex literals and heredocs are ignored
+     *
+     * `languageId` overrides the document's language, e.g. from a project rules file
+     */
+    extractComments(document, languageId = document.languageId) {
+        const languageConfig = this.getLanguageConfig(languageId);
+        if (!languageConfig) return [];
+
+        const text = document.getText();
+        const comments = tokenize(text, languageConfig.syntax).map(token => {
+            const startPos = document.positionAt(token.start);
+            const endPos = document.positionAt(token.end);
+            const isLineComment = token.kind === 'line';
+            const isDocBlock = isDocComment(token.text, languageConfig);
+
+            return {
+                type: isDocBlock ? 'docblock' : (isLineComment ? 'single' : 'multi'),
+                text: token.text,
+                range: this.createRange(startPos, endPos),
+                start: token.start,
+                end: token.end,
+                delimiter: token.delimiter,
+                closeDelimiter: token.closeDelimiter || null,
+                languageId,
+                lineNumber: startPos.line,
+                context: this.getContext(document, startPos.line),
+                isInlineComment: isLineComment && startPos.character > 0
+            };
+        });
+
+        this.groupDocLines(comments);
+        applyDirectives(comments);
+
+        this.statistics.totalComments = comments.length;
+        return comments;
+    }
+
+    /**
+     * Link runs of `///`-style doc comments on consecutive lines, which document
+     * the declaration after the last one together
+     */
+    groupDocLines(comments) {
+        let group = null;
+
+        comments.forEach((comment, index) => {
+            if (comment.type !== 'docblock' || comment.closeDelimiter || comment.isInlineComment) {
+                group = null;
+                return;
+            }
+
+            const previous = comments[index - 1];
+            const continues = group && previous === group[group.length - 1] &&
+                previous.delimiter === comment.delimiter && previous.lineNumber === comment.lineNumber - 1;
+
+            if (!continues) group = [];
+            group.push(comment);
+            comment.docGroup = group;
+        });
+    }
+
+    /**
+     * Helper to determine if comment is inline with code
+     */
+    isInlineComment(document, startPos) {
+        const line = document.lineAt(startPos.line);
+        const beforeComment = line.text.substring(0, startPos.character).trim();
+        return beforeComment.length > 0;
+    }
+
+
+    /**
+     * Get context around a comment (previous and next lines)
+     */
+    getContext(document, lineNumber) {
+        const context = {
+            previousLine: lineNumber > 0 ? document.lineAt(lineNumber - 1).text.trim() : '',
+            currentLine: document.lineAt(lineNumber).text.trim(),
+            nextLine: lineNumber < document.lineCount - 1 ? document.lineAt(lineNumber + 1).text.trim() : '',
+            nextNonEmptyLine: this.getNextNonEmptyLine(document, lineNumber + 1),
+            indentLevel: this.getIndentLevel(document.lineAt(lineNumber).text)
+        };
+
+        return context;
+    }
+
+    /**
+     * Get the next non-empty line
+     */
+    getNextNonEmptyLine(document, startLine) {
+        for (let i = startLine; i < document.lineCount; i++) {
+            const line = document.lineAt(i).text.trim();
+            if (line.length > 0) {
+                return line;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Get indentation level
+     */
+    getIndentLevel(line) {
+        const match = line.match(/^(\s*)/);
+        return match ? match[1].length : 0;
+    }
+
+    /**
+     * Classify a comment by combining the weighted signals of every detector that
+     * matches it (see ./scoring.js), its git history among them when known
+     */
+    analyzeComment(comment, document) {
+        // Comments protected by comment-cleaner directives are never removed
+        if (comment.suppression) {
+            return {
+                category: 'preserved',
+                shouldRemove: false,
+                confidence: 1,
+                reasons: [comment.suppression.reason],
+                signals: []
+            };
+        }
+
+        const analysis = combineSignals(this.collectSignals(comment, document), this.settings.weights);
+        (analysis.docFindings || []).forEach(finding => analysis.reasons.push(finding.message));
+        return analysis;
+    }
+
+    /**
+     * Signals of the detectors that match a comment, in priority order
+     * Detectors of disabled categories are skipped.
+     */
+    collectSignals(comment, document) {
+        const signals = [];
+        const cleanComment = this.cleanCommentText(this.stripDelimiters(comment));
+        const languageConfig = this.getLanguageConfig(comment.languageId || document.languageId);
+
+        // Doc blocks document an API; empty ones are left to the other detectors
+        if ((comment.type === 'docblock' || comment.isDocBlock) && /\w/.test(cleanComment)) {
+            signals.push({
+                name: 'docblock',
+                category: 'documentation',
+                reason: 'API documentation block',
+                details: { docFindings: this.checkDocBlock(comment, document) }
+            });
+        }
+
+        // Critical comments, unless they are TODOs whose tickets have all been closed
+        if (this.isCriticalComment(cleanComment)) {
+            const closedTickets = this.isCategoryEnabled('resolved_todo') ? this.findClosedTickets(this.stripDelimiters(comment)) : null;
+            if (closedTickets) {
+                signals.push({
+                    name: 'resolved_todo',
+                    category: 'resolved_todo',
+                    reason: `References closed tickets: ${closedTickets.map(ticket => `${ticket.id} (${ticket.status || 'closed'})`).join(', ')}`,
+                    details: { tickets: closedTickets }
+                });
+            } else {
+                signals.push({ name: 'critical', category: 'critical', reason: 'Contains critical directives or important metadata' });
+            }
+        }
+
+        // Commented-out code above a declaration is not its documentation
+        const commentedCode = this.isCategoryEnabled('commented_code') && this.isCommentedCode(cleanComment, languageConfig);
+        if (!commentedCode && this.isDocumentation(cleanComment, comment.context)) {
+            signals.push({ name: 'documentation', category: 'documentation', reason: 'Appears to be meaningful documentation' });
+        }
+
+        if (commentedCode) {
+            signals.push({ name: 'commented_code', category: 'commented_code', reason: 'Appears to be commented-out code' });
+        }
+
+        const redundancyScore = this.isCategoryEnabled('redundant')
+            ? this.calculateRedundancyScore(cleanComment, comment.context)
+            : 0;
+        if (redundancyScore > 0.5) {
+            signals.push({
+                name: 'redundant',
+                category: 'redundant',
+                strength: redundancyScore,
+                reason: 'Comment is redundant with the code it describes'
+            });
+        }
+
+        const noiseStrength = this.isCategoryEnabled('noise') ? this.getNoiseStrength(cleanComment) : 0;
+        if (noiseStrength > 0) {
+            signals.push({
+                name: 'noise',
+                category: 'noise',
+                strength: noiseStrength,
+                reason: noiseStrength < 1 ? 'Comment is very short' : 'Comment appears to be noise or placeholder'
+            });
+        }
+
+        if (this.isCategoryEnabled('outdated')) {
+            const missingIdentifiers = languageConfig
+                ? this.staleness.findMissingIdentifiers(this.stripDelimiters(comment), document.getText(), languageConfig.syntax)
+                : [];
+            if (missingIdentifiers.length > 0) {
+                signals.push({
+                    name: 'missing_identifiers',
+                    category: 'outdated',
+                    reason: `Refers to identifiers missing from the file: ${missingIdentifiers.join(', ')}`,
+                    details: { missingIdentifiers }
+                });
+            }
+
+            if (this.isOutdatedComment(cleanComment, comment.context)) {
+                signals.push({ name: 'outdated', category: 'outdated', reason: 'Comment appears to be outdated or incorrect' });
+            }
+        }
+
+        if (this.isCategoryEnabled('trivial') && this.isTrivialComment(cleanComment, comment.context)) {
+            signals.push({ name: 'trivial', category: 'trivial', reason: 'Comment states the obvious' });
+        }
+
+        if (this.isCategoryEnabled('empty') && this.isEmptyComment(cleanComment)) {
+            signals.push({ name: 'empty', category: 'empty', reason: 'Comment is empty or contains only whitespace' });
+        }
+
+        if (this.isCategoryEnabled('duplicate') && this.isDuplicateComment(cleanComment, comment, document)) {
+            signals.push({ name: 'duplicate', category: 'duplicate', reason: 'Comment is duplicated elsewhere' });
+        }
+
+        if (this.isCategoryEnabled('debug') && this.isDebugComment(cleanComment)) {
+            signals.push({ name: 'debug', category: 'debug', reason: 'Comment appears to be debug or temporary' });
+        }
+
+        // Code below that changed after the comment was last edited makes the comment more
+        // likely to be stale; on its own that only counts once the comment is old
+        const history = comment.history;
+        if (history && history.codeChangedSince) {
+            const stale = this.isCategoryEnabled('outdated') && history.ageDays >= STALE_AFTER_DAYS;
+            signals.push({
+                name: 'history',
+                category: 'outdated',
+                strength: stale ? 1 : 0.3,
+                supporting: !stale,
+                reason: stale
+                    ? `Code below changed after the comment was last edited; comment unchanged for ${history.ageDays} days`
+                    : 'Code below changed after the comment was last edited'
+            });
+        }
+
+        return signals;
+    }
+
+    /**
+     * Problems in a doc comment, with quick fixes
+     * A run of line doc comments is checked once, on its last comment
+     */
+    checkDocBlock(comment, document) {
+        const group = comment.docGroup || [comment];
+        if (!this.settings.checkDocComments || group[group.length - 1] !== comment) return [];
+
+        const languageId = comment.languageId || document.languageId;
+        const toRange = (start, end) => this.createRange(document.positionAt(start), document.positionAt(end));
+
+        return checkDocComment(document, group, languageId).findings.map(finding => ({
+            ...finding,
+            range: toRange(finding.start, finding.end),
+            fix: {
+                title: finding.fix.title,
+                edits: finding.fix.edits.map(edit => ({ ...edit, range: toRange(edit.start, edit.end) }))
+            }
+        }));
+    }
+
+    /**
+     * Comment text without the delimiters the tokenizer matched, e.g. `--` or `=begin`/`=end`
+     */
+    stripDelimiters(comment) {
+        let text = comment.text;
+        if (comment.delimiter && text.startsWith(comment.delimiter)) {
+            text = text.substring(comment.delimiter.length);
+        }
+        if (comment.closeDelimiter && text.endsWith(comment.closeDelimiter)) {
+            text = text.substring(0, text.length - comment.closeDelimiter.length);
+        }
+        return text;
+    }
+
+    /**
+     * Tickets referenced by a comment when every one of them is known and closed, otherwise null
+     */
+    findClosedTickets(commentText) {
+        if (!this.ticketResolver) return null;
+
+        const references = extractTicketReferences(commentText);
+        if (references.length === 0) return null;
+
+        let tickets;
+        try {
+            tickets = references.map(id => this.ticketResolver.resolve(id));
+        } catch (error) {
+            // Report a broken issue list once rather than for every comment
+            if (!this.reportedTicketErrors.has(error.message)) {
+                this.reportedTicketErrors.add(error.message);
+                this.onWarning(`Cannot check ticket references: ${error.message}`);
+            }
+            return null;
+        }
+
+        return tickets.every(ticket => ticket && ticket.closed) ? tickets : null;
+    }
+
+    /**
+     * Clean comment text for analysis
+     */
+    cleanCommentText(commentText) {
+        return commentText
+            .replace(/\/\*+|\*+\/|\/\/+|#+/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Check if comment contains critical information
+     */
+    isCriticalComment(cleanComment) {
+        const criticalPatterns = [
+            // Linting and static analysis
+            'eslint-disable', 'eslint-enable', 'jshint', 'tslint', 'prettier-ignore',
+            'stylelint-disable', 'stylelint-enable',
+
+            // TypeScript directives
+            '@ts-ignore', '@ts-expect-error', '@ts-check', '@ts-nocheck',
+
+            // Build and bundler directives
+            'webpack:', 'rollup:', 'vite:', 'esbuild:',
+
+            // Framework-specific
+            'vue-ignore', 'angular-ignore', 'react-ignore',
+
+            // License and legal
+            'copyright', 'license', 'mit license', 'apache license', 'gpl license',
+
+            // Important developer notes
+            'todo:', 'fixme:', 'hack:', 'note:', 'warning:', 'danger:', 'important:',
+            'bug:', 'issue:', 'ticket:', 'jira:', 'github:',
+
+            // API documentation
+            '@param', '@returns', '@throws', '@deprecated', '@example', '@see',
+            '@since', '@author', '@version',
+
+            // Conditional compilation
+            '#ifdef', '#ifndef', '#endif', '#pragma',
+
+            // Performance notes
+            'performance:', 'optimization:', 'benchmark:', 'profiling:',
+
+            // Security notes
+            'security:', 'vulnerability:', 'cve-', 'sanitize:', 'validate:'
+        ];
+
+        return criticalPatterns.concat(this.settings.criticalPatterns).some(pattern => cleanComment.includes(pattern)) ||
+            /\b(?:todo|fixme|hack|bug)\s*\([^)]*\)\s*:/.test(cleanComment) ||
+            this.settings.criticalRegexes.some(pattern => pattern.test(cleanComment));
+    }
+
+    /**
+     * Check if comment is meaningful documentation
+     */
+    isDocumentation(cleanComment, context) {
+        // Too short to be meaningful documentation
+        if (cleanComment.length < 10) return false;
+
+        // Check for documentation patterns
+        const docPatterns = [
+            'explains', 'describes', 'represents', 'implements', 'algorithm',
+            'strategy', 'pattern', 'approach', 'method', 'technique',
+            'purpose:', 'goal:', 'objective:', 'requirements:', 'assumptions:',
+            'preconditions:', 'postconditions:', 'side effects:'
+        ];
+
+        // Check if it's at the beginning of a function/class
+        const isAtFunctionStart = context.nextNonEmptyLine.includes('function') ||
+            context.nextNonEmptyLine.includes('class') ||
+            context.nextNonEmptyLine.includes('def ') ||
+            context.nextNonEmptyLine.includes('public ') ||
+            context.nextNonEmptyLine.includes('private ');
+
+        // Complex logic explanation
+        const hasComplexExplanation = cleanComment.length > 50 &&
+            (cleanComment.includes('because') ||
+                cleanComment.includes('however') ||
+                cleanComment.includes('therefore') ||
+                cleanComment.includes('algorithm') ||
+                cleanComment.includes('implementation'));
+
+        return docPatterns.some(pattern => cleanComment.includes(pattern)) ||
+            (isAtFunctionStart && cleanComment.length > 20) ||
+            hasComplexExplanation;
+    }
+
+    /**
+     * Enhanced commented-out code detection
+     */
+    isCommentedCode(cleanComment, languageConfig) {
+        if (!languageConfig || cleanComment.length < 3) return false;
+
+        const codeIndicators = {
+            symbols: ['{', '}', '(', ')', '[', ']', ';', '=', '==', '===', '!=', '!==', '&&', '||', '++', '--'],
+            operators: ['+', '-', '*', '/', '%', '&', '|', '^', '~', '<<', '>>', '?', ':'],
+            keywords: languageConfig.keywords || []
+        };
+
+        // Count code-like patterns
+        let symbolCount = 0;
+        let keywordCount = 0;
+        let operatorCount = 0;
+
+        codeIndicators.symbols.forEach(symbol => {
+            if (cleanComment.includes(symbol)) symbolCount++;
+        });
+
+        codeIndicators.operators.forEach(operator => {
+            if (cleanComment.includes(operator)) operatorCount++;
+        });
+
+        codeIndicators.keywords.forEach(keyword => {
+            if (cleanComment.includes(keyword + ' ') || cleanComment.includes(' ' + keyword)) {
+                keywordCount++;
+            }
+        });
+
+        // Advanced heuristics for code detection
+        const hasCodeStructure = symbolCount >= 3;
+        const hasCodeKeywords = keywordCount >= 2;
+        const hasVariableAssignment = /\w+\s*=\s*\w+/.test(cleanComment);
+        const hasFunctionCall = /\w+\s*\([^)]*\)/.test(cleanComment);
+        const hasCodeFlow = /(if|for|while|try)\s*\(/.test(cleanComment);
+
+        return hasCodeStructure || hasCodeKeywords || hasVariableAssignment || hasFunctionCall || hasCodeFlow;
+    }
+
+    /**
+     * Enhanced redundant comment detection with better scoring
+     */
+    calculateRedundancyScore(cleanComment, context) {
+        if (cleanComment.length < 3 || !context.nextNonEmptyLine) return 0;
+
+        const nextLine = context.nextNonEmptyLine.toLowerCase().replace(/[^a-zA-Z0-9]/g, ' ');
+        const commentWords = cleanComment.split(/\s+/).filter(word => word.length > 2);
+        const codeWords = nextLine.split(/\s+/).filter(word => word.length > 2);
+
+        if (commentWords.length === 0 || codeWords.length === 0) return 0;
+
+        // Calculate different types of redundancy
+        let exactMatches = 0;
+        let partialMatches = 0;
+        let semanticMatches = 0;
+
+        commentWords.forEach(commentWord => {
+            // Exact match
+            if (codeWords.includes(commentWord)) {
+                exactMatches++;
+                return;
+            }
+
+            // Partial match (substring)
+            if (codeWords.some(codeWord => codeWord.includes(commentWord) || commentWord.includes(codeWord))) {
+                partialMatches++;
+                return;
+            }
+
+            // Semantic match (common programming terms)
+            const semanticPairs = {
+                'get': ['fetch', 'retrieve', 'obtain'],
+                'set': ['assign', 'update', 'change'],
+                'create': ['make', 'build', 'generate', 'new'],
+                'delete': ['remove', 'destroy', 'clear'],
+                'check': ['validate', 'verify', 'test'],
+                'start': ['begin', 'init', 'initialize'],
+                'end': ['finish', 'complete', 'stop']
+            };
+
+            Object.entries(semanticPairs).forEach(([key, synonyms]) => {
+                if (commentWord === key && synonyms.some(syn => codeWords.includes(syn))) {
+                    semanticMatches++;
+                }
+            });
+        });
+
+        // Calculate redundancy score
+        const totalWords = commentWords.length;
+        const redundancyScore = (exactMatches * 1.0 + partialMatches * 0.7 + semanticMatches * 0.5) / totalWords;
+
+        return Math.min(redundancyScore, 0.95); // Cap at 95%
+    }
+
+    /**
+     * Enhanced redundant comment detection (kept for backward compatibility)
+     */
+    isRedundantComment(cleanComment, context) {
+        return this.calculateRedundancyScore(cleanComment, context) > 0.5;
+    }
+
+    /**
+     * Detect trivial/obvious comments
+     */
+    isTrivialComment(cleanComment, context) {
+        const trivialPatterns = [
+            // Obvious statements
+            /^(increment|decrement) \w+$/,
+            /^(add|subtract|multiply|divide) \w+$/,
+            /^(open|close) \w+$/,
+            /^(show|hide) \w+$/,
+            /^(enable|disable) \w+$/,
+            /^(start|stop) \w+$/,
+
+            // Variable assignments
+            /^set \w+ to \w+$/,
+            /^\w+ equals \w+$/,
+            /^assign \w+ to \w+$/,
+
+            // Simple operations
+            /^(loop|iterate) through \w+$/,
+            /^check if \w+ is \w+$/,
+            /^return \w+$/,
+            /^call \w+$/,
+
+            // Redundant function descriptions
+            /^constructor$/,
+            /^getter$/,
+            /^setter$/,
+            /^main function$/,
+            /^helper function$/,
+            /^utility function$/
+        ];
+
+        // Check if next line makes the comment obvious
+        if (context.nextNonEmptyLine) {
+            const nextLine = context.nextNonEmptyLine.toLowerCase();
+
+            // Comments that just repeat the function name
+            if (cleanComment.replace(/[^a-zA-Z]/g, '').toLowerCase() ===
+                nextLine.replace(/[^a-zA-Z]/g, '').toLowerCase()) {
+                return true;
+            }
+        }
+
+        return trivialPatterns.some(pattern => pattern.test(cleanComment));
+    }
+
+    /**
+     * Detect empty or whitespace-only comments
+     */
+    isEmptyComment(cleanComment) {
+        // After cleaning, if there's nothing left or just punctuation
+        const meaningfulContent = cleanComment.replace(/[^\w]/g, '');
+        return meaningfulContent.length === 0 || meaningfulContent.length < 2;
+    }
+
+    /**
+     * Detect duplicate comments
+     */
+    isDuplicateComment(cleanComment, currentComment, document) {
+        if (cleanComment.length < 5) return false;
+
+        const text = document.getText();
+        const commentText = currentComment.text.trim();
+
+        // Count occurrences of the same comment
+        const regex = new RegExp(this.escapeRegex(commentText), 'g');
+        const matches = text.match(regex);
+
+        return matches && matches.length > 1;
+    }
+
+    /**
+     * Detect debug/temporary comments
+     */
+    isDebugComment(cleanComment) {
+        const debugPatterns = [
+            /^(console\.log|print|echo|debug|trace)/,
+            /^(test|testing|temp|temporary|tmp)/,
+            /^(remove|delete) (this|me|later)/,
+            /^(work in progress|wip)/,
+            /^(placeholder|stub)/,
+            /^(broken|doesnt work|not working)/,
+            /^(quick fix|quick hack|dirty fix)/,
+            /^(remember to|dont forget)/,
+            /^(asap|urgent|priority)/,
+            /^(review|check) (this|later)/,
+            /^(delete|remove) before/,
+            /^(for now|temporarily)/
+        ];
+
+        return debugPatterns.concat(this.settings.debugPatterns).some(pattern => pattern.test(cleanComment));
+    }
+
+    /**
+     * Detect noise comments
+     */
+    isNoiseComment(cleanComment) {
+        return this.getNoiseStrength(cleanComment) > 0;
+    }
+
+    /**
+     * How strongly a comment looks like noise: fully for placeholder words and
+     * decorations, partly for comments that are merely very short
+     */
+    getNoiseStrength(cleanComment) {
+        const noisePatterns = [
+            /^(test|testing|debug|debugging)$/,
+            /^(temp|temporary|tmp)$/,
+            /^(old|deprecated|unused)$/,
+            /^(comment|comments?)$/,
+            /^(code|codes?)$/,
+            /^(fix|fixed|fixes)$/,
+            /^(change|changed|changes)$/,
+            /^(update|updated|updates)$/,
+            /^[.]{3,}|[-]{3,}|[=]{3,}|[*]{3,}/,  // Decorative comments
+            /^\d+$|^v?\d+\.\d+/  // Version numbers only
+        ];
+        if (noisePatterns.concat(this.settings.noisePatterns).some(pattern => pattern.test(cleanComment))) return 1;
+
+        // Very short comments are often noise, but "Retry on timeout" is not
+        return /^(\w+\s*){1,3}$/.test(cleanComment) || cleanComment.length <= 2 ? SHORT_NOISE_STRENGTH : 0;
+    }
+
+    /**
+     * Detect potentially outdated comments
+     */
+    isOutdatedComment(cleanComment, context) {
+        const outdatedIndicators = [
+            'old version', 'previous version', 'legacy', 'deprecated',
+            'no longer', 'not used', 'unused', 'obsolete',
+            'will be removed', 'to be deleted', 'remove this',
+            'temporary fix', 'quick fix', 'workaround'
+        ];
+
+        return outdatedIndicators.some(indicator => cleanComment.includes(indicator));
+    }
+
+    /**
+     * Escape special regex characters
+     */
+    escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = {
+    CommentAnalyzer,
+    CONFIDENCE_THRESHOLDS,
+    REMOVABLE_CATEGORIES
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getRemovalOffsets } = require('./removal');
+
+/**
+ * Commented-Out Code Archive
+ * Keeps removed dead code in a per-project JSON file so it can be restored later
+ *
+ * Each entry is { id, file, line, text, wholeLine, anchor, category, archivedAt }:
+ *   file       path relative to the workspace folder, with forward slashes
+ *   line       0-based line the removed text started on
+ *   text       exact text that was removed
+ *   wholeLine  whether whole lines were removed, rather than a comment after code
+ *   anchor     the code line the comment belonged to, used to find it again after edits
+ */
+
+const DEFAULT_ARCHIVE_FILE = '.commentcleaner-archive.json';
+
+// How far from the recorded line a restore looks for the anchor line
+const ANCHOR_SEARCH_LINES = 200;
+
+/**
+ * Read an archive file; a missing file is an empty archive
+ */
+function readArchive(archivePath) {
+    if (!fs.existsSync(archivePath)) return { version: 1, entries: [] };
+
+    let archive;
+    try {
+        archive = JSON.parse(fs.readFileSync(archivePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${archivePath}: invalid archive file: ${error.message}`);
+    }
+    if (!archive || !Array.isArray(archive.entries)) {
+        throw new Error(`${archivePath}: archive file must contain an "entries" list`);
+    }
+    return archive;
+}
+
+function writeArchive(archivePath, archive) {
+    fs.writeFileSync(archivePath, JSON.stringify(archive, null, 2) + '\n');
+}
+
+/**
+ * Text of a line without the comments on it
+ */
+function codeOnLine(document, line, comments) {
+    const text = document.lineAt(line).text;
+    let code = '';
+    let position = 0;
+
+    comments
+        .filter(comment => comment.range.start.line <= line && comment.range.end.line >= line)
+        .sort((a, b) => a.start - b.start)
+        .forEach(comment => {
+            const start = comment.range.start.line === line ? comment.range.start.character : 0;
+            const end = comment.range.end.line === line ? comment.range.end.character : text.length;
+            code += text.substring(position, start);
+            position = Math.max(position, end);
+        });
+
+    return (code + text.substring(position)).trim();
+}
+
+/**
+ * Archive entry for a comment that is about to be removed
+ *
+ * @param {object} document document containing the comment
+ * @param {object} comment extracted comment
+ * @param {object} details { file, category, comments, now }, where `comments` are all comments
+ *     of the document so the anchor is found among code lines only
+ */
+function createArchiveEntry(document, comment, details) {
+    const text = document.getText();
+    const { start, end } = getRemovalOffsets(document, comment);
+    // A comment sharing its line with code also takes spaces around it, but only the comment is archived
+    const wholeLine = (start === 0 || text[start - 1] === '\n') && (end === text.length || text[end - 1] === '\n');
+    const comments = details.comments || [comment];
+
+    let anchor = null;
+    if (wholeLine) {
+        // The first line with code below the removed lines
+        for (let line = comment.range.end.line + 1; line < document.lineCount && !anchor; line++) {
+            anchor = codeOnLine(document, line, comments) || null;
+        }
+    } else {
+        anchor = codeOnLine(document, comment.range.start.line, comments) || null;
+    }
+
+    return {
+        id: crypto.randomBytes(6).toString('hex'),
+        file: details.file.split(path.sep).join('/'),
+        line: comment.range.start.line,
+        text: wholeLine ? text.substring(start, end) : comment.text,
+        wholeLine,
+        anchor,
+        category: details.category,
+        archivedAt: (details.now || new Date()).toISOString()
+    };
+}
+
+/**
+ * Where to restore an entry in the current lines of its file
+ * Returns the 0-based line to insert before (whole lines) or to append to (inline),
+ * preferring the anchor line closest to the recorded position.
+ */
+function findRestoreLine(lines, entry) {
+    const fallback = Math.min(entry.line, entry.wholeLine ? lines.length : lines.length - 1);
+    if (!entry.anchor) return Math.max(0, fallback);
+
+    for (let distance = 0; distance <= ANCHOR_SEARCH_LINES; distance++) {
+        for (const line of [entry.line + distance, entry.line - distance]) {
+            if (line >= 0 && line < lines.length && lines[line].trim().startsWith(entry.anchor)) {
+                if (!entry.wholeLine) return line;
+                // Whole-line comments went above their anchor, past any blank lines in between
+                let insertAt = line;
+                while (insertAt > 0 && insertAt > entry.line && lines[insertAt - 1].trim() === '') insertAt--;
+                return insertAt;
+            }
+        }
+    }
+
+    return Math.max(0, fallback);
+}
+
+/**
+ * Text edit restoring an entry into file contents: { offset, text, line }
+ */
+function getRestoreEdit(contents, entry) {
+    const lines = contents.split('\n');
+    const line = findRestoreLine(lines, entry);
+    const lineStart = lines.slice(0, line).reduce((offset, text) => offset + text.length + 1, 0);
+
+    if (entry.wholeLine) {
+        // Archived lines end with a line break unless they were the end of the file
+        const offset = Math.min(lineStart, contents.length);
+        let text = entry.text;
+        if (!text.endsWith('\n')) {
+            if (offset < contents.length) text += '\n';
+            else if (contents !== '' && !contents.endsWith('\n')) text = `\n${text}`;
+        }
+        return { offset, text, line };
+    }
+
+    const lineText = lines[line].replace(/\r$/, '');
+    const needsSpace = lineText !== '' && !/\s$/.test(lineText);
+    return { offset: lineStart + lineText.length, text: (needsSpace ? ' ' : '') + entry.text, line };
+}
+
+module.exports = {
+    readArchive,
+    writeArchive,
+    createArchiveEntry,
+    findRestoreLine,
+    getRestoreEdit,
+    DEFAULT_ARCHIVE_FILE
+};
@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const { CommentAnalyzer, CONFIDENCE_THRESHOLDS } = require('./analyzer');
+const { TextDocument, detectLanguage } = require('./document');
+const { applyRemovals, DEFAULT_MAX_BLANK_LINES } = require('./removal');
+const { expandPatterns } = require('./files');
+const { createReport, formatReport, REPORT_FORMATS } = require('./report');
+const { resolveConfig, RcConfigError } = require('./rcConfig');
+const { blameFileSync, applyBlame, getChangedLines, getChangedFiles, isCommentChanged } = require('./git');
+const { LocalIssueResolver } = require('./tickets');
+const { version } = require('../package.json');
+
+/**
+ * Command Line Interface
+ * Runs the same analysis as the editor commands on files from disk
+ */
+
+const USAGE = `Usage: comment-cleaner [analyze|clean] [options] [files, directories or globs...]
+
+Commands:
+  analyze                 Report removable comments without changing files (default)
+  clean                   Remove the reported comments and rewrite the files
+
+Options:
+  --level <level>         standard, aggressive or conservative (default: standard,
+                          or the threshold from .commentcleanerrc files)
+  --threshold <number>    Minimum confidence between 0 and 1, overrides --level
+  --check                 Exit with code 1 when removable comments exceed --max-removable
+  --max-removable <n>     Number of removable comments tolerated by --check (default: 0)
+  --max-blank-lines <n>   Blank lines clean keeps where a removal joins two runs of them
+                          (default: ${DEFAULT_MAX_BLANK_LINES})
+  --format <format>       text, ${Object.keys(REPORT_FORMATS).join(', ')} (default: text)
+  --output <file>         Write the report to a file instead of standard output
+  --ignore <glob>         Skip matching files, may be repeated
+  --no-gitignore          Do not skip files ignored by .gitignore
+  --history               Use git blame to rate comments above changed code as outdated
+  --diff                  Only touch comments on lines changed since HEAD
+  --staged                Only touch comments on lines with staged changes
+  --diff-base <ref>       Only touch comments on lines changed since the merge base with <ref>
+                          (with any of the three, files default to the changed files)
+  --tickets <file>        JSON or CSV issue list; TODOs whose tickets are all closed
+                          become removable (resolved_todo)
+  --quiet                 Only print the summary
+  -h, --help              Show this help
+  -v, --version           Show the version`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse command line arguments into options
+ */
+function parseArgs(argv) {
+    const options = {
+        command: 'analyze',
+        level: null,
+        threshold: null,
+        check: false,
+        maxRemovable: 0,
+        maxBlankLines: DEFAULT_MAX_BLANK_LINES,
+        format: 'text',
+        output: null,
+        ignore: [],
+        respectGitignore: true,
+        history: false,
+        scope: null,
+        tickets: null,
+        quiet: false,
+        help: false,
+        version: false,
+        patterns: []
+    };
+
+    const takeValue = (index, flag) => {
+        if (index >= argv.length) throw new UsageError(`Missing value for ${flag}`);
+        return argv[index];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case 'analyze':
+            case 'clean':
+                if (options.patterns.length === 0 && i === 0) {
+                    options.command = arg;
+                } else {
+                    options.patterns.push(arg);
+                }
+                break;
+            case '--level':
+                options.level = takeValue(++i, arg);
+                if (!CONFIDENCE_THRESHOLDS[options.level]) {
+                    throw new UsageError(`Unknown level '${options.level}', expected ${Object.keys(CONFIDENCE_THRESHOLDS).join(', ')}`);
+                }
+                break;
+            case '--threshold':
+                options.threshold = Number(takeValue(++i, arg));
+                if (Number.isNaN(options.threshold) || options.threshold < 0 || options.threshold > 1) {
+                    throw new UsageError('--threshold must be a number between 0 and 1');
+                }
+                break;
+            case '--check':
+                options.check = true;
+                break;
+            case '--max-removable':
+                options.maxRemovable = Number(takeValue(++i, arg));
+                if (!Number.isInteger(options.maxRemovable) || options.maxRemovable < 0) {
+                    throw new UsageError('--max-removable must be a non-negative integer');
+                }
+                break;
+            case '--max-blank-lines':
+                options.maxBlankLines = Number(takeValue(++i, arg));
+                if (!Number.isInteger(options.maxBlankLines) || options.maxBlankLines < 0) {
+                    throw new UsageError('--max-blank-lines must be a non-negative integer');
+                }
+                break;
+            case '--format':
+                options.format = takeValue(++i, arg);
+                if (options.format !== 'text' && !REPORT_FORMATS[options.format]) {
+                    throw new UsageError(`Unknown format '${options.format}', expected text, ${Object.keys(REPORT_FORMATS).join(', ')}`);
+                }
+                break;
+            case '--output':
+                options.output = takeValue(++i, arg);
+                break;
+            case '--ignore':
+                options.ignore.push(takeValue(++i, arg));
+                break;
+            case '--no-gitignore':
+                options.respectGitignore = false;
+                break;
+            case '--history':
+                options.history = true;
+                break;
+            case '--diff':
+                options.scope = { mode: 'diff' };
+                break;
+            case '--staged':
+                options.scope = { mode: 'staged' };
+                break;
+            case '--diff-base':
+                options.scope = { mode: 'branch', base: takeValue(++i, arg) };
+                break;
+            case '--tickets':
+                options.tickets = takeValue(++i, arg);
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new UsageError(`Unknown option '${arg}'`);
+                options.patterns.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Analyze one file and return its removable comments
+ * A null threshold uses the Standard threshold from the file's rules
+ *
+ * @param {object} [options]
+ * @param {string} [options.languageId] language from a rules file, instead of the file extension
+ * @param {boolean} [options.history] annotate comments with git blame history
+ * @param {Set<number>} [options.changedLines] only report comments on these 0-based lines
+ */
+function analyzeFile(analyzer, filePath, threshold, options = {}) {
+    const languageId = options.languageId || detectLanguage(filePath);
+    if (!languageId || !analyzer.getLanguageConfig(languageId)) return null;
+
+    const fileThreshold = threshold !== null ? threshold : analyzer.settings.confidenceThreshold;
+    const document = new TextDocument(fs.readFileSync(filePath, 'utf8'), languageId, filePath);
+    const comments = analyzer.extractComments(document);
+    if (options.history) applyBlame(comments, blameFileSync(filePath), document);
+
+    // Every comment is analyzed so neighbours still inform the result, then narrowed to the diff
+    const analyses = comments.map(comment => ({
+        comment,
+        analysis: analyzer.analyzeComment(comment, document)
+    })).filter(item => !options.changedLines || isCommentChanged(item.comment, options.changedLines));
+
+    const removableComments = analyses.filter(
+        item => item.analysis.shouldRemove && item.analysis.confidence >= fileThreshold
+    );
+
+    const docFindings = analyses.reduce((findings, item) => findings.concat(item.analysis.docFindings || []), []);
+
+    return { filePath, document, analyses, removableComments, docFindings, threshold: fileThreshold };
+}
+
+/**
+ * Returns a function resolving the analyzer and language for a file from its
+ * .commentcleanerrc files; analyzers are shared between files with the same rules
+ */
+function createRuleResolver(baseAnalyzer, onWarning, ticketResolver = null) {
+    const analyzers = new Map();
+
+    return filePath => {
+        const resolved = resolveConfig(filePath);
+        if (resolved.sources.length === 0) {
+            return { analyzer: baseAnalyzer, languageId: null, ruleSources: [] };
+        }
+
+        const key = JSON.stringify(resolved.settings);
+        if (!analyzers.has(key)) {
+            analyzers.set(key, new CommentAnalyzer({ onWarning, settings: resolved.settings, ticketResolver }));
+        }
+
+        return { analyzer: analyzers.get(key), languageId: resolved.languageId, ruleSources: resolved.sources };
+    };
+}
+
+function formatResult(result, cwd) {
+    const lines = [path.relative(cwd, result.filePath) || result.filePath];
+    if (result.ruleSources.length > 0) {
+        lines[0] += `  (rules: ${result.ruleSources.map(source => path.relative(cwd, source) || source).join(', ')})`;
+    }
+
+    result.removableComments.forEach(item => {
+        const position = `${item.comment.range.start.line + 1}:${item.comment.range.start.character + 1}`;
+        const confidence = `${Math.round(item.analysis.confidence * 100)}%`;
+        const text = item.comment.text.trim().split(/\r?\n/)[0].substring(0, 60);
+        lines.push(`  ${position.padEnd(8)} ${item.analysis.category.padEnd(15)} ${confidence.padStart(4)}  ${text}`);
+    });
+
+    result.docFindings.forEach(finding => {
+        const position = `${finding.range.start.line + 1}:${finding.range.start.character + 1}`;
+        lines.push(`  ${position.padEnd(8)} ${finding.code.padEnd(22)} ${finding.message} (fixable)`);
+    });
+
+    return lines.join('\n');
+}
+
+function writeOutput(content, output, cwd, stdout) {
+    if (output) {
+        fs.writeFileSync(path.resolve(cwd, output), content);
+    } else {
+        stdout.write(content);
+    }
+}
+
+/**
+ * Run the CLI and return the process exit code
+ */
+function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const cwd = io.cwd || process.cwd();
+
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    if (options.version) {
+        stdout.write(`${version}\n`);
+        return 0;
+    }
+
+    let patterns = options.patterns;
+    if (patterns.length === 0 && options.scope) {
+        try {
+            patterns = getChangedFiles(cwd, options.scope);
+        } catch (error) {
+            stderr.write(`${error.message}\n`);
+            return 2;
+        }
+    }
+
+    if (patterns.length === 0 && !options.scope) {
+        stderr.write(`No files given.\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    let files;
+    try {
+        files = patterns.length === 0 ? [] : expandPatterns(patterns, {
+            cwd,
+            ignore: options.ignore,
+            respectGitignore: options.respectGitignore
+        });
+    } catch (error) {
+        stderr.write(`${error.message}\n`);
+        return 2;
+    }
+
+    const onWarning = message => stderr.write(`Warning: ${message}\n`);
+    const ticketResolver = options.tickets ? new LocalIssueResolver(path.resolve(cwd, options.tickets)) : null;
+    if (ticketResolver && !fs.existsSync(ticketResolver.filePath)) {
+        stderr.write(`Issue list not found: ${options.tickets}\n`);
+        return 2;
+    }
+    const resolveRules = createRuleResolver(new CommentAnalyzer({ onWarning, ticketResolver }), onWarning, ticketResolver);
+
+    // An explicit --threshold or --level wins over thresholds from rules files
+    const threshold = options.threshold !== null
+        ? options.threshold
+        : (options.level ? CONFIDENCE_THRESHOLDS[options.level] : null);
+    const reportThreshold = threshold !== null ? threshold : CONFIDENCE_THRESHOLDS.standard;
+
+    const isTextFormat = options.format === 'text';
+    const textOutput = [];
+    const reportFiles = [];
+    let totalComments = 0;
+    let totalRemovable = 0;
+    let filesWithRemovable = 0;
+    let totalDocFindings = 0;
+
+    for (const filePath of files) {
+        let rules;
+        try {
+            rules = resolveRules(filePath);
+        } catch (error) {
+            if (!(error instanceof RcConfigError)) throw error;
+            stderr.write(`${error.message}\n`);
+            return 2;
+        }
+
+        let changedLines;
+        if (options.scope) {
+            try {
+                changedLines = getChangedLines(filePath, options.scope);
+            } catch (error) {
+                stderr.write(`${error.message}\n`);
+                return 2;
+            }
+            // Files outside a repository have no diff to clean
+            if (!changedLines) continue;
+        }
+
+        const result = analyzeFile(rules.analyzer, filePath, threshold, {
+            languageId: rules.languageId,
+            history: options.history,
+            changedLines
+        });
+        if (!result) continue;
+
+        result.ruleSources = rules.ruleSources;
+        totalComments += result.analyses.length;
+        if (result.analyses.length > 0) {
+            reportFiles.push({
+                filePath,
+                languageId: result.document.languageId,
+                analyses: result.analyses,
+                threshold: result.threshold
+            });
+        }
+        if (result.removableComments.length === 0 && result.docFindings.length === 0) continue;
+
+        totalRemovable += result.removableComments.length;
+        totalDocFindings += result.docFindings.length;
+        if (result.removableComments.length > 0) filesWithRemovable++;
+
+        if (isTextFormat && !options.quiet) textOutput.push(`${formatResult(result, cwd)}\n\n`);
+
+        if (options.command === 'clean' && result.removableComments.length > 0) {
+            const comments = result.removableComments.map(item => item.comment);
+            fs.writeFileSync(filePath, applyRemovals(result.document, comments, { maxBlankLines: options.maxBlankLines }));
+        }
+    }
+
+    const verb = options.command === 'clean' ? 'Removed' : 'Found';
+    let summary = `${verb} ${totalRemovable} removable comments in ${filesWithRemovable} files (${totalComments} comments analyzed).\n`;
+    if (totalDocFindings > 0) summary += `Found ${totalDocFindings} fixable doc-comment problems.\n`;
+    textOutput.push(summary);
+
+    if (isTextFormat) {
+        writeOutput(textOutput.join(''), options.output, cwd, stdout);
+    } else {
+        const report = createReport(reportFiles, { baseDir: cwd, threshold: reportThreshold });
+        writeOutput(formatReport(report, options.format), options.output, cwd, stdout);
+
+        // Keep standard output machine-readable unless the report went to a file
+        if (options.output && !options.quiet) stdout.write(textOutput[textOutput.length - 1]);
+    }
+
+    if (options.check && totalRemovable > options.maxRemovable) {
+        stderr.write(`Check failed: ${totalRemovable} removable comments exceed the limit of ${options.maxRemovable}.\n`);
+        return 1;
+    }
+
+    return 0;
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    USAGE
+};
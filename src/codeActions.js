@@ -0,0 +1,140 @@
+const vscode = require('vscode');
+
+/**
+ * Comment Code Actions
+ * Quick fixes to remove or keep individual comments flagged by the analyzer
+ */
+
+// Marker that makes the analyzer always preserve a comment
+const KEEP_MARKER = 'comment-cleaner-keep';
+
+class CommentCodeActionProvider {
+    constructor(commentCleaner) {
+        this.commentCleaner = commentCleaner;
+    }
+
+    async provideCodeActions(document, range, context) {
+        if (!this.commentCleaner.isSupported(document)) return [];
+
+        const threshold = this.commentCleaner.getConfidenceThreshold(document);
+        const analyses = await this.commentCleaner.analyzeDocument(document);
+        const removable = analyses
+            .filter(item => item.analysis.shouldRemove && item.analysis.confidence >= threshold);
+
+        const actions = [];
+        analyses.forEach(item => {
+            (item.analysis.docFindings || [])
+                .filter(finding => finding.range.intersection(range))
+                .forEach(finding => actions.push(this.createDocFixAction(document, finding, context)));
+        });
+
+        removable
+            .filter(item => item.comment.range.intersection(range))
+            .forEach(item => {
+                const diagnostics = context.diagnostics.filter(diagnostic =>
+                    diagnostic.source === 'Comment Cleaner' && diagnostic.range.isEqual(item.comment.range)
+                );
+                const sameCategory = removable.filter(other => other.analysis.category === item.analysis.category);
+
+                actions.push(this.createRemoveAction(document, [item], 'Remove this comment', diagnostics, true));
+
+                if (sameCategory.length > 1) {
+                    const categoryName = item.analysis.category.replace(/_/g, ' ');
+                    actions.push(this.createRemoveAction(
+                        document,
+                        sameCategory,
+                        `Remove all ${categoryName} comments in file (${sameCategory.length})`,
+                        diagnostics,
+                        false
+                    ));
+                }
+
+                actions.push(this.createKeepAction(document, item, diagnostics));
+            });
+
+        return actions;
+    }
+
+    createRemoveAction(document, items, title, diagnostics, isPreferred) {
+        const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        this.commentCleaner.getRemovalEdits(document, items.map(item => item.comment)).forEach(edit => {
+            action.edit.replace(document.uri, edit.range, edit.newText);
+        });
+        // Runs after the edit is applied, logging it in the removal history
+        action.command = {
+            command: 'extension.recordRemoval',
+            title: 'Record removal',
+            arguments: ['Quick Fix', [this.commentCleaner.recordFileRemovals(document, items)]]
+        };
+        action.diagnostics = diagnostics;
+        action.isPreferred = isPreferred;
+        return action;
+    }
+
+    createDocFixAction(document, finding, context) {
+        const action = new vscode.CodeAction(finding.fix.title, vscode.CodeActionKind.QuickFix);
+        const descriptionEdit = finding.fix.edits.find(edit => edit.placeholderAt !== undefined);
+        if (descriptionEdit) {
+            // Workspace edits cannot hold snippets, so the description is inserted by a command
+            action.command = {
+                command: 'extension.insertDocDescription',
+                title: finding.fix.title,
+                arguments: [document.uri, descriptionEdit]
+            };
+        } else {
+            action.edit = new vscode.WorkspaceEdit();
+            finding.fix.edits.forEach(edit => {
+                action.edit.replace(document.uri, edit.range, edit.newText);
+            });
+        }
+        action.diagnostics = context.diagnostics.filter(diagnostic =>
+            diagnostic.source === 'Comment Cleaner' && diagnostic.code === finding.code && diagnostic.range.isEqual(finding.range)
+        );
+        action.isPreferred = true;
+        return action;
+    }
+
+    /**
+     * Insert the keep marker inside the comment, before its closing delimiter if it has one
+     */
+    createKeepAction(document, item, diagnostics) {
+        const comment = item.comment;
+        const action = new vscode.CodeAction('Always keep this comment', vscode.CodeActionKind.QuickFix);
+        const closeDelimiter = comment.closeDelimiter;
+        const insertOffset = closeDelimiter && comment.text.endsWith(closeDelimiter)
+            ? comment.end - closeDelimiter.length
+            : comment.end;
+        const needsSpaceBefore = !/\s/.test(comment.text.charAt(insertOffset - comment.start - 1));
+        const needsSpaceAfter = insertOffset < comment.end;
+
+        action.edit = new vscode.WorkspaceEdit();
+        action.edit.insert(
+            document.uri,
+            document.positionAt(insertOffset),
+            `${needsSpaceBefore ? ' ' : ''}${KEEP_MARKER}${needsSpaceAfter ? ' ' : ''}`
+        );
+        action.diagnostics = diagnostics;
+        return action;
+    }
+}
+
+/**
+ * Insert a doc fix edit as a snippet, with a tab stop where the description goes
+ */
+async function insertDocDescription(uri, edit) {
+    const editor = await vscode.window.showTextDocument(uri);
+    const snippet = new vscode.SnippetString()
+        .appendText(edit.newText.substring(0, edit.placeholderAt))
+        .appendPlaceholder('description')
+        .appendText(edit.newText.substring(edit.placeholderAt));
+    await editor.insertSnippet(snippet, edit.range);
+}
+
+CommentCodeActionProvider.providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+module.exports = {
+    CommentCodeActionProvider,
+    insertDocDescription,
+    KEEP_MARKER
+};
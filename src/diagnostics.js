@@ -0,0 +1,132 @@
+const vscode = require('vscode');
+
+/**
+ * Comment Diagnostics
+ * Background mode that keeps removable comments listed in the Problems panel
+ */
+
+class CommentDiagnostics {
+    constructor(commentCleaner) {
+        this.commentCleaner = commentCleaner;
+        this.collection = vscode.languages.createDiagnosticCollection('commentCleaner');
+        this.pendingTimers = new Map();
+        this.listeners = [];
+        this.enabled = false;
+    }
+
+    /**
+     * Start or stop listening according to the commentCleaner.diagnostics.* settings
+     */
+    loadSettings() {
+        const config = vscode.workspace.getConfiguration('commentCleaner.diagnostics');
+        this.severity = config.get('severity', 'hint') === 'information'
+            ? vscode.DiagnosticSeverity.Information
+            : vscode.DiagnosticSeverity.Hint;
+        this.debounceDelay = config.get('debounce', 500);
+
+        const enabled = config.get('enabled', false);
+        if (enabled && !this.enabled) {
+            this.start();
+        } else if (!enabled && this.enabled) {
+            this.stop();
+        } else if (enabled) {
+            this.refreshAll();
+        }
+    }
+
+    start() {
+        this.enabled = true;
+        this.listeners.push(
+            vscode.workspace.onDidOpenTextDocument(document => this.refresh(document)),
+            vscode.workspace.onDidChangeTextDocument(event => this.schedule(event.document)),
+            vscode.workspace.onDidCloseTextDocument(document => this.clear(document))
+        );
+        this.refreshAll();
+    }
+
+    stop() {
+        this.enabled = false;
+        this.listeners.forEach(listener => listener.dispose());
+        this.listeners = [];
+        this.pendingTimers.forEach(timer => clearTimeout(timer));
+        this.pendingTimers.clear();
+        this.collection.clear();
+    }
+
+    refreshAll() {
+        vscode.workspace.textDocuments.forEach(document => this.refresh(document));
+    }
+
+    /**
+     * Re-analyze a document once typing has paused
+     */
+    schedule(document) {
+        const key = document.uri.toString();
+        clearTimeout(this.pendingTimers.get(key));
+        this.pendingTimers.set(key, setTimeout(() => {
+            this.pendingTimers.delete(key);
+            this.refresh(document);
+        }, this.debounceDelay));
+    }
+
+    async refresh(document) {
+        if (document.isClosed || !this.commentCleaner.isSupported(document)) {
+            return;
+        }
+
+        const version = document.version;
+        const threshold = this.commentCleaner.getConfidenceThreshold(document);
+        const analyses = await this.commentCleaner.analyzeDocument(document);
+        // A later refresh reports on the changed text
+        if (!this.enabled || document.isClosed || document.version !== version) return;
+
+        const diagnostics = analyses
+            .filter(item => item.analysis.shouldRemove && item.analysis.confidence >= threshold)
+            .map(item => this.createDiagnostic(item));
+
+        analyses.forEach(item => {
+            (item.analysis.docFindings || []).forEach(finding => diagnostics.push(this.createDocDiagnostic(finding)));
+        });
+
+        this.collection.set(document.uri, diagnostics);
+    }
+
+    createDiagnostic(item) {
+        const category = item.analysis.category;
+        const categoryName = category.charAt(0).toUpperCase() + category.slice(1).replace(/_/g, ' ');
+        const diagnostic = new vscode.Diagnostic(
+            item.comment.range,
+            `${categoryName} comment (${Math.round(item.analysis.confidence * 100)}% confidence): ${item.analysis.reasons.join(', ')}`,
+            this.severity
+        );
+
+        diagnostic.source = 'Comment Cleaner';
+        diagnostic.code = category;
+        diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+
+        return diagnostic;
+    }
+
+    createDocDiagnostic(finding) {
+        const diagnostic = new vscode.Diagnostic(finding.range, finding.message, this.severity);
+        diagnostic.source = 'Comment Cleaner';
+        diagnostic.code = finding.code;
+        return diagnostic;
+    }
+
+    clear(document) {
+        const key = document.uri.toString();
+        clearTimeout(this.pendingTimers.get(key));
+        this.pendingTimers.delete(key);
+        this.collection.delete(document.uri);
+    }
+
+    dispose() {
+        this.stop();
+        this.collection.dispose();
+    }
+}
+
+module.exports = {
+    CommentDiagnostics
+};
@@ -0,0 +1,91 @@
+/**
+ * Suppression Directives
+ * ESLint-style comments that protect other comments from removal
+ *
+ *   comment-cleaner-keep          keep this comment; on its own, also keep the next comment
+ *   comment-cleaner-disable       keep every comment until comment-cleaner-enable
+ *   comment-cleaner-enable        end a disabled region
+ *   comment-cleaner-disable-file  keep every comment in the file
+ */
+
+const DIRECTIVE_PATTERN = /comment-cleaner-(disable-file|disable|enable|keep)(?![\w-])/g;
+
+/**
+ * Directive names found in a comment's text
+ */
+function findDirectives(text) {
+    const directives = [];
+    let match;
+
+    DIRECTIVE_PATTERN.lastIndex = 0;
+    while ((match = DIRECTIVE_PATTERN.exec(text)) !== null) {
+        directives.push(match[1]);
+    }
+
+    return directives;
+}
+
+/**
+ * Whether a comment holds nothing but directives, ignoring delimiters and punctuation
+ */
+function isDirectiveOnly(text) {
+    return text.replace(DIRECTIVE_PATTERN, '').replace(/[^A-Za-z0-9]/g, '').length === 0;
+}
+
+/**
+ * Mark comments protected by directives
+ * Sets `directives` on every comment and `suppression` ({ directive, reason }) on protected ones.
+ * Comments must be in document order.
+ */
+function applyDirectives(comments) {
+    comments.forEach(comment => {
+        comment.directives = findDirectives(comment.text);
+    });
+
+    const fileDirective = comments.find(comment => comment.directives.includes('disable-file'));
+    let disabledSince = null;
+    let keepNextFrom = null;
+
+    comments.forEach(comment => {
+        const line = comment.lineNumber + 1;
+        let suppression = null;
+
+        if (fileDirective) {
+            suppression = {
+                directive: 'comment-cleaner-disable-file',
+                reason: `Protected by comment-cleaner-disable-file on line ${fileDirective.lineNumber + 1}`
+            };
+        } else if (comment.directives.length > 0) {
+            suppression = {
+                directive: `comment-cleaner-${comment.directives[0]}`,
+                reason: 'Contains a comment-cleaner directive'
+            };
+        } else if (disabledSince !== null) {
+            suppression = {
+                directive: 'comment-cleaner-disable',
+                reason: `Inside a comment-cleaner-disable region starting on line ${disabledSince}`
+            };
+        } else if (keepNextFrom !== null) {
+            suppression = {
+                directive: 'comment-cleaner-keep',
+                reason: `Protected by comment-cleaner-keep on line ${keepNextFrom}`
+            };
+        }
+
+        keepNextFrom = null;
+        comment.directives.forEach(directive => {
+            if (directive === 'disable') disabledSince = line;
+            else if (directive === 'enable') disabledSince = null;
+            else if (directive === 'keep' && isDirectiveOnly(comment.text)) keepNextFrom = line;
+        });
+
+        if (suppression) comment.suppression = suppression;
+    });
+
+    return comments;
+}
+
+module.exports = {
+    applyDirectives,
+    findDirectives
+};
@@ -0,0 +1,515 @@
+/**
+ * Doc Comments
+ * Parses doc comments into tags and checks them against the declaration they document
+ *
+ * Supported conventions:
+ *   tags    JSDoc, Javadoc, PHPDoc, KDoc, LuaLS and Doxygen (`@param name description`)
+ *   python  Sphinx (`:param name: description`) and Google (`Args:`) docstrings
+ *   xml     C# XML documentation (`<param name="x">description</param>`)
+ *
+ * Findings are { code, message, start, end, fix: { title, edits: [{ start, end, newText, placeholderAt }] } }
+ * with offsets into the document. Edits that add a description leave it empty and set
+ * `placeholderAt` to its offset in newText, where the editor puts a tab stop.
+ */
+
+const PARAM_TAGS = ['param', 'arg', 'argument'];
+
+// Words that precede `(` in statements that are not declarations
+const CONTROL_KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'return', 'new', 'typeof', 'await', 'throw', 'with', 'foreach', 'elseif'];
+
+// Receivers that are never documented as parameters
+const IMPLICIT_PARAMS = ['self', 'cls', 'this'];
+
+const GOOGLE_SECTION = /^(?:Args|Arguments|Parameters|Params|Keyword Args|Keyword Arguments):\s*$/;
+
+/**
+ * Split the comments of a doc comment into lines with their content and offsets
+ *
+ * Each line is { lineStart, lineEnd, nextLineStart, contentStart, contentEnd, text, ownsLine }.
+ * `text` excludes delimiters and leading `*` decorations; `ownsLine` is set when nothing but
+ * the comment's decoration shares the line, so the whole line can be deleted or duplicated.
+ */
+function getDocLines(document, comments) {
+    const source = document.getText();
+    const lines = [];
+
+    comments.forEach(comment => {
+        const isBlock = !!comment.closeDelimiter;
+        const firstLine = document.positionAt(comment.start).line;
+        const lastLine = document.positionAt(comment.end).line;
+
+        for (let line = firstLine; line <= lastLine; line++) {
+            const lineStart = document.offsetAt({ line, character: 0 });
+            const lineEnd = lineStart + document.lineAt(line).text.length;
+            let contentStart = Math.max(lineStart, comment.start);
+            let contentEnd = Math.min(lineEnd, comment.end);
+            const hasOpener = contentStart === comment.start;
+            const hasCloser = isBlock && contentEnd === comment.end;
+
+            if (hasOpener) contentStart += docOpener(comment).length;
+            if (hasCloser && source.substring(contentEnd - comment.closeDelimiter.length, contentEnd) === comment.closeDelimiter) {
+                contentEnd -= comment.closeDelimiter.length;
+            }
+            if (isBlock && !hasOpener && comment.delimiter.startsWith('/*')) {
+                // Leading ` * ` decoration of Javadoc-style blocks
+                const decoration = /^[ \t]*\*(?!\/)/.exec(source.substring(contentStart, contentEnd));
+                if (decoration) contentStart += decoration[0].length;
+            }
+            if (source.charAt(contentStart) === ' ' && comment.delimiter !== '"""' && comment.delimiter !== '\'\'\'') {
+                contentStart++;
+            }
+            contentStart = Math.min(contentStart, contentEnd);
+
+            const before = source.substring(lineStart, hasOpener ? comment.start : lineStart);
+            lines.push({
+                lineStart,
+                lineEnd,
+                nextLineStart: line + 1 < document.lineCount ? document.offsetAt({ line: line + 1, character: 0 }) : lineEnd,
+                contentStart,
+                contentEnd,
+                text: source.substring(contentStart, contentEnd),
+                ownsLine: before.trim() === '' && (!hasOpener || !isBlock) && !hasCloser
+            });
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Parse doc lines into a summary and tags
+ * Tags are { tag, name, nameStart, nameEnd, description, start, end, firstLine, lastLine, isParam, hasType }
+ */
+function parseDocLines(lines, style) {
+    const doc = { summary: '', tags: [] };
+    let current = null;
+    let section = null;
+
+    const startTag = (fields, lineIndex, start) => {
+        current = Object.assign({
+            description: '',
+            start,
+            end: lines[lineIndex].contentEnd,
+            firstLine: lineIndex,
+            lastLine: lineIndex
+        }, fields);
+        doc.tags.push(current);
+    };
+
+    lines.forEach((line, index) => {
+        const trimmed = line.text.trim();
+        const indent = line.text.length - line.text.trimStart().length;
+        const start = line.contentStart + indent;
+
+        if (style === 'xml') {
+            const param = /<param\s+name\s*=\s*"([^"]*)"\s*(?:\/>|>(.*?)(?:<\/param>|$))/.exec(line.text);
+            if (param) {
+                const nameStart = line.contentStart + param.index + param[0].indexOf('"') + 1;
+                startTag({
+                    tag: 'param',
+                    name: param[1],
+                    nameStart,
+                    nameEnd: nameStart + param[1].length,
+                    description: (param[2] || '').trim(),
+                    descriptionAt: param[0].endsWith('/>') ? null : line.contentStart + param.index + param[0].indexOf('>') + 1,
+                    isParam: true
+                }, index, line.contentStart + param.index);
+                return;
+            }
+            if (/^<\w+/.test(trimmed) && !/^<(summary|para|c|code|see)\b/.test(trimmed)) {
+                current = null;
+            }
+            if (!current && doc.tags.length === 0) {
+                doc.summary += ' ' + trimmed.replace(/<\/?\w+[^>]*>/g, ' ');
+            }
+            return;
+        }
+
+        if (style === 'python') {
+            if (section && trimmed !== '' && indent <= section.indent) section = null;
+
+            const sectionHeader = GOOGLE_SECTION.exec(trimmed);
+            if (sectionHeader) {
+                section = { indent, entryIndent: null };
+                current = null;
+                doc.tags.push({ tag: 'section', start, end: line.contentEnd, firstLine: index, lastLine: index, isParam: false });
+                return;
+            }
+
+            if (section && trimmed !== '') {
+                if (section.entryIndent === null) section.entryIndent = indent;
+                const entry = indent === section.entryIndent && /^(\*{0,2})(\w+)\s*(\([^)]*\))?\s*:(.*)$/.exec(trimmed);
+                if (entry) {
+                    const nameStart = start + entry[1].length;
+                    startTag({
+                        tag: 'param',
+                        style: 'google',
+                        name: entry[2],
+                        nameStart,
+                        nameEnd: nameStart + entry[2].length,
+                        description: entry[4].trim(),
+                        isParam: true,
+                        hasType: !!entry[3]
+                    }, index, start);
+                    return;
+                }
+            }
+
+            const field = /^:(param|parameter|arg|argument|key|keyword)\s+(?:([^:]*?)\s+)?(\*{0,2})(\w+):(.*)$/.exec(trimmed);
+            if (field) {
+                const nameStart = start + trimmed.indexOf(field[3] + field[4] + ':');
+                startTag({
+                    tag: 'param',
+                    style: 'sphinx',
+                    name: field[4],
+                    nameStart: nameStart + field[3].length,
+                    nameEnd: nameStart + field[3].length + field[4].length,
+                    description: field[5].trim(),
+                    isParam: true,
+                    hasType: !!field[2]
+                }, index, start);
+                return;
+            }
+            if (/^:\w+/.test(trimmed)) {
+                startTag({ tag: trimmed.substring(1).split(/[\s:]/)[0], isParam: false }, index, start);
+                return;
+            }
+        }
+
+        if (style === 'tags') {
+            const tag = /^[@\\](\w+)(?:\[[^\]]*\])?/.exec(trimmed);
+            if (tag) {
+                const fields = { tag: tag[1], isParam: PARAM_TAGS.includes(tag[1]) };
+                if (fields.isParam) Object.assign(fields, parseParamTag(trimmed, tag[0].length, start));
+                startTag(fields, index, start);
+                return;
+            }
+        }
+
+        if (current) {
+            if (trimmed !== '') {
+                current.description = `${current.description} ${trimmed}`.trim();
+                current.end = line.contentEnd;
+                current.lastLine = index;
+            }
+        } else if (doc.tags.length === 0) {
+            doc.summary += ' ' + trimmed;
+        }
+    });
+
+    doc.summary = doc.summary.trim();
+    return doc;
+}
+
+/**
+ * Split `@param {type} name description` after the tag word
+ */
+function parseParamTag(text, offset, start) {
+    let rest = text.substring(offset);
+    let position = offset;
+    const skip = count => {
+        rest = rest.substring(count);
+        position += count;
+    };
+
+    skip(rest.length - rest.trimStart().length);
+
+    const type = /^\{(?:[^{}]|\{[^{}]*\})*\}\s*/.exec(rest);
+    if (type) skip(type[0].length);
+
+    // PHPDoc puts the type first: `@param int $count`
+    const phpType = /^[^\s$]+\s+(?=[&.]*\$)/.exec(rest);
+    if (phpType) skip(phpType[0].length);
+
+    const rawName = /^\S*/.exec(rest)[0];
+    const root = /[A-Za-z_$][\w$]*/.exec(rawName.replace(/^\[/, ''));
+    const nameOffset = root ? rawName.indexOf(root[0]) : 0;
+    const name = root ? root[0].replace(/^\$/, '') : '';
+    const nameStart = start + position + nameOffset + (root && root[0].startsWith('$') ? 1 : 0);
+
+    skip(rawName.length);
+    const description = rest.trim().replace(/^-\s*/, '');
+
+    return {
+        name,
+        nameStart,
+        nameEnd: nameStart + name.length,
+        description,
+        hasType: !!type || !!phpType,
+        descriptionAt: start + position
+    };
+}
+
+/**
+ * Split a parameter list on top-level commas and return the declared names
+ * Returns null for names when a parameter is destructured
+ */
+function parseParameterList(list) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (const ch of list) {
+        if ('([{<'.includes(ch)) depth++;
+        else if (')]}>'.includes(ch)) depth--;
+
+        if (ch === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    parts.push(current);
+
+    const names = [];
+    for (let part of parts) {
+        part = part.trim()
+            .replace(/^(?:@\w+(?:\([^)]*\))?\s*)+/, '')
+            .replace(/^\[[^\]]*\]\s*/, '');
+        if (part === '') continue;
+        if (/^[{[]/.test(part)) return null;
+
+        const withoutDefault = part.split(/=(?![=>])/)[0];
+        const declared = withoutDefault.includes(':') ? withoutDefault.split(':')[0] : withoutDefault;
+        const identifiers = declared.match(/[A-Za-z_$][\w$]*/g);
+        if (!identifiers) continue;
+
+        const name = identifiers[identifiers.length - 1].replace(/^\$/, '');
+        if (!IMPLICIT_PARAMS.includes(name)) names.push(name);
+    }
+
+    return names;
+}
+
+/**
+ * Text of the balanced parenthesized list starting at `open`, or null if it never closes
+ */
+function balancedParens(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')' && --depth === 0) return text.substring(open + 1, i);
+    }
+    return null;
+}
+
+/**
+ * Parameters of the function declared right after a doc comment, or null if
+ * the comment does not document a function
+ */
+function findFollowingParameters(document, offset) {
+    let line = document.positionAt(offset).line + 1;
+    const signature = [];
+
+    while (line < document.lineCount && signature.length < 15) {
+        const text = document.lineAt(line++).text.trim();
+        if (text === '' && signature.length === 0) continue;
+        // Annotations and attributes between the comment and the declaration
+        if (signature.length === 0 && /^(?:@[\w.]+(?:\(.*\))?|#\[.*\]|\[[^\]]*\])$/.test(text)) continue;
+        signature.push(text);
+        if (/[{;]|=>/.test(text) && signature.join(' ').includes(')')) break;
+    }
+
+    const text = signature.join(' ');
+
+    const arrow = /^(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*(?::[^=]+)?=\s*(?:async\s+)?([\w$]+)\s*=>/.exec(text);
+    if (arrow) return [arrow[1]];
+
+    const open = text.indexOf('(');
+    if (open === -1 || /[{;]/.test(text.substring(0, open))) return null;
+
+    const list = balancedParens(text, open);
+    if (list === null) return null;
+
+    const prefix = text.substring(0, open).trim();
+    const after = text.substring(open + list.length + 2).trim();
+    const isAssignedFunction = /=\s*(?:async\s*)?(?:function\b[\s\w$*]*)?$/.test(prefix);
+
+    if (isAssignedFunction) {
+        if (!/^(?:=>|\{|:)/.test(after) && !/function/.test(prefix)) return null;
+    } else {
+        const name = /([\w$]+)\s*(?:<[^()]*>)?$/.exec(prefix);
+        if (!name || CONTROL_KEYWORDS.includes(name[1]) || prefix.includes('=')) return null;
+
+        // `init(config);` is a call; declarations have a keyword or type before the name, or a body after it
+        const hasBody = /^(?:\{|:|->|=>|=|throws\b|const\b|where\b|override\b|noexcept\b)/.test(after);
+        if (!hasBody && !/\S\s+\S/.test(prefix)) return null;
+    }
+
+    return parseParameterList(list);
+}
+
+/**
+ * Parameters of the Python function whose docstring starts at `offset`
+ */
+function findPrecedingParameters(document, offset) {
+    const docLine = document.positionAt(offset).line;
+    const signature = [];
+
+    for (let line = docLine - 1; line >= 0 && line >= docLine - 20; line--) {
+        const text = document.lineAt(line).text.trim();
+        signature.unshift(text);
+        if (/^(?:async\s+)?def\s/.test(text)) {
+            const joined = signature.join(' ');
+            const open = joined.indexOf('(');
+            const list = open === -1 ? null : balancedParens(joined, open);
+            return list === null ? null : parseParameterList(list);
+        }
+        if (/^(?:class|if|for|while|with|try)\b/.test(text) || text === '') return null;
+    }
+
+    return null;
+}
+
+/**
+ * The comment's opening delimiter including its doc marker, e.g. `/**` rather than `/*`
+ */
+function docOpener(comment) {
+    if (comment.delimiter === '"""' || comment.delimiter === '\'\'\'') return comment.delimiter;
+    const marker = comment.text.charAt(comment.delimiter.length);
+    return /[*!/-]/.test(marker) ? comment.delimiter + marker : comment.delimiter;
+}
+
+function detectStyle(comment, text) {
+    if (comment.delimiter === '"""' || comment.delimiter === '\'\'\'') return 'python';
+    if (docOpener(comment) === '///' && /<(?:summary|param)\b/.test(text)) return 'xml';
+    return 'tags';
+}
+
+/**
+ * Text a new parameter entry is written with, mirroring an existing entry
+ */
+function formatParamEntry(style, anchor, name, languageId) {
+    if (style === 'xml') return `<param name="${name}"></param>`;
+    if (anchor.style === 'sphinx') return `:param ${name}:`;
+    if (anchor.style === 'google') return `${name}:`;
+
+    const tagWord = anchor.sourceTag || `@${anchor.tag}`;
+    const type = anchor.hasType && languageId !== 'php' ? '{*} ' : '';
+    return `${tagWord} ${type}${languageId === 'php' ? '$' : ''}${name}`;
+}
+
+/**
+ * Check a doc comment (or a run of `///` line doc comments) against its declaration
+ *
+ * @param {object} document
+ * @param {object[]} comments the comments forming the doc comment, in order
+ * @param {string} languageId
+ * @returns {{ summary: string, tags: object[], findings: object[] }}
+ */
+function checkDocComment(document, comments, languageId) {
+    const source = document.getText();
+    const first = comments[0];
+    const last = comments[comments.length - 1];
+    const text = comments.map(comment => comment.text).join('\n');
+    const style = detectStyle(first, text);
+    const lines = getDocLines(document, comments);
+    const doc = parseDocLines(lines, style);
+    const eol = source.includes('\r\n') ? '\r\n' : '\n';
+    const findings = [];
+
+    doc.tags.forEach(tag => {
+        tag.sourceTag = tag.isParam && style === 'tags' ? source.substring(tag.start, tag.start + 1) + tag.tag : null;
+    });
+
+    const paramTags = doc.tags.filter(tag => tag.isParam && tag.name);
+    const params = style === 'python'
+        ? findPrecedingParameters(document, first.start)
+        : findFollowingParameters(document, last.end);
+
+    const linePrefix = lineIndex => {
+        const line = lines[lineIndex];
+        if (line.ownsLine) {
+            const textIndent = line.text.length - line.text.trimStart().length;
+            return source.substring(line.lineStart, line.contentStart + textIndent);
+        }
+        const indent = /^[ \t]*/.exec(source.substring(line.lineStart, line.lineEnd))[0];
+        return first.delimiter.startsWith('/*') ? `${indent} * ` : `${indent}${docOpener(first)} `;
+    };
+
+    const removeTagEdit = tag => {
+        const owned = lines.slice(tag.firstLine, tag.lastLine + 1).every(line => line.ownsLine);
+        return owned
+            ? { start: lines[tag.firstLine].lineStart, end: lines[tag.lastLine].nextLineStart, newText: '' }
+            : { start: tag.start, end: tag.end, newText: '' };
+    };
+
+    if (params) {
+        const documented = paramTags.map(tag => tag.name);
+        const unknown = paramTags.filter(tag => !params.includes(tag.name));
+        const missing = paramTags.length > 0 ? params.filter(name => !documented.includes(name)) : [];
+        const renames = unknown.length === 1 && missing.length === 1;
+
+        unknown.forEach(tag => {
+            findings.push({
+                code: 'doc_unknown_param',
+                message: `Documented parameter '${tag.name}' does not exist${renames ? `, did you mean '${missing[0]}'?` : ''}`,
+                start: tag.nameStart,
+                end: tag.nameEnd,
+                fix: renames
+                    ? { title: `Rename to '${missing[0]}'`, edits: [{ start: tag.nameStart, end: tag.nameEnd, newText: missing[0] }] }
+                    : { title: `Remove documentation of '${tag.name}'`, edits: [removeTagEdit(tag)] }
+            });
+        });
+
+        if (!renames) {
+            const anchor = paramTags[paramTags.length - 1];
+            missing.forEach(name => {
+                const anchorLine = lines[anchor.lastLine];
+                const insertAt = anchorLine.ownsLine ? anchorLine.lineEnd : anchor.end;
+                findings.push({
+                    code: 'doc_missing_param',
+                    message: `Parameter '${name}' is not documented`,
+                    start: first.start,
+                    end: last.end,
+                    fix: {
+                        title: `Document parameter '${name}'`,
+                        edits: [{ start: insertAt, end: insertAt, newText: `${eol}${linePrefix(anchor.firstLine)}${formatParamEntry(style, anchor, name, languageId)}` }]
+                    }
+                });
+            });
+        }
+    }
+
+    paramTags.filter(tag => tag.description === '').forEach(tag => {
+        const insertAt = tag.descriptionAt !== undefined && tag.descriptionAt !== null ? tag.descriptionAt : tag.end;
+        findings.push({
+            code: 'doc_empty_description',
+            message: `Parameter '${tag.name}' has no description`,
+            start: tag.start,
+            end: tag.end,
+            fix: {
+                title: 'Add a description',
+                edits: [style === 'xml'
+                    ? { start: insertAt, end: insertAt, newText: '', placeholderAt: 0 }
+                    : { start: insertAt, end: insertAt, newText: ' ', placeholderAt: 1 }]
+            }
+        });
+    });
+
+    if (doc.summary === '' && doc.tags.length > 0) {
+        const firstTag = doc.tags[0];
+        const owned = lines[firstTag.firstLine].ownsLine;
+        const insertAt = owned ? lines[firstTag.firstLine].lineStart : firstTag.start;
+        const prefix = linePrefix(firstTag.firstLine);
+        const edit = style === 'xml'
+            ? { newText: `${prefix}<summary></summary>${eol}`, placeholderAt: prefix.length + '<summary>'.length }
+            : owned ? { newText: `${prefix}${eol}`, placeholderAt: prefix.length } : { newText: ' ', placeholderAt: 0 };
+
+        findings.push({
+            code: 'doc_empty_description',
+            message: 'Doc comment has no description',
+            start: first.start,
+            end: last.end,
+            fix: { title: 'Add a description', edits: [{ start: insertAt, end: insertAt, ...edit }] }
+        });
+    }
+
+    return { summary: doc.summary, tags: doc.tags, findings };
+}
+
+module.exports = {
+    checkDocComment,
+    parseParameterList
+};
@@ -0,0 +1,123 @@
+const path = require('path');
+
+/**
+ * Text Document
+ * Minimal stand-in for vscode.TextDocument used outside the editor
+ */
+
+// File extensions mapped to VS Code language identifiers
+const LANGUAGE_BY_EXTENSION = {
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.ts': 'typescript',
+    '.mts': 'typescript',
+    '.cts': 'typescript',
+    '.tsx': 'typescriptreact',
+    '.py': 'python',
+    '.java': 'java',
+    '.cs': 'csharp',
+    '.c': 'c',
+    '.h': 'c',
+    '.cc': 'cpp',
+    '.cpp': 'cpp',
+    '.cxx': 'cpp',
+    '.hpp': 'cpp',
+    '.hh': 'cpp',
+    '.html': 'html',
+    '.htm': 'html',
+    '.xml': 'xml',
+    '.svg': 'xml',
+    '.css': 'css',
+    '.scss': 'scss',
+    '.less': 'less',
+    '.go': 'go',
+    '.rs': 'rust',
+    '.rb': 'ruby',
+    '.rake': 'ruby',
+    '.php': 'php',
+    '.sh': 'shellscript',
+    '.bash': 'shellscript',
+    '.zsh': 'shellscript',
+    '.sql': 'sql',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.lua': 'lua',
+    '.kt': 'kotlin',
+    '.kts': 'kotlin',
+    '.swift': 'swift',
+    '.hs': 'haskell'
+};
+
+/**
+ * Guess the language identifier of a file from its extension
+ */
+function detectLanguage(fileName) {
+    return LANGUAGE_BY_EXTENSION[path.extname(fileName).toLowerCase()] || null;
+}
+
+class TextDocument {
+    constructor(text, languageId, fileName = '') {
+        this.text = text;
+        this.languageId = languageId;
+        this.fileName = fileName;
+        this.eol = text.includes('\r\n') ? '\r\n' : '\n';
+
+        // Offsets at which each line starts
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    get lineCount() {
+        return this.lineStarts.length;
+    }
+
+    getText() {
+        return this.text;
+    }
+
+    positionAt(offset) {
+        const clamped = Math.max(0, Math.min(offset, this.text.length));
+
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.lineStarts[mid] <= clamped) low = mid;
+            else high = mid - 1;
+        }
+
+        return { line: low, character: clamped - this.lineStarts[low] };
+    }
+
+    offsetAt(position) {
+        if (position.line >= this.lineStarts.length) return this.text.length;
+        const line = this.lineAt(position.line);
+        return this.lineStarts[position.line] + Math.min(position.character, line.text.length);
+    }
+
+    lineAt(lineNumber) {
+        const start = this.lineStarts[lineNumber];
+        const nextStart = lineNumber + 1 < this.lineStarts.length ? this.lineStarts[lineNumber + 1] : this.text.length;
+        const text = this.text.substring(start, nextStart).replace(/\r?\n$/, '');
+
+        return {
+            lineNumber,
+            text,
+            range: {
+                start: { line: lineNumber, character: 0 },
+                end: { line: lineNumber, character: text.length }
+            },
+            isEmptyOrWhitespace: text.trim().length === 0
+        };
+    }
+}
+
+module.exports = {
+    TextDocument,
+    detectLanguage,
+    LANGUAGE_BY_EXTENSION
+};
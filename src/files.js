@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, toPosixPath } = require('./glob');
+const { IgnoreMatcher } = require('./ignore');
+
+/**
+ * File Expansion
+ * Resolves file, directory and glob arguments for batch runs outside the editor
+ */
+
+// Directories never worth descending into
+const SKIPPED_DIRECTORIES = ['node_modules', '.git', '.hg', '.svn'];
+
+function isGlob(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Walk a directory tree, honoring .gitignore files found along the way
+ */
+function walk(dir, matcher, respectGitignore, files) {
+    if (respectGitignore) {
+        const ignoreFile = path.join(dir, '.gitignore');
+        if (fs.existsSync(ignoreFile)) {
+            matcher.addIgnoreFile(dir, fs.readFileSync(ignoreFile, 'utf8'));
+        }
+    }
+
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            if (SKIPPED_DIRECTORIES.includes(entry.name)) return;
+            if (respectGitignore && matcher.ignores(fullPath, true)) return;
+            walk(fullPath, matcher, respectGitignore, files);
+        } else if (entry.isFile() && !(respectGitignore && matcher.ignores(fullPath))) {
+            files.push(fullPath);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Expand file paths, directories and globs into a sorted list of absolute file paths
+ *
+ * @param {string[]} patterns files, directories or globs relative to `cwd`
+ * @param {object} options
+ * @param {string} [options.cwd] base directory for relative patterns
+ * @param {string[]} [options.ignore] globs of files to skip
+ * @param {boolean} [options.respectGitignore] skip files ignored by .gitignore
+ */
+function expandPatterns(patterns, options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const respectGitignore = options.respectGitignore !== false;
+    const ignore = (options.ignore || []).map(globToRegExp);
+    const matcher = new IgnoreMatcher();
+    const files = new Set();
+
+    let walked = null;
+    const walkCwd = () => {
+        if (!walked) walked = walk(cwd, matcher, respectGitignore, []);
+        return walked;
+    };
+
+    patterns.forEach(pattern => {
+        if (isGlob(pattern)) {
+            const regex = globToRegExp(toPosixPath(pattern).replace(/^\.\//, ''));
+            walkCwd().forEach(file => {
+                if (regex.test(toPosixPath(path.relative(cwd, file)))) files.add(file);
+            });
+            return;
+        }
+
+        const fullPath = path.resolve(cwd, pattern);
+        if (!fs.existsSync(fullPath)) {
+            throw new Error(`No such file or directory: ${pattern}`);
+        }
+
+        if (fs.statSync(fullPath).isDirectory()) {
+            walk(fullPath, matcher, respectGitignore, []).forEach(file => files.add(file));
+        } else {
+            files.add(fullPath);
+        }
+    });
+
+    return [...files]
+        .filter(file => !ignore.some(regex => regex.test(toPosixPath(path.relative(cwd, file)))))
+        .sort();
+}
+
+module.exports = {
+    expandPatterns
+};
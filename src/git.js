@@ -0,0 +1,332 @@
+const { execFile, execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Git History
+ * Blame information and changed lines for comments, read with the local `git` binary
+ */
+
+const UNCOMMITTED = /^0{40}$/;
+
+// Lines below a comment that count as "the code it describes"
+const CODE_LINES_BELOW = 5;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Diff scopes: the working tree against HEAD, the staged changes, or the working tree
+// against the merge base with another branch (`base`)
+const DIFF_SCOPES = ['diff', 'staged', 'branch'];
+
+// Changed lines of files git does not track yet
+const ALL_LINES = { has: () => true };
+
+/**
+ * Run git synchronously and return its output, or null when it fails
+ */
+function git(args, cwd) {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).toString('utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+function blameArgs(filePath, hasContents) {
+    const args = ['blame', '--porcelain'];
+    if (hasContents) args.push('--contents', '-');
+    return args.concat(['--', path.basename(filePath)]);
+}
+
+/**
+ * Parse `git blame --porcelain` output
+ * Returns an array indexed by 0-based line number of { commit, author, time } (time in ms)
+ */
+function parseBlame(output) {
+    const commits = new Map();
+    const lines = [];
+    let current = null;
+
+    output.split('\n').forEach(line => {
+        const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+        if (header) {
+            if (!commits.has(header[1])) commits.set(header[1], { commit: header[1], author: null, time: Date.now() });
+            current = { info: commits.get(header[1]), line: Number(header[2]) - 1 };
+            return;
+        }
+        if (!current) return;
+
+        if (line.startsWith('committer-time ') && !UNCOMMITTED.test(current.info.commit)) {
+            current.info.time = Number(line.substring('committer-time '.length)) * 1000;
+        } else if (line.startsWith('author ') && !UNCOMMITTED.test(current.info.commit)) {
+            current.info.author = line.substring('author '.length);
+        } else if (line.startsWith('\t')) {
+            lines[current.line] = current.info;
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Run git without blocking and resolve to its output, or null when it fails
+ * `input` is written to its standard input; git may exit before reading it.
+ */
+function gitAsync(args, cwd, input = null) {
+    return new Promise(resolve => {
+        const child = execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 },
+            (error, stdout) => resolve(error ? null : stdout));
+
+        if (input !== null) {
+            // Writing to a git that already exited fails with EPIPE, which must not crash the host
+            child.stdin.on('error', () => {});
+            child.stdin.end(input);
+        }
+    });
+}
+
+/**
+ * Blame a file, optionally with unsaved contents; resolves to null when the
+ * file is not tracked or git is unavailable
+ */
+async function blameFile(filePath, contents = null) {
+    const cwd = path.dirname(filePath);
+
+    // Untracked files would make git exit before it reads the contents
+    if (contents !== null && await gitAsync(['ls-files', '--error-unmatch', '--', path.basename(filePath)], cwd) === null) {
+        return null;
+    }
+
+    const output = await gitAsync(blameArgs(filePath, contents !== null), cwd, contents);
+    return output === null ? null : parseBlame(output);
+}
+
+function blameFileSync(filePath, contents = null) {
+    try {
+        const options = { cwd: path.dirname(filePath), maxBuffer: 64 * 1024 * 1024, stdio: ['pipe', 'pipe', 'ignore'] };
+        if (contents !== null) options.input = contents;
+        return parseBlame(execFileSync('git', blameArgs(filePath, contents !== null), options).toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Hunks of a `git diff --unified=0` as { oldStart, oldCount, newStart, newCount } (1-based)
+ */
+function parseHunks(diff) {
+    const hunks = [];
+    const pattern = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/gm;
+    let match;
+
+    while ((match = pattern.exec(diff || '')) !== null) {
+        hunks.push({
+            oldStart: Number(match[1]),
+            oldCount: match[2] === undefined ? 1 : Number(match[2]),
+            newStart: Number(match[3]),
+            newCount: match[4] === undefined ? 1 : Number(match[4])
+        });
+    }
+
+    return hunks;
+}
+
+/**
+ * Lines added or changed on the new side of the hunks (1-based)
+ */
+function addedLines(hunks) {
+    const lines = [];
+    hunks.forEach(hunk => {
+        for (let line = hunk.newStart; line < hunk.newStart + hunk.newCount; line++) lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Follow 1-based lines of an older version through the hunks of a newer one
+ */
+function mapLines(lines, hunks) {
+    const mapped = [];
+
+    lines.forEach(line => {
+        let offset = 0;
+        for (const hunk of hunks) {
+            const lastOld = hunk.oldStart + hunk.oldCount - 1;
+            if (hunk.oldCount === 0 ? line <= hunk.oldStart : line < hunk.oldStart) break;
+            if (line <= lastOld) {
+                // Changed again since: every line of the newer hunk takes its place
+                for (let newLine = hunk.newStart; newLine < hunk.newStart + hunk.newCount; newLine++) mapped.push(newLine);
+                offset = null;
+                break;
+            }
+            offset += hunk.newCount - hunk.oldCount;
+        }
+        if (offset !== null) mapped.push(line + offset);
+    });
+
+    return mapped;
+}
+
+function diffArgs(extra, name) {
+    return ['diff', '--unified=0', '--no-color', '--no-ext-diff'].concat(extra, ['--', name]);
+}
+
+/**
+ * Merge base of HEAD and a branch, throwing when the branch is unknown
+ */
+function mergeBase(cwd, base) {
+    const commit = git(['merge-base', base, 'HEAD'], cwd);
+    if (commit === null) throw new Error(`Cannot compare with '${base}': unknown branch or commit`);
+    return commit.trim();
+}
+
+/**
+ * Lines of the working-tree file that a diff scope touches, as a set of 0-based
+ * line numbers; null when the file is not inside a git repository
+ *
+ * @param {string} filePath
+ * @param {{ mode: 'diff'|'staged'|'branch', base?: string }} scope
+ */
+function getChangedLines(filePath, scope) {
+    const cwd = path.dirname(filePath);
+    const name = path.basename(filePath);
+    if (git(['rev-parse', '--is-inside-work-tree'], cwd) === null) return null;
+
+    if (git(['ls-files', '--error-unmatch', '--', name], cwd) === null) {
+        return scope.mode === 'staged' ? new Set() : ALL_LINES;
+    }
+
+    let lines;
+    if (scope.mode === 'staged') {
+        // Staged hunks are numbered by the index; follow them through the unstaged changes
+        const staged = addedLines(parseHunks(git(diffArgs(['--cached'], name), cwd)));
+        lines = mapLines(staged, parseHunks(git(diffArgs([], name), cwd)));
+    } else {
+        const base = scope.mode === 'branch' ? mergeBase(cwd, scope.base) : 'HEAD';
+        const diff = git(diffArgs([base], name), cwd);
+        if (diff === null) return ALL_LINES;
+        lines = addedLines(parseHunks(diff));
+    }
+
+    return new Set(lines.map(line => line - 1));
+}
+
+/**
+ * Absolute paths of the files a diff scope touches in the repository containing `cwd`
+ */
+function getChangedFiles(cwd, scope) {
+    const root = git(['rev-parse', '--show-toplevel'], cwd);
+    if (root === null) throw new Error('Not inside a git repository');
+
+    const rootDir = root.trim();
+    const names = [];
+    const add = output => (output || '').split('\n').filter(Boolean).forEach(name => names.push(name));
+
+    if (scope.mode === 'staged') {
+        add(git(['diff', '--cached', '--name-only', '--diff-filter=d'], rootDir));
+    } else {
+        const base = scope.mode === 'branch' ? mergeBase(rootDir, scope.base) : 'HEAD';
+        add(git(['diff', '--name-only', '--diff-filter=d', base], rootDir));
+        add(git(['ls-files', '--others', '--exclude-standard'], rootDir));
+    }
+
+    return [...new Set(names)].map(name => path.join(rootDir, name));
+}
+
+/**
+ * Local and remote branches of the repository containing `cwd`
+ */
+function listBranches(cwd) {
+    const output = git(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes'], cwd);
+    return (output || '').split('\n').filter(name => name && !name.endsWith('/HEAD'));
+}
+
+/**
+ * Whether any line of a comment lies within a set of changed lines
+ */
+function isCommentChanged(comment, changedLines) {
+    for (let line = comment.range.start.line; line <= comment.range.end.line; line++) {
+        if (changedLines.has(line)) return true;
+    }
+    return false;
+}
+
+/**
+ * Annotate comments with `history` from blame lines:
+ * { commit, author, time, ageDays, codeTime, codeChangedSince }
+ */
+function applyBlame(comments, blame, document, now = Date.now()) {
+    if (!blame) return comments;
+
+    // Lines holding only comments are skipped when looking for the code below
+    const commentLines = new Set();
+    comments.filter(comment => !comment.isInlineComment).forEach(comment => {
+        for (let line = comment.range.start.line; line <= comment.range.end.line; line++) commentLines.add(line);
+    });
+
+    comments.forEach(comment => {
+        const startLine = comment.range.start.line;
+        const endLine = comment.range.end.line;
+        let latest = null;
+
+        for (let line = startLine; line <= endLine; line++) {
+            if (blame[line] && (!latest || blame[line].time > latest.time)) latest = blame[line];
+        }
+        if (!latest) return;
+
+        // Code directly below: the following lines up to the first blank line
+        let codeTime = null;
+        for (let line = endLine + 1, seen = 0; line < document.lineCount && seen < CODE_LINES_BELOW; line++) {
+            if (commentLines.has(line)) continue;
+            if (document.lineAt(line).isEmptyOrWhitespace) {
+                if (seen > 0) break;
+                continue;
+            }
+            seen++;
+            if (blame[line] && (codeTime === null || blame[line].time > codeTime)) codeTime = blame[line].time;
+        }
+
+        comment.history = {
+            commit: UNCOMMITTED.test(latest.commit) ? null : latest.commit,
+            author: latest.author,
+            time: latest.time,
+            ageDays: Math.max(0, Math.floor((now - latest.time) / DAY)),
+            codeTime,
+            codeChangedSince: codeTime !== null && codeTime > latest.time
+        };
+    });
+
+    return comments;
+}
+
+/**
+ * Human-readable age such as "3 months ago"
+ */
+function formatAge(days) {
+    if (days < 1) return 'today';
+    if (days < 30) return `${days} day${days === 1 ? '' : 's'} ago`;
+    if (days < 365) {
+        const months = Math.floor(days / 30);
+        return `${months} month${months === 1 ? '' : 's'} ago`;
+    }
+    const years = Math.floor(days / 365);
+    return `${years} year${years === 1 ? '' : 's'} ago`;
+}
+
+module.exports = {
+    blameFile,
+    blameFileSync,
+    parseBlame,
+    parseHunks,
+    mapLines,
+    getChangedLines,
+    getChangedFiles,
+    listBranches,
+    isCommentChanged,
+    DIFF_SCOPES,
+    applyBlame,
+    formatAge
+};
@@ -0,0 +1,67 @@
+/**
+ * Glob Matching
+ * Minimal glob-to-RegExp conversion shared by workspace scans and ignore files
+ */
+
+/**
+ * Convert a glob pattern into a RegExp matched against '/'-separated relative paths
+ * Supports `**`, `*`, `?`, `[...]` character classes and `{a,b}` alternatives
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let inGroup = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` matches zero or more directories, a trailing `**` matches everything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (ch === '?') {
+            source += '[^/]';
+        } else if (ch === '[') {
+            const close = glob.indexOf(']', i + 1);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                const body = glob.substring(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${body}]`;
+                i = close;
+            }
+        } else if (ch === '{') {
+            inGroup++;
+            source += '(?:';
+        } else if (ch === '}' && inGroup > 0) {
+            inGroup--;
+            source += ')';
+        } else if (ch === ',' && inGroup > 0) {
+            source += '|';
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normalize a file system path to the '/'-separated form globs are matched against
+ */
+function toPosixPath(filePath) {
+    return filePath.replace(/\\/g, '/');
+}
+
+module.exports = {
+    globToRegExp,
+    toPosixPath
+};
@@ -0,0 +1,92 @@
+const vscode = require('vscode');
+
+/**
+ * Removal History View
+ * Lists recorded removal runs, their files and the comments removed from each
+ */
+
+class RemovalHistoryTreeProvider {
+    constructor(commentCleaner) {
+        this.commentCleaner = commentCleaner;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+        this.listener = commentCleaner.onDidChangeRemovalHistory(() => this.changeEmitter.fire());
+    }
+
+    getTreeItem(element) {
+        return element.treeItem;
+    }
+
+    getChildren(element) {
+        if (element) return element.children();
+
+        let runs;
+        try {
+            runs = this.commentCleaner.removalHistory.load();
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+            return [];
+        }
+        return runs.map(run => this.createRunNode(run));
+    }
+
+    createRunNode(run) {
+        const entries = [].concat(...run.files.map(file => file.entries));
+        const restored = entries.filter(entry => entry.restored).length;
+
+        const treeItem = new vscode.TreeItem(
+            `${run.mode} · ${new Date(run.time).toLocaleString()}`,
+            vscode.TreeItemCollapsibleState.Collapsed
+        );
+        treeItem.description = `${entries.length} comments in ${run.files.length} file${run.files.length === 1 ? '' : 's'}` +
+            (restored > 0 ? `, ${restored} restored` : '');
+        treeItem.iconPath = new vscode.ThemeIcon('history');
+        treeItem.contextValue = restored === entries.length ? 'removalRun.restored' : 'removalRun';
+
+        return { treeItem, run, children: () => run.files.map(file => this.createFileNode(run, file)) };
+    }
+
+    createFileNode(run, file) {
+        const uri = vscode.Uri.file(file.filePath);
+        const restored = file.entries.filter(entry => entry.restored).length;
+
+        const treeItem = new vscode.TreeItem(uri, vscode.TreeItemCollapsibleState.Collapsed);
+        treeItem.description = `${vscode.workspace.asRelativePath(uri)} · ${file.entries.length} comments` +
+            (restored > 0 ? `, ${restored} restored` : '');
+        treeItem.contextValue = restored === file.entries.length ? 'removalFile.restored' : 'removalFile';
+
+        return { treeItem, run, file, children: () => file.entries.map(entry => this.createEntryNode(run, file, entry)) };
+    }
+
+    createEntryNode(run, file, entry) {
+        const firstLine = entry.text.trim().split(/\r?\n/)[0];
+        const treeItem = new vscode.TreeItem(firstLine.substring(0, 80), vscode.TreeItemCollapsibleState.None);
+
+        const details = [`line ${entry.line + 1}`];
+        if (entry.category) details.push(entry.category);
+        if (entry.restored) details.push('restored');
+        treeItem.description = details.join(' · ');
+
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendCodeblock(entry.text.replace(/\s+$/, ''));
+        treeItem.tooltip = tooltip;
+        treeItem.iconPath = new vscode.ThemeIcon(entry.restored ? 'check' : 'comment');
+        treeItem.contextValue = entry.restored ? 'removedComment.restored' : 'removedComment';
+        treeItem.command = {
+            command: 'vscode.open',
+            title: 'Open',
+            arguments: [vscode.Uri.file(file.filePath), { selection: new vscode.Range(entry.line, 0, entry.line, 0) }]
+        };
+
+        return { treeItem, run, file, entry, children: () => [] };
+    }
+
+    dispose() {
+        this.listener.dispose();
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = {
+    RemovalHistoryTreeProvider
+};
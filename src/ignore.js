@@ -0,0 +1,90 @@
+const path = require('path');
+const { globToRegExp, toPosixPath } = require('./glob');
+
+/**
+ * Gitignore Matching
+ * Evaluates .gitignore rules collected from any number of directories
+ */
+
+class IgnoreMatcher {
+    constructor() {
+        this.rules = [];
+    }
+
+    /**
+     * Add the rules of one .gitignore file located in `baseDir`
+     */
+    addIgnoreFile(baseDir, content) {
+        content.split(/\r?\n/).forEach(rawLine => {
+            const rule = this.parseRule(rawLine);
+            if (rule) {
+                rule.baseDir = baseDir;
+                this.rules.push(rule);
+            }
+        });
+
+        // Deeper ignore files take precedence over their parents
+        this.rules.sort((a, b) => a.baseDir.length - b.baseDir.length);
+    }
+
+    /**
+     * Parse a single .gitignore line into a rule
+     */
+    parseRule(rawLine) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) return null;
+
+        const negated = line.startsWith('!');
+        if (negated) line = line.substring(1);
+        line = line.replace(/^\\([#!])/, '$1');
+
+        const directoryOnly = line.endsWith('/');
+        if (directoryOnly) line = line.replace(/\/+$/, '');
+
+        // Patterns without an inner slash match at any depth
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        if (!line) return null;
+
+        const glob = anchored || line.startsWith('**/') ? line : `**/${line}`;
+
+        return {
+            negated,
+            directoryOnly,
+            regex: globToRegExp(glob)
+        };
+    }
+
+    /**
+     * Check whether an absolute file or directory path is ignored
+     */
+    ignores(filePath, isDirectory = false) {
+        let ignored = false;
+
+        this.rules.forEach(rule => {
+            const relative = toPosixPath(path.relative(rule.baseDir, filePath));
+            if (!relative || relative.startsWith('..')) return;
+
+            if (this.ruleMatches(rule, relative, isDirectory)) {
+                ignored = !rule.negated;
+            }
+        });
+
+        return ignored;
+    }
+
+    ruleMatches(rule, relativePath, isDirectory) {
+        const segments = relativePath.split('/');
+
+        // A rule matching any parent directory ignores everything below it
+        for (let i = 1; i < segments.length; i++) {
+            if (rule.regex.test(segments.slice(0, i).join('/'))) return true;
+        }
+
+        return (isDirectory || !rule.directoryOnly) && rule.regex.test(relativePath);
+    }
+}
+
+module.exports = {
+    IgnoreMatcher
+};
@@ -0,0 +1,262 @@
+const { syntaxes } = require('./tokenizer');
+
+/**
+ * Language Registry
+ * Comment syntax, code keywords and doc-comment conventions for every analyzable language
+ *
+ * A definition is { syntax, keywords, docComments, aliases, extends }:
+ *   syntax       tokenizer description (see ./tokenizer.js); definitions coming from settings
+ *                may give its fields (lineComments, blockComments, strings, ...) directly instead
+ *   keywords     words that suggest a comment is commented-out code
+ *   docComments  openers of documentation comments, e.g. '/**' or '///'
+ *   aliases      other language ids that share the definition
+ *   extends      registered language whose definition is the starting point
+ */
+
+// Tokenizer fields a definition may give directly instead of a `syntax` object
+const SYNTAX_FIELDS = ['lineComments', 'blockComments', 'strings', 'heredocs', 'regexLiterals', 'regexKeywords'];
+
+const C_KEYWORDS = ['int', 'char', 'void', 'struct', 'typedef', 'static', 'const', 'if', 'else', 'for', 'while', 'return', 'include', 'define'];
+
+const BUILTIN_LANGUAGES = {
+    javascript: {
+        syntax: syntaxes.javascript,
+        keywords: ['function', 'const', 'let', 'var', 'class', 'if', 'else', 'for', 'while', 'return', 'import', 'export'],
+        docComments: ['/**'],
+        aliases: ['javascriptreact']
+    },
+    typescript: {
+        syntax: syntaxes.javascript,
+        keywords: ['function', 'const', 'let', 'var', 'class', 'interface', 'type', 'enum', 'if', 'else', 'for', 'while', 'return', 'import', 'export'],
+        docComments: ['/**'],
+        aliases: ['typescriptreact']
+    },
+    python: {
+        syntax: syntaxes.python,
+        keywords: ['def', 'class', 'if', 'elif', 'else', 'for', 'while', 'return', 'import', 'from', 'try', 'except'],
+        docComments: ['"""', '\'\'\'']
+    },
+    java: {
+        syntax: syntaxes.java,
+        keywords: ['public', 'private', 'protected', 'class', 'interface', 'if', 'else', 'for', 'while', 'return', 'import'],
+        docComments: ['/**']
+    },
+    csharp: {
+        syntax: syntaxes.csharp,
+        keywords: ['public', 'private', 'protected', 'class', 'interface', 'namespace', 'using', 'if', 'else', 'for', 'while', 'return'],
+        docComments: ['///', '/**']
+    },
+    c: {
+        syntax: syntaxes.cpp,
+        keywords: C_KEYWORDS,
+        docComments: ['/**', '/*!', '///', '//!']
+    },
+    cpp: {
+        syntax: syntaxes.cpp,
+        keywords: C_KEYWORDS.concat(['class', 'namespace', 'template', 'public', 'private', 'auto', 'std']),
+        docComments: ['/**', '/*!', '///', '//!']
+    },
+    html: {
+        syntax: syntaxes.html,
+        keywords: ['div', 'span', 'html', 'head', 'body', 'script', 'style'],
+        docComments: [],
+        aliases: ['xml']
+    },
+    css: {
+        syntax: syntaxes.css,
+        keywords: ['class', 'id', 'color', 'background', 'margin', 'padding'],
+        docComments: []
+    },
+    go: {
+        syntax: syntaxes.go,
+        keywords: ['func', 'var', 'const', 'type', 'struct', 'package', 'import', 'if', 'else', 'for', 'range', 'return', 'defer', 'go'],
+        docComments: []
+    },
+    rust: {
+        syntax: syntaxes.rust,
+        keywords: ['fn', 'let', 'mut', 'pub', 'struct', 'enum', 'impl', 'trait', 'use', 'mod', 'match', 'if', 'else', 'for', 'while', 'return'],
+        docComments: ['///', '//!', '/**', '/*!']
+    },
+    ruby: {
+        syntax: syntaxes.ruby,
+        keywords: ['def', 'end', 'class', 'module', 'require', 'if', 'elsif', 'else', 'unless', 'do', 'while', 'return', 'puts', 'attr_accessor'],
+        docComments: []
+    },
+    php: {
+        syntax: syntaxes.php,
+        keywords: ['function', 'public', 'private', 'protected', 'class', 'namespace', 'use', 'echo', 'if', 'else', 'foreach', 'while', 'return'],
+        docComments: ['/**']
+    },
+    shellscript: {
+        syntax: syntaxes.shell,
+        keywords: ['if', 'then', 'fi', 'else', 'for', 'do', 'done', 'while', 'case', 'esac', 'echo', 'export', 'local', 'function'],
+        docComments: [],
+        aliases: ['bash', 'sh', 'zsh']
+    },
+    sql: {
+        syntax: syntaxes.sql,
+        keywords: ['select', 'from', 'where', 'insert', 'update', 'delete', 'join', 'create', 'alter', 'drop', 'table', 'values', 'into', 'set'],
+        docComments: []
+    },
+    yaml: {
+        syntax: syntaxes.yaml,
+        keywords: ['true', 'false', 'null'],
+        docComments: []
+    },
+    lua: {
+        syntax: syntaxes.lua,
+        keywords: ['function', 'local', 'end', 'if', 'then', 'else', 'elseif', 'for', 'while', 'do', 'return', 'require'],
+        docComments: ['---']
+    },
+    kotlin: {
+        syntax: syntaxes.kotlin,
+        keywords: ['fun', 'val', 'var', 'class', 'object', 'interface', 'import', 'package', 'if', 'else', 'when', 'for', 'while', 'return'],
+        docComments: ['/**']
+    },
+    swift: {
+        syntax: syntaxes.swift,
+        keywords: ['func', 'let', 'var', 'class', 'struct', 'enum', 'protocol', 'import', 'guard', 'if', 'else', 'for', 'while', 'return'],
+        docComments: ['///', '/**']
+    },
+    haskell: {
+        syntax: syntaxes.haskell,
+        keywords: ['module', 'import', 'where', 'let', 'in', 'case', 'of', 'data', 'type', 'newtype', 'class', 'instance', 'deriving', 'do', 'if', 'then', 'else'],
+        docComments: ['-- |', '-- ^', '{-|']
+    },
+    scss: {
+        syntax: syntaxes.scss,
+        keywords: ['@mixin', '@include', '@import', '@use', 'color', 'background', 'margin', 'padding', 'display'],
+        docComments: ['///'],
+        aliases: ['less']
+    }
+};
+
+class LanguageRegistry {
+    constructor() {
+        // Definitions registered under each language id, the most recent one is active
+        this.entries = new Map();
+    }
+
+    /**
+     * Register a language definition under its id and aliases
+     * Returns a disposable that removes the registration again, restoring any
+     * definition it replaced.
+     */
+    register(id, definition) {
+        const language = this.normalize(id, definition);
+        const ids = [id].concat(language.aliases);
+
+        ids.forEach(languageId => {
+            if (!this.entries.has(languageId)) this.entries.set(languageId, []);
+            this.entries.get(languageId).push(language);
+        });
+
+        return {
+            dispose: () => {
+                ids.forEach(languageId => {
+                    const stack = this.entries.get(languageId) || [];
+                    const index = stack.lastIndexOf(language);
+                    if (index !== -1) stack.splice(index, 1);
+                    if (stack.length === 0) this.entries.delete(languageId);
+                });
+            }
+        };
+    }
+
+    /**
+     * Active definition for a language id, or null when the language is unknown
+     */
+    get(languageId) {
+        const stack = this.entries.get(languageId);
+        return stack ? stack[stack.length - 1] : null;
+    }
+
+    getLanguageIds() {
+        return [...this.entries.keys()].sort();
+    }
+
+    /**
+     * Validate a definition and fill in defaults
+     */
+    normalize(id, definition) {
+        if (typeof id !== 'string' || id.trim() === '') {
+            throw new Error('Language id must be a non-empty string');
+        }
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new Error(`Language '${id}': definition must be an object`);
+        }
+
+        const base = definition.extends ? this.get(definition.extends) : null;
+        if (definition.extends && !base) {
+            throw new Error(`Language '${id}' extends unknown language '${definition.extends}'`);
+        }
+
+        let syntax = definition.syntax;
+        if (!syntax) {
+            const fields = SYNTAX_FIELDS.filter(field => definition[field] !== undefined);
+            syntax = fields.length > 0 || !base ? { ...(base ? base.syntax : {}) } : base.syntax;
+            fields.forEach(field => {
+                syntax[field] = definition[field];
+            });
+        }
+        this.validateSyntax(id, syntax);
+
+        return {
+            id,
+            syntax,
+            keywords: definition.keywords || (base ? base.keywords : []),
+            docComments: definition.docComments || (base ? base.docComments : []),
+            aliases: definition.aliases || []
+        };
+    }
+
+    validateSyntax(id, syntax) {
+        ['lineComments', 'blockComments', 'strings', 'heredocs'].forEach(field => {
+            if (syntax[field] !== undefined && !Array.isArray(syntax[field])) {
+                throw new Error(`Language '${id}': "${field}" must be a list`);
+            }
+        });
+
+        if ((syntax.lineComments || []).length === 0 && (syntax.blockComments || []).length === 0) {
+            throw new Error(`Language '${id}' must declare lineComments or blockComments`);
+        }
+
+        (syntax.blockComments || []).forEach(block => {
+            const valid = block.pattern ? typeof block.close === 'function' : typeof block.open === 'string' && typeof block.close === 'string';
+            if (!valid) throw new Error(`Language '${id}': block comments need "open" and "close" delimiters`);
+        });
+
+        (syntax.strings || []).forEach(string => {
+            const valid = string.pattern ? typeof string.close === 'function' : typeof string.open === 'string' && typeof string.close === 'string';
+            if (!valid) throw new Error(`Language '${id}': strings need "open" and "close" delimiters`);
+        });
+    }
+}
+
+/**
+ * Whether a comment's text starts with one of the language's doc-comment openers
+ * Banner and divider comments that merely repeat the opener's last character do not count
+ */
+function isDocComment(text, language) {
+    return !!language && language.docComments.some(opener => {
+        if (!text.startsWith(opener)) return false;
+        const next = text.charAt(opener.length);
+        return next !== opener.charAt(opener.length - 1) && next !== '/';
+    });
+}
+
+function createRegistry() {
+    const registry = new LanguageRegistry();
+    Object.entries(BUILTIN_LANGUAGES).forEach(([id, definition]) => registry.register(id, definition));
+    return registry;
+}
+
+// Registry shared by the extension and the CLI
+const languages = createRegistry();
+
+module.exports = {
+    LanguageRegistry,
+    createRegistry,
+    isDocComment,
+    languages
+};
@@ -0,0 +1,97 @@
+const vscode = require('vscode');
+
+/**
+ * Preview Documents
+ * Read-only virtual documents holding proposed file contents, reviewed against the
+ * original in a diff editor and accepted or rejected from its title bar
+ */
+
+const PREVIEW_SCHEME = 'comment-cleaner-preview';
+
+// Context key listing the previews that offer "Accept & Archive Code"
+const ARCHIVABLE_CONTEXT = 'commentCleaner.archivablePreviews';
+
+class PreviewDocumentProvider {
+    constructor() {
+        // Pending previews by uri: { content, archivable, resolve }
+        this.previews = new Map();
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChange = this.changeEmitter.event;
+        this.counter = 0;
+
+        // Closing the diff editor without a decision rejects the preview
+        this.tabListener = vscode.window.tabGroups.onDidChangeTabs(event => {
+            event.closed.forEach(tab => {
+                if (tab.input instanceof vscode.TabInputTextDiff) this.settle(tab.input.modified, null);
+            });
+        });
+    }
+
+    provideTextDocumentContent(uri) {
+        const preview = this.previews.get(uri.toString());
+        return preview ? preview.content : '';
+    }
+
+    /**
+     * Show a diff of a document against proposed contents and wait for a decision
+     * The preview keeps the document's path so it gets the same language.
+     *
+     * @param {vscode.TextDocument} document
+     * @param {string} content proposed contents
+     * @param {string} title diff editor title
+     * @param {object} [options]
+     * @param {boolean} [options.archivable] also offer "Accept & Archive Code"
+     * @returns {Promise<'accept'|'archive'|null>} null when rejected or closed
+     */
+    async review(document, content, title, options = {}) {
+        const uri = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: document.uri.path, query: String(++this.counter) });
+        const decision = new Promise(resolve => {
+            this.previews.set(uri.toString(), { content, archivable: !!options.archivable, resolve });
+        });
+        this.updateContext();
+
+        await vscode.commands.executeCommand('vscode.diff', document.uri, uri, title, { preview: true });
+        return decision;
+    }
+
+    /**
+     * Resolve the preview shown in a diff editor, from its title bar buttons
+     *
+     * @param {vscode.Uri} uri preview uri, as passed to title bar commands
+     * @param {'accept'|'archive'|null} choice
+     */
+    async decide(uri, choice) {
+        if (!uri || !this.settle(uri, choice)) return;
+
+        const tabs = [].concat(...vscode.window.tabGroups.all.map(group => group.tabs)).filter(tab =>
+            tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.toString() === uri.toString()
+        );
+        if (tabs.length > 0) await vscode.window.tabGroups.close(tabs);
+    }
+
+    settle(uri, choice) {
+        const preview = this.previews.get(uri.toString());
+        if (!preview) return false;
+
+        this.previews.delete(uri.toString());
+        this.updateContext();
+        preview.resolve(choice);
+        return true;
+    }
+
+    updateContext() {
+        const archivable = [...this.previews.entries()].filter(([, preview]) => preview.archivable).map(([uri]) => uri);
+        vscode.commands.executeCommand('setContext', ARCHIVABLE_CONTEXT, archivable);
+    }
+
+    dispose() {
+        this.tabListener.dispose();
+        this.changeEmitter.dispose();
+        [...this.previews.keys()].forEach(uri => this.settle(vscode.Uri.parse(uri), null));
+    }
+}
+
+module.exports = {
+    PreviewDocumentProvider,
+    PREVIEW_SCHEME
+};
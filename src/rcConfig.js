@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, toPosixPath } = require('./glob');
+
+/**
+ * Project Rules Files
+ * Discovers .commentcleanerrc files up the directory tree and resolves the
+ * effective settings for a single file
+ *
+ * Supported keys (JSON or YAML):
+ *   root                  stop looking in parent directories
+ *   threshold             Standard confidence threshold
+ *   categories            { category: boolean } like the commentCleaner.categories setting
+ *   disabledCategories    categories that are never removed
+ *   criticalPatterns      regexes marking comments as critical
+ *   noisePatterns         regexes classifying comments as noise
+ *   debugPatterns         regexes classifying comments as debug
+ *   weights               { signal: weight } like the commentCleaner.weights setting
+ *   languages             { glob: languageId } mappings for unrecognized files
+ *   overrides             [{ files: [globs], ...any key above except root/overrides }]
+ */
+
+const RC_FILE_NAMES = ['.commentcleanerrc', '.commentcleanerrc.json', '.commentcleanerrc.yaml', '.commentcleanerrc.yml'];
+
+// Parsed rules files keyed by path, invalidated by modification time
+const rcCache = new Map();
+
+class RcConfigError extends Error {
+    constructor(filePath, message) {
+        super(`${filePath}: ${message}`);
+        this.filePath = filePath;
+    }
+}
+
+function parseRcContent(filePath, content) {
+    const extension = path.extname(filePath);
+
+    if (extension === '.json') return JSON.parse(content);
+
+    // Lazily loaded so JSON-only setups never need the YAML parser
+    const yaml = require('js-yaml');
+    if (extension === '.yaml' || extension === '.yml') return yaml.load(content);
+
+    // Extensionless files may hold either format; JSON is valid YAML, but try it first for clearer errors
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return yaml.load(content);
+    }
+}
+
+/**
+ * Read and validate a rules file
+ */
+function loadRcFile(filePath) {
+    const stat = fs.statSync(filePath);
+    const cached = rcCache.get(filePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.config;
+
+    let config;
+    try {
+        config = parseRcContent(filePath, fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+        throw new RcConfigError(filePath, `invalid rules file: ${error.message}`);
+    }
+
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new RcConfigError(filePath, 'rules file must contain an object');
+    }
+    if (config.overrides !== undefined && !Array.isArray(config.overrides)) {
+        throw new RcConfigError(filePath, '"overrides" must be a list');
+    }
+
+    rcCache.set(filePath, { mtimeMs: stat.mtimeMs, config });
+    return config;
+}
+
+/**
+ * Rules files that apply to a path, nearest first, stopping at a `root: true` file
+ */
+function findRcFiles(filePath) {
+    const files = [];
+    let dir = path.dirname(path.resolve(filePath));
+
+    while (true) {
+        const rcFile = RC_FILE_NAMES
+            .map(name => path.join(dir, name))
+            .find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+        if (rcFile) {
+            files.push(rcFile);
+            if (loadRcFile(rcFile).root === true) break;
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+
+    return files;
+}
+
+/**
+ * Match a glob from a rules file against a path relative to that file's directory
+ * Globs without a slash match the file name at any depth
+ */
+function matchesGlob(glob, relativePath) {
+    const target = glob.includes('/') ? relativePath : path.posix.basename(relativePath);
+    return globToRegExp(glob.replace(/^\.?\//, '')).test(target);
+}
+
+/**
+ * Merge one block of rules into the effective settings
+ */
+function applyRules(settings, rules) {
+    if (rules.threshold !== undefined) settings.confidenceThreshold = rules.threshold;
+
+    if (rules.categories) Object.assign(settings.categories, rules.categories);
+    (rules.disabledCategories || []).forEach(category => {
+        settings.categories[category] = false;
+    });
+
+    settings.criticalRegexes = settings.criticalRegexes.concat(rules.criticalPatterns || []);
+    settings.noisePatterns = settings.noisePatterns.concat(rules.noisePatterns || []);
+    settings.debugPatterns = settings.debugPatterns.concat(rules.debugPatterns || []);
+    if (rules.weights) Object.assign(settings.weights, rules.weights);
+}
+
+/**
+ * Resolve the settings that apply to a file
+ *
+ * @param {string} filePath absolute path of the analyzed file
+ * @param {object} baseSettings user/workspace settings to start from
+ * @returns {{ settings: object, languageId: string|null, sources: string[] }}
+ */
+function resolveConfig(filePath, baseSettings = {}) {
+    const settings = {
+        ...baseSettings,
+        categories: { ...(baseSettings.categories || {}) },
+        criticalRegexes: (baseSettings.criticalRegexes || []).slice(),
+        noisePatterns: (baseSettings.noisePatterns || []).slice(),
+        debugPatterns: (baseSettings.debugPatterns || []).slice(),
+        weights: { ...(baseSettings.weights || {}) }
+    };
+    let languageId = null;
+
+    // Apply the farthest rules file first so nearer ones win
+    const sources = findRcFiles(filePath).reverse();
+    sources.forEach(rcFile => {
+        const config = loadRcFile(rcFile);
+        const relativePath = toPosixPath(path.relative(path.dirname(rcFile), filePath));
+
+        applyRules(settings, config);
+
+        (config.overrides || []).forEach(override => {
+            const globs = [].concat(override.files || []);
+            if (globs.some(glob => matchesGlob(glob, relativePath))) {
+                applyRules(settings, override);
+            }
+        });
+
+        Object.entries(config.languages || {}).forEach(([glob, mappedLanguage]) => {
+            // Bare extensions such as ".vue" are shorthand for "*.vue"
+            const pattern = /^\.[^*?/]+$/.test(glob) ? `*${glob}` : glob;
+            if (matchesGlob(pattern, relativePath)) languageId = mappedLanguage;
+        });
+    });
+
+    return { settings, languageId, sources };
+}
+
+function clearRcCache() {
+    rcCache.clear();
+}
+
+module.exports = {
+    resolveConfig,
+    findRcFiles,
+    clearRcCache,
+    RcConfigError,
+    RC_FILE_NAMES
+};
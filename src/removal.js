@@ -0,0 +1,198 @@
+/**
+ * Comment Removal
+ * Editor-independent computation of the text to delete for each comment,
+ * leaving the surrounding code and its layout intact
+ */
+
+// Blank lines kept where a removal joins two runs of blank lines
+const DEFAULT_MAX_BLANK_LINES = 1;
+
+// Start of the line containing `offset`, and its end without the line break
+function lineBounds(text, offset) {
+    const start = text.lastIndexOf('\n', offset - 1) + 1;
+    const end = text.indexOf('\n', offset);
+    return { start, end: end === -1 ? text.length : end };
+}
+
+/**
+ * Offsets to delete for a comment, and the text to leave in their place if any
+ * Whole lines are removed when the comment is the only thing on them. A comment
+ * sharing its lines with code takes the spaces on one side with it, so removing
+ * a trailing comment leaves no trailing whitespace, a leading one keeps the
+ * indentation, and one between code leaves a single space.
+ *
+ * @returns {{ start: number, end: number, replacement: string }}
+ */
+function getRemovalOffsets(document, comment) {
+    const text = document.getText();
+    const startLine = lineBounds(text, comment.start);
+    const endLine = lineBounds(text, comment.end);
+    const beforeComment = text.substring(startLine.start, comment.start);
+    const afterComment = text.substring(comment.end, endLine.end);
+    const spaceBefore = /[ \t]*$/.exec(beforeComment)[0].length;
+    const spaceAfter = /^[ \t]*/.exec(afterComment)[0].length;
+
+    if (beforeComment.trim() === '' && afterComment.trim() === '') {
+        // Remove entire lines
+        return { start: startLine.start, end: endLine.end < text.length ? endLine.end + 1 : text.length, replacement: '' };
+    }
+
+    // Code only before the comment, or closing punctuation right after it
+    if (afterComment.trim() === '' || /^[)\]},;]/.test(afterComment)) {
+        return { start: comment.start - spaceBefore, end: comment.end + (afterComment.trim() === '' ? spaceAfter : 0), replacement: '' };
+    }
+
+    // Code after the comment, following indentation, a space or an opening bracket
+    if (beforeComment.trim() === '' || /[ \t([{]$/.test(beforeComment)) {
+        return { start: comment.start, end: comment.end + spaceAfter, replacement: '' };
+    }
+
+    // Keep the code on either side apart, so removing `a/* c */b` never joins two tokens
+    return { start: comment.start, end: comment.end, replacement: spaceAfter > 0 ? '' : ' ' };
+}
+
+/**
+ * Non-overlapping spans to delete for a set of comments, in document order
+ * Comments are deduplicated and spans that overlap, touch or are only separated
+ * by spaces on the same line are merged. A merged span that leaves nothing but
+ * whitespace on its lines takes those lines with it, so a line holding only
+ * removed comments is deleted entirely, and one ending a line of code takes the
+ * spaces before it. Blank lines piled up by the removal are
+ * then collapsed (see collapseBlankLines). The result is always a valid edit set.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxBlankLines] blank lines kept where a removal joins two runs of them
+ * @returns {{ start: number, end: number, replacement: string, comments: object[] }[]}
+ *   replacement is the text left in place of the span, see getRemovalOffsets
+ */
+function getRemovalRanges(document, comments, options = {}) {
+    const text = document.getText();
+    const unique = comments.filter((comment, index) =>
+        comments.findIndex(other => other.start === comment.start && other.end === comment.end) === index);
+
+    const spans = unique
+        .map(comment => ({ ...getRemovalOffsets(document, comment), comments: [comment] }))
+        .sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const merged = [];
+    spans.forEach(span => {
+        const last = merged[merged.length - 1];
+        if (last && (span.start <= last.end || /^[ \t]*$/.test(text.substring(last.end, span.start)))) {
+            last.end = Math.max(last.end, span.end);
+            last.replacement = last.replacement || span.replacement;
+            last.comments.push(...span.comments);
+        } else {
+            merged.push(span);
+        }
+    });
+
+    merged.forEach((span, index) => {
+        if (span.comments.length < 2) return;
+
+        const startLine = lineBounds(text, span.start);
+        const endLine = lineBounds(text, span.end);
+        const beforeSpan = text.substring(startLine.start, span.start);
+        const afterSpan = text.substring(span.end, endLine.end);
+        if (afterSpan.trim() !== '') return;
+
+        span.replacement = '';
+        // Code only before the span: take the spaces around it, as for one trailing comment
+        if (beforeSpan.trim() !== '') {
+            span.start -= /[ \t]*$/.exec(beforeSpan)[0].length;
+            span.end += /^[ \t]*/.exec(afterSpan)[0].length;
+            return;
+        }
+
+        // Never grow into the previous span; the next one starts after this line at the earliest
+        const previous = merged[index - 1];
+        span.start = previous ? Math.max(previous.end, startLine.start) : startLine.start;
+        span.end = endLine.end < text.length ? endLine.end + 1 : text.length;
+    });
+
+    const maxBlankLines = options.maxBlankLines === undefined ? DEFAULT_MAX_BLANK_LINES : options.maxBlankLines;
+    return collapseBlankLines(text, merged.filter(span => span.end > span.start), maxBlankLines);
+}
+
+/**
+ * Add the blank lines a removal leaves behind to the spans
+ * Where removed lines separated two runs of blank lines, the joined run keeps its
+ * first `maxBlankLines` lines; blank lines a removal leaves at the start or end of
+ * the file are dropped. Runs of blank lines the removal does not join are kept.
+ */
+function collapseBlankLines(text, spans, maxBlankLines) {
+    // Lines of the result: blank ones with their offsets, and where whole lines were removed
+    const lines = [];
+    let index = 0;
+    for (let lineStart = 0; lineStart < text.length;) {
+        const lineBreak = text.indexOf('\n', lineStart);
+        const lineEnd = lineBreak === -1 ? text.length : lineBreak + 1;
+        while (index < spans.length && spans[index].end <= lineStart) index++;
+
+        const span = spans[index];
+        if (span && span.start <= lineStart && span.end >= lineEnd) {
+            lines.push({ removed: true });
+        } else if ((!span || span.start >= lineEnd) && text.substring(lineStart, lineEnd).trim() === '') {
+            lines.push({ blank: true, start: lineStart, end: lineEnd });
+        } else {
+            lines.push({});
+        }
+        lineStart = lineEnd;
+    }
+
+    const extra = [];
+    for (let first = 0; first < lines.length;) {
+        let last = first;
+        while (last < lines.length && (lines[last].blank || lines[last].removed)) last++;
+
+        const run = lines.slice(first, last);
+        const blanks = run.filter(line => line.blank);
+        if (first === 0 || last === lines.length) {
+            if (run.some(line => line.removed)) extra.push(...blanks);
+        } else {
+            const joined = run.some((line, position) => line.removed &&
+                run.slice(0, position).some(other => other.blank) && run.slice(position + 1).some(other => other.blank));
+            if (joined) extra.push(...blanks.slice(maxBlankLines));
+        }
+        first = Math.max(last, first + 1);
+    }
+    if (extra.length === 0) return spans;
+
+    const merged = [];
+    [...spans, ...extra.map(({ start, end }) => ({ start, end, replacement: '', comments: [] }))]
+        .sort((a, b) => a.start - b.start)
+        .forEach(span => {
+            const previous = merged[merged.length - 1];
+            if (previous && span.start <= previous.end) {
+                previous.end = Math.max(previous.end, span.end);
+                previous.comments.push(...span.comments);
+            } else {
+                merged.push({ ...span, comments: [...span.comments] });
+            }
+        });
+    return merged;
+}
+
+/**
+ * Return the document text with the given comments removed
+ *
+ * @param {object} [options] see getRemovalRanges
+ */
+function applyRemovals(document, comments, options = {}) {
+    const text = document.getText();
+
+    let result = '';
+    let position = 0;
+    getRemovalRanges(document, comments, options).forEach(({ start, end, replacement }) => {
+        result += text.substring(position, start) + replacement;
+        position = end;
+    });
+
+    return result + text.substring(position);
+}
+
+module.exports = {
+    DEFAULT_MAX_BLANK_LINES,
+    getRemovalOffsets,
+    getRemovalRanges,
+    applyRemovals
+};
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getRemovalRanges } = require('./removal');
+
+/**
+ * Removal History
+ * Persistent log of removal runs, so removed comments can be restored after a reload
+ *
+ * A run is { id, time, mode, files: [{ filePath, entries }] } and each entry is
+ * { id, text, replacement, offset, line, before, after, category, confidence, restored }:
+ *   replacement    text left in place of the removed text, such as a space between code
+ *   offset, line   where the text was removed, in the file as it was right after the run
+ *   before, after  surrounding text (up to CONTEXT_LINES lines, stopping at neighbouring
+ *                  removals) used to detect edits made since
+ */
+
+const CONTEXT_LINES = 2;
+
+// Context shorter than this (ignoring whitespace) is too ambiguous to search for
+const MIN_SEARCH_CONTEXT = 8;
+
+// Start of the line `lines` lines above the one containing `offset`
+function lineStartBefore(text, offset, lines) {
+    let start = text.lastIndexOf('\n', offset - 1) + 1;
+    for (let line = 0; line < lines && start > 0; line++) {
+        start = start >= 2 ? text.lastIndexOf('\n', start - 2) + 1 : 0;
+    }
+    return start;
+}
+
+// End of the line `lines` lines below the one containing `offset`, without its line break
+function lineEndAfter(text, offset, lines) {
+    let end = text.indexOf('\n', offset);
+    for (let line = 0; line < lines && end !== -1; line++) {
+        end = text.indexOf('\n', end + 1);
+    }
+    return end === -1 ? text.length : end;
+}
+
+/**
+ * History entries for comments about to be removed from a document
+ *
+ * @param {object} document document before the removal
+ * @param {object[]} items { comment, analysis } pairs that will be removed
+ * @param {object} [options] removal options, see getRemovalRanges
+ * @returns {object[]} entries, see the module comment; comments removed in one
+ *   merged span (see getRemovalRanges) share an entry
+ */
+function recordRemovals(document, items, options = {}) {
+    const text = document.getText();
+    const ranges = getRemovalRanges(document, items.map(item => item.comment), options);
+
+    // Rebuild the text as it will be after the removal to find each removal point in it
+    let result = '';
+    let position = 0;
+    const points = ranges.map(range => {
+        result += text.substring(position, range.start);
+        position = range.end;
+        const point = {
+            item: items.find(item => item.comment === range.comments[0]),
+            offset: result.length,
+            text: text.substring(range.start, range.end),
+            replacement: range.replacement
+        };
+        result += range.replacement;
+        return point;
+    });
+    result += text.substring(position);
+
+    return points.map((point, index) => {
+        const left = index > 0 ? points[index - 1].offset : 0;
+        const right = index < points.length - 1 ? points[index + 1].offset : result.length;
+        const beforeStart = Math.max(left, lineStartBefore(result, point.offset, CONTEXT_LINES));
+        const afterEnd = Math.min(right, lineEndAfter(result, point.offset, CONTEXT_LINES));
+        const analysis = point.item && point.item.analysis;
+
+        return {
+            id: crypto.randomBytes(6).toString('hex'),
+            text: point.text,
+            replacement: point.replacement,
+            offset: point.offset,
+            line: result.substring(0, point.offset).split('\n').length - 1,
+            before: result.substring(beforeStart, point.offset),
+            after: result.substring(point.offset, afterEnd),
+            category: analysis ? analysis.category : null,
+            confidence: analysis ? analysis.confidence : null,
+            restored: false
+        };
+    });
+}
+
+// Entries recorded before replacements were tracked have none
+function replacementOf(entry) {
+    return entry.replacement || '';
+}
+
+function matchesAt(content, offset, entry) {
+    return offset >= entry.before.length && offset <= content.length &&
+        content.substring(offset - entry.before.length, offset) === entry.before &&
+        content.substring(offset, offset + entry.after.length) === entry.after;
+}
+
+/**
+ * Where an entry goes in the current contents: its recorded offset when the
+ * surrounding text is unchanged, else the closest place that surrounding text
+ * moved to; null when it cannot be found (a conflict)
+ */
+function locateEntry(content, file, entry) {
+    const index = file.entries.indexOf(entry);
+
+    // Entries restored earlier that sit before this one shift it
+    const expected = entry.offset + file.entries
+        .filter((other, otherIndex) => other.restored &&
+            (other.offset < entry.offset || (other.offset === entry.offset && otherIndex < index)))
+        .reduce((sum, other) => sum + other.text.length - replacementOf(other).length, 0);
+
+    if (matchesAt(content, expected, entry)) return expected;
+
+    const context = entry.before + entry.after;
+    if (context.replace(/\s/g, '').length < MIN_SEARCH_CONTEXT) return null;
+
+    let best = null;
+    for (let found = content.indexOf(context); found !== -1; found = content.indexOf(context, found + 1)) {
+        const offset = found + entry.before.length;
+        if (best === null || Math.abs(offset - expected) < Math.abs(best - expected)) best = offset;
+    }
+    return best;
+}
+
+/**
+ * Plan restoring entries of one file into its current contents
+ * Returns { edits: [{ offset, length, text, entries }], conflicts: [entry] }, where each
+ * edit replaces `length` characters at `offset`, with entries landing on the same offset
+ * merged into one edit in their original order.
+ *
+ * @param {string} content current file contents
+ * @param {object} file history file record { filePath, entries }
+ * @param {object[]} entries entries of that file to restore
+ * @param {boolean} [force] put conflicting entries at their recorded offset anyway
+ */
+function planRestore(content, file, entries, force = false) {
+    const located = [];
+    const conflicts = [];
+
+    entries.filter(entry => !entry.restored).forEach(entry => {
+        let offset = locateEntry(content, file, entry);
+        if (offset === null) {
+            if (!force) {
+                conflicts.push(entry);
+                return;
+            }
+            offset = Math.min(entry.offset, content.length);
+        }
+        // The replacement goes again, unless edits since changed the text there
+        const replacement = replacementOf(entry);
+        const length = content.substring(offset, offset + replacement.length) === replacement ? replacement.length : 0;
+        located.push({ offset, length, entry, index: file.entries.indexOf(entry) });
+    });
+
+    const edits = [];
+    located
+        .sort((a, b) => a.offset - b.offset || a.index - b.index)
+        .forEach(({ offset, length, entry }) => {
+            const last = edits[edits.length - 1];
+            if (last && last.offset === offset) {
+                last.text += entry.text;
+                last.length = Math.max(last.length, length);
+                last.entries.push(entry);
+            } else {
+                edits.push({ offset, length, text: entry.text, entries: [entry] });
+            }
+        });
+
+    return { edits, conflicts };
+}
+
+/**
+ * Apply planned edits to contents (used where no editor applies them)
+ */
+function applyRestore(content, edits) {
+    return edits
+        .slice()
+        .sort((a, b) => b.offset - a.offset)
+        .reduce((result, edit) => result.substring(0, edit.offset) + edit.text + result.substring(edit.offset + edit.length), content);
+}
+
+class RemovalHistory {
+    /**
+     * @param {string} filePath JSON file holding the runs
+     * @param {number} [maxRuns] oldest runs beyond this are dropped
+     */
+    constructor(filePath, maxRuns = 50) {
+        this.filePath = filePath;
+        this.maxRuns = maxRuns;
+        this.runs = null;
+    }
+
+    load() {
+        if (this.runs) return this.runs;
+
+        let runs = [];
+        if (fs.existsSync(this.filePath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (Array.isArray(data.runs)) runs = data.runs;
+            } catch (error) {
+                throw new Error(`${this.filePath}: invalid removal history: ${error.message}`);
+            }
+        }
+        this.runs = runs;
+        return this.runs;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, runs: this.load() }));
+    }
+
+    /**
+     * Record a run, newest first
+     *
+     * @param {string} mode how the comments were removed, e.g. "Standard"
+     * @param {{ filePath: string, entries: object[] }[]} files
+     */
+    addRun(mode, files, now = new Date()) {
+        const run = {
+            id: crypto.randomBytes(6).toString('hex'),
+            time: now.toISOString(),
+            mode,
+            files: files.filter(file => file.entries.length > 0)
+        };
+        if (run.files.length === 0) return null;
+
+        const runs = this.load();
+        runs.unshift(run);
+        runs.splice(this.maxRuns);
+        this.save();
+        return run;
+    }
+
+    getRun(runId) {
+        return this.load().find(run => run.id === runId) || null;
+    }
+
+    markRestored(entries) {
+        entries.forEach(entry => {
+            entry.restored = true;
+        });
+        this.save();
+    }
+
+    clear() {
+        this.runs = [];
+        this.save();
+    }
+}
+
+module.exports = {
+    RemovalHistory,
+    recordRemovals,
+    planRestore,
+    applyRestore
+};
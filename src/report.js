@@ -0,0 +1,270 @@
+const path = require('path');
+const { toPosixPath } = require('./glob');
+const { version } = require('../package.json');
+
+/**
+ * Analysis Reports
+ * Builds per-comment reports and serializes them as JSON, SARIF 2.1.0 or CSV
+ */
+
+const TOOL_NAME = 'Intelligent Comment Cleaner';
+
+// Short descriptions of every category, used for SARIF rule metadata
+const CATEGORY_DESCRIPTIONS = {
+    preserved: 'Protected by a comment-cleaner directive',
+    documentation: 'Meaningful documentation',
+    critical: 'Critical directive or important metadata',
+    commented_code: 'Commented-out code',
+    redundant: 'Comment repeats the code it describes',
+    noise: 'Noise or placeholder comment',
+    outdated: 'Outdated or incorrect comment',
+    trivial: 'Comment states the obvious',
+    empty: 'Empty comment',
+    duplicate: 'Duplicated comment',
+    debug: 'Debug or temporary comment',
+    resolved_todo: 'TODO referencing closed tickets',
+    regular: 'Regular comment',
+    doc_unknown_param: 'Doc comment documents a parameter that does not exist',
+    doc_missing_param: 'Doc comment does not document a parameter',
+    doc_empty_description: 'Doc comment or parameter has no description'
+};
+
+function toReportRange(range) {
+    return {
+        start: { line: range.start.line + 1, column: range.start.character + 1 },
+        end: { line: range.end.line + 1, column: range.end.character + 1 }
+    };
+}
+
+/**
+ * Summarize analyses by category
+ */
+function summarizeAnalyses(analyses) {
+    const categories = {};
+    analyses.forEach(item => {
+        const cat = item.analysis.category;
+        if (!categories[cat]) {
+            categories[cat] = { count: 0, shouldRemove: 0, avgConfidence: 0 };
+        }
+        categories[cat].count++;
+        if (item.analysis.shouldRemove) categories[cat].shouldRemove++;
+        categories[cat].avgConfidence += item.analysis.confidence;
+    });
+
+    // Calculate averages
+    Object.keys(categories).forEach(cat => {
+        categories[cat].avgConfidence /= categories[cat].count;
+    });
+
+    return {
+        total: analyses.length,
+        categories: categories,
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Build a full report for one or more analyzed files
+ *
+ * @param {{ filePath: string, languageId: string, analyses: object[], threshold?: number }[]} files
+ * @param {object} options
+ * @param {string} [options.baseDir] directory file paths are reported relative to
+ * @param {number} [options.threshold] confidence a removable comment must reach, unless the file sets its own
+ */
+function createReport(files, options = {}) {
+    const baseDir = options.baseDir || process.cwd();
+    const threshold = options.threshold !== undefined ? options.threshold : 0;
+    const allAnalyses = [];
+
+    const reportFiles = files.map(file => {
+        allAnalyses.push(...file.analyses);
+
+        const relativePath = toPosixPath(path.relative(baseDir, file.filePath)) || path.basename(file.filePath);
+        const fileThreshold = file.threshold !== undefined ? file.threshold : threshold;
+
+        return {
+            path: relativePath,
+            languageId: file.languageId,
+            threshold: fileThreshold,
+            comments: file.analyses.map(({ comment, analysis }) => ({
+                file: relativePath,
+                range: toReportRange(comment.range),
+                category: analysis.category,
+                confidence: Math.round(analysis.confidence * 100) / 100,
+                shouldRemove: analysis.shouldRemove,
+                removable: analysis.shouldRemove && analysis.confidence >= fileThreshold,
+                reasons: analysis.reasons.slice(),
+                signals: (analysis.signals || []).map(signal => ({
+                    name: signal.name,
+                    category: signal.category,
+                    score: Math.round(signal.score * 100) / 100
+                })),
+                text: comment.text,
+                docFindings: (analysis.docFindings || []).map(finding => ({
+                    code: finding.code,
+                    message: finding.message,
+                    range: toReportRange(finding.range),
+                    fixable: true,
+                    fix: {
+                        title: finding.fix.title,
+                        edits: finding.fix.edits.map(edit => ({ range: toReportRange(edit.range), newText: edit.newText }))
+                    }
+                }))
+            }))
+        };
+    });
+
+    return {
+        tool: { name: TOOL_NAME, version },
+        threshold,
+        summary: summarizeAnalyses(allAnalyses),
+        files: reportFiles
+    };
+}
+
+function allComments(report) {
+    return report.files.reduce((comments, file) => comments.concat(file.comments), []);
+}
+
+function toSarifRegion(range) {
+    return {
+        startLine: range.start.line,
+        startColumn: range.start.column,
+        endLine: range.end.line,
+        endColumn: range.end.column
+    };
+}
+
+function toJson(report) {
+    return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * SARIF 2.1.0 log; comments that are kept are reported as passing results and
+ * doc-comment findings carry their fixes
+ */
+function toSarif(report) {
+    const comments = allComments(report);
+    const findings = comments.reduce((all, comment) => all.concat(comment.docFindings.map(finding => ({ comment, finding }))), []);
+    const ruleIds = [...new Set(comments.map(comment => comment.category).concat(findings.map(item => item.finding.code)))].sort();
+
+    const rules = ruleIds.map(id => ({
+        id,
+        name: id.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(''),
+        shortDescription: { text: CATEGORY_DESCRIPTIONS[id] || id },
+        defaultConfiguration: { level: 'note' }
+    }));
+
+    const results = comments.map(comment => ({
+        ruleId: comment.category,
+        ruleIndex: ruleIds.indexOf(comment.category),
+        kind: comment.removable ? 'fail' : 'pass',
+        level: comment.removable ? 'note' : 'none',
+        message: {
+            text: `${CATEGORY_DESCRIPTIONS[comment.category] || comment.category} ` +
+                `(${Math.round(comment.confidence * 100)}% confidence): ${comment.reasons.join(', ')}`
+        },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: { uri: encodeURI(comment.file), uriBaseId: '%SRCROOT%' },
+                region: toSarifRegion(comment.range)
+            }
+        }],
+        properties: {
+            confidence: comment.confidence,
+            shouldRemove: comment.shouldRemove,
+            reasons: comment.reasons
+        }
+    })).concat(findings.map(({ comment, finding }) => {
+        const artifactLocation = { uri: encodeURI(comment.file), uriBaseId: '%SRCROOT%' };
+
+        return {
+            ruleId: finding.code,
+            ruleIndex: ruleIds.indexOf(finding.code),
+            kind: 'fail',
+            level: 'note',
+            message: { text: finding.message },
+            locations: [{ physicalLocation: { artifactLocation, region: toSarifRegion(finding.range) } }],
+            fixes: [{
+                description: { text: finding.fix.title },
+                artifactChanges: [{
+                    artifactLocation,
+                    replacements: finding.fix.edits.map(edit => ({
+                        deletedRegion: toSarifRegion(edit.range),
+                        insertedContent: { text: edit.newText }
+                    }))
+                }]
+            }]
+        };
+    }));
+
+    const log = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: report.tool.name,
+                    version: report.tool.version,
+                    rules
+                }
+            },
+            columnKind: 'utf16CodeUnits',
+            artifacts: report.files.map(file => ({
+                location: { uri: encodeURI(file.path), uriBaseId: '%SRCROOT%' },
+                sourceLanguage: file.languageId
+            })),
+            results
+        }]
+    };
+
+    return JSON.stringify(log, null, 2) + '\n';
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(report) {
+    const header = ['file', 'startLine', 'startColumn', 'endLine', 'endColumn', 'category', 'confidence', 'shouldRemove', 'removable', 'reasons', 'docFindings', 'text'];
+
+    const rows = allComments(report).map(comment => [
+        comment.file,
+        comment.range.start.line,
+        comment.range.start.column,
+        comment.range.end.line,
+        comment.range.end.column,
+        comment.category,
+        comment.confidence,
+        comment.shouldRemove,
+        comment.removable,
+        comment.reasons.join('; '),
+        comment.docFindings.map(finding => finding.code).join('; '),
+        comment.text
+    ].map(csvField).join(','));
+
+    return [header.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+// Supported export formats with their default file extensions
+const REPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', serialize: toJson },
+    sarif: { label: 'SARIF 2.1.0', extension: 'sarif', serialize: toSarif },
+    csv: { label: 'CSV', extension: 'csv', serialize: toCsv }
+};
+
+function formatReport(report, format) {
+    const reportFormat = REPORT_FORMATS[format];
+    if (!reportFormat) {
+        throw new Error(`Unknown report format '${format}', expected ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    return reportFormat.serialize(report);
+}
+
+module.exports = {
+    summarizeAnalyses,
+    createReport,
+    formatReport,
+    REPORT_FORMATS
+};
@@ -0,0 +1,106 @@
+/**
+ * Review Items
+ * Editor-independent data for the review panel: candidates with highlighted context
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Strings, numbers and words, in that order of precedence
+const CODE_TOKEN = /("(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|`(?:[^`\\]|\\.)*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$@][\w$-]*)/g;
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * HTML for a piece of code, with strings, numbers and language keywords in
+ * `str`, `num` and `kw` spans
+ *
+ * @param {string} text code without comments
+ * @param {string[]} keywords keywords of the language
+ */
+function highlightCode(text, keywords = []) {
+    let html = '';
+    let position = 0;
+    let match;
+
+    CODE_TOKEN.lastIndex = 0;
+    while ((match = CODE_TOKEN.exec(text)) !== null) {
+        const className = match[1] ? 'str' : (match[2] ? 'num' : (keywords.includes(match[3]) ? 'kw' : null));
+        if (!className) continue;
+
+        html += escapeHtml(text.substring(position, match.index));
+        html += `<span class="${className}">${escapeHtml(match[0])}</span>`;
+        position = match.index + match[0].length;
+    }
+
+    return html + escapeHtml(text.substring(position));
+}
+
+/**
+ * HTML for one line, with comments in `cmt` spans and the reviewed comment also marked `target`
+ */
+function highlightLine(text, lineStart, comments, target, keywords) {
+    const lineEnd = lineStart + text.length;
+    let html = '';
+    let position = 0;
+
+    comments
+        .filter(comment => comment.start < lineEnd && comment.end > lineStart)
+        .forEach(comment => {
+            const start = Math.max(comment.start, lineStart) - lineStart;
+            const end = Math.min(comment.end, lineEnd) - lineStart;
+            if (start < position) return;
+
+            html += highlightCode(text.substring(position, start), keywords);
+            html += `<span class="${comment === target ? 'cmt target' : 'cmt'}">${escapeHtml(text.substring(start, end))}</span>`;
+            position = end;
+        });
+
+    return html + highlightCode(text.substring(position), keywords);
+}
+
+/**
+ * Review entries for removal candidates
+ *
+ * @param {object} document
+ * @param {object[]} candidates { comment, analysis } pairs to review
+ * @param {object[]} comments every comment of the document, in document order
+ * @param {object} [options] { keywords, contextLines }
+ * @returns {object[]} { id, line, category, confidence, reasons, context: [{ number, html, target }] }
+ */
+function buildReviewItems(document, candidates, comments, options = {}) {
+    const keywords = options.keywords || [];
+    const contextLines = options.contextLines === undefined ? 2 : options.contextLines;
+
+    return candidates.map((item, id) => {
+        const { comment, analysis } = item;
+        const firstLine = Math.max(0, comment.range.start.line - contextLines);
+        const lastLine = Math.min(document.lineCount - 1, comment.range.end.line + contextLines);
+
+        const context = [];
+        for (let number = firstLine; number <= lastLine; number++) {
+            const line = document.lineAt(number);
+            context.push({
+                number: number + 1,
+                html: highlightLine(line.text, document.offsetAt(line.range.start), comments, comment, keywords),
+                target: number >= comment.range.start.line && number <= comment.range.end.line
+            });
+        }
+
+        return {
+            id,
+            line: comment.range.start.line + 1,
+            category: analysis.category,
+            confidence: analysis.confidence,
+            reasons: analysis.reasons,
+            context
+        };
+    });
+}
+
+module.exports = {
+    escapeHtml,
+    highlightCode,
+    buildReviewItems
+};
@@ -0,0 +1,341 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const path = require('path');
+const { buildReviewItems } = require('./review');
+
+/**
+ * Review Panel
+ * Webview listing removal candidates with keep/remove toggles, filters and a confidence slider
+ */
+
+class ReviewPanel {
+    /**
+     * Open the panel for a document, replacing one that is already open
+     *
+     * @param {object} commentCleaner
+     * @param {vscode.TextEditor} editor
+     * @param {object[]} analyses every { comment, analysis } of the document in scope
+     * @param {number} threshold confidence at which candidates start out selected
+     */
+    static show(commentCleaner, editor, analyses, threshold) {
+        if (ReviewPanel.current) ReviewPanel.current.dispose();
+        ReviewPanel.current = new ReviewPanel(commentCleaner, editor, analyses, threshold);
+        return ReviewPanel.current;
+    }
+
+    constructor(commentCleaner, editor, analyses, threshold) {
+        this.commentCleaner = commentCleaner;
+        this.document = editor.document;
+        this.viewColumn = editor.viewColumn;
+        this.version = editor.document.version;
+        this.analyses = analyses;
+        this.threshold = threshold;
+        this.candidates = analyses.filter(item => item.analysis.shouldRemove);
+
+        this.panel = vscode.window.createWebviewPanel(
+            'commentCleaner.review',
+            `Review Comments: ${path.basename(this.document.fileName)}`,
+            { viewColumn: vscode.ViewColumn.Beside, preserveFocus: false },
+            { enableScripts: true, retainContextWhenHidden: true }
+        );
+        this.panel.webview.html = this.getHtml();
+
+        this.disposables = [
+            this.panel.onDidDispose(() => this.dispose()),
+            this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message)),
+            vscode.workspace.onDidChangeTextDocument(event => {
+                if (event.document === this.document && event.contentChanges.length > 0) {
+                    this.panel.webview.postMessage({ type: 'stale' });
+                }
+            })
+        ];
+    }
+
+    getItems(ids) {
+        return ids.map(id => this.candidates[id]).filter(Boolean);
+    }
+
+    async handleMessage(message) {
+        try {
+            switch (message.type) {
+                case 'select':
+                    this.highlight(this.getItems(message.ids));
+                    break;
+                case 'reveal':
+                    await this.reveal(this.candidates[message.id]);
+                    break;
+                case 'apply':
+                    await this.apply(this.getItems(message.ids), !!message.archive);
+                    break;
+                case 'removeAll':
+                    await this.removeAll();
+                    break;
+                case 'report':
+                    await this.commentCleaner.showReport(this.commentCleaner.generateReport(this.analyses));
+                    break;
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`Comment review failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * The editor of the reviewed document, shown again if the panel covered it
+     */
+    showEditor(options = {}) {
+        return vscode.window.showTextDocument(this.document, { viewColumn: this.viewColumn, ...options });
+    }
+
+    /**
+     * Highlight the comments currently selected for removal in the editor
+     */
+    highlight(items) {
+        const editor = vscode.window.visibleTextEditors.find(visible => visible.document === this.document);
+        if (!editor) return;
+
+        editor.setDecorations(this.commentCleaner.decorationType, items.map(item => ({
+            range: item.comment.range,
+            hoverMessage: this.commentCleaner.createRemovalHover(item.analysis)
+        })));
+    }
+
+    async reveal(item) {
+        if (!item) return;
+
+        const editor = await this.showEditor({ preserveFocus: true });
+        editor.selection = new vscode.Selection(item.comment.range.start, item.comment.range.end);
+        editor.revealRange(item.comment.range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+    }
+
+    /**
+     * Comment positions are only valid for the text that was analyzed
+     */
+    isStale() {
+        if (!this.document.isClosed && this.document.version === this.version) return false;
+
+        vscode.window.showWarningMessage('The file changed since it was analyzed. Run Clean Comments again to review it.');
+        return true;
+    }
+
+    /**
+     * Review the selected removals in the diff editor; they are applied and the panel
+     * closes once the diff is accepted
+     */
+    async apply(items, archive) {
+        if (items.length === 0 || this.isStale()) return;
+
+        const removed = await this.commentCleaner.showRemovalPreview(await this.showEditor(), items, { archive, mode: 'Review' });
+        if (removed) this.dispose();
+    }
+
+    async removeAll() {
+        if (this.isStale()) return;
+
+        await this.commentCleaner.removeAllCommentsWithConfirmation(await this.showEditor(), this.analyses);
+    }
+
+    getHtml() {
+        const { analyzer, languageId } = this.commentCleaner.getAnalysisContext(this.document);
+        const languageConfig = analyzer.getLanguageConfig(languageId);
+        const items = buildReviewItems(this.document, this.candidates, this.analyses.map(item => item.comment), {
+            keywords: languageConfig ? languageConfig.keywords : []
+        });
+        items.forEach((item, id) => {
+            const { history } = this.candidates[id].comment;
+            if (history) item.history = this.commentCleaner.describeHistory(history);
+        });
+
+        const nonce = crypto.randomBytes(16).toString('base64');
+        const data = JSON.stringify({
+            items,
+            threshold: Math.round(this.threshold * 100),
+            total: this.analyses.length
+        }).replace(/</g, '\\u003c');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<style nonce="${nonce}">
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 16px 72px; }
+    header { position: sticky; top: 0; background: var(--vscode-editor-background); padding: 12px 0 8px; border-bottom: 1px solid var(--vscode-panel-border); z-index: 1; }
+    .filters label { margin-right: 12px; white-space: nowrap; }
+    .slider { display: flex; align-items: center; gap: 8px; margin-top: 8px; }
+    .slider input { flex: 1; max-width: 320px; }
+    .stale { display: none; margin-top: 8px; color: var(--vscode-editorWarning-foreground); }
+    .item { border: 1px solid var(--vscode-panel-border); border-radius: 4px; margin: 10px 0; }
+    .item.keep { opacity: 0.55; }
+    .item-header { display: flex; align-items: center; gap: 8px; padding: 6px 8px; cursor: pointer; background: var(--vscode-sideBar-background); }
+    .item-header:hover { background: var(--vscode-list-hoverBackground); }
+    .category { padding: 0 6px; border-radius: 8px; background: var(--vscode-badge-background); color: var(--vscode-badge-foreground); font-size: 0.9em; }
+    .details { color: var(--vscode-descriptionForeground); padding: 4px 8px 0; font-size: 0.9em; }
+    pre { margin: 6px 0 0; padding: 6px 8px; overflow-x: auto; font-family: var(--vscode-editor-font-family); font-size: var(--vscode-editor-font-size); background: var(--vscode-textCodeBlock-background); }
+    .ln { display: inline-block; width: 4ch; text-align: right; margin-right: 12px; color: var(--vscode-editorLineNumber-foreground); user-select: none; }
+    .line.target .ln { color: var(--vscode-editorLineNumber-activeForeground); }
+    .kw { color: var(--vscode-symbolIcon-keywordForeground); }
+    .str { color: var(--vscode-debugTokenExpression-string); }
+    .num { color: var(--vscode-debugTokenExpression-number); }
+    .cmt { color: var(--vscode-descriptionForeground); font-style: italic; }
+    .cmt.target { color: inherit; background: var(--vscode-editor-findMatchHighlightBackground); outline: 1px solid var(--vscode-editor-findMatchBorder); }
+    footer { position: fixed; bottom: 0; left: 0; right: 0; display: flex; align-items: center; gap: 8px; padding: 10px 16px; background: var(--vscode-editor-background); border-top: 1px solid var(--vscode-panel-border); }
+    footer .count { flex: 1; }
+    button { color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 4px 12px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+    button.secondary { color: var(--vscode-button-secondaryForeground); background: var(--vscode-button-secondaryBackground); }
+    button:disabled { opacity: 0.5; cursor: default; }
+</style>
+</head>
+<body>
+<header>
+    <div class="filters" id="filters"></div>
+    <div class="slider">
+        <label for="confidence">Minimum confidence</label>
+        <input type="range" id="confidence" min="0" max="100" step="5">
+        <span id="confidence-value"></span>
+    </div>
+    <div class="stale" id="stale">The file changed since it was analyzed. Run Clean Comments again to review it.</div>
+</header>
+<main id="items"></main>
+<footer>
+    <span class="count" id="count"></span>
+    <label id="archive-option"><input type="checkbox" id="archive"> Archive commented-out code</label>
+    <button class="secondary" id="report">Show Report</button>
+    <button class="secondary" id="remove-all">Remove ALL Comments…</button>
+    <button id="apply">Apply…</button>
+</footer>
+<script type="application/json" id="data" nonce="${nonce}">${data}</script>
+<script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const { items, threshold, total } = JSON.parse(document.getElementById('data').textContent);
+
+    // Manual keep/remove choices win over the slider
+    const overrides = new Map();
+    const hiddenCategories = new Set();
+    const slider = document.getElementById('confidence');
+    slider.value = threshold;
+    let stale = false;
+
+    const isSelected = item => (overrides.has(item.id) ? overrides.get(item.id) : item.confidence * 100 >= Number(slider.value));
+    const isVisible = item => !hiddenCategories.has(item.category);
+    const selectedIds = () => items.filter(item => isVisible(item) && isSelected(item)).map(item => item.id);
+
+    function renderFilters() {
+        const counts = new Map();
+        items.forEach(item => counts.set(item.category, (counts.get(item.category) || 0) + 1));
+
+        const filters = document.getElementById('filters');
+        counts.forEach((count, category) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) hiddenCategories.delete(category);
+                else hiddenCategories.add(category);
+                update();
+            });
+            label.append(checkbox, \` \${category.replace(/_/g, ' ')} (\${count})\`);
+            filters.append(label);
+        });
+    }
+
+    function renderItems() {
+        const container = document.getElementById('items');
+        items.forEach(item => {
+            const element = document.createElement('section');
+            element.className = 'item';
+            element.id = \`item-\${item.id}\`;
+
+            const header = document.createElement('div');
+            header.className = 'item-header';
+            header.title = 'Show in editor';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.title = 'Remove this comment';
+            checkbox.addEventListener('click', event => event.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                overrides.set(item.id, checkbox.checked);
+                update();
+            });
+            const category = document.createElement('span');
+            category.className = 'category';
+            category.textContent = item.category.replace(/_/g, ' ');
+            header.append(checkbox, \`Line \${item.line}\`, category, \`\${Math.round(item.confidence * 100)}% confidence\`);
+            header.addEventListener('click', () => vscode.postMessage({ type: 'reveal', id: item.id }));
+
+            const details = document.createElement('div');
+            details.className = 'details';
+            details.textContent = item.reasons.join(', ') + (item.history ? \` · \${item.history}\` : '');
+
+            const code = document.createElement('pre');
+            code.innerHTML = item.context.map(line =>
+                \`<div class="line\${line.target ? ' target' : ''}"><span class="ln">\${line.number}</span>\${line.html}</div>\`
+            ).join('');
+
+            element.append(header, details, code);
+            container.append(element);
+        });
+    }
+
+    function update() {
+        document.getElementById('confidence-value').textContent = \`\${slider.value}%\`;
+        items.forEach(item => {
+            const element = document.getElementById(\`item-\${item.id}\`);
+            element.hidden = !isVisible(item);
+            element.classList.toggle('keep', !isSelected(item));
+            element.querySelector('input').checked = isSelected(item);
+        });
+
+        const ids = selectedIds();
+        const commentedCode = ids.some(id => items[id].category === 'commented_code');
+        document.getElementById('count').textContent =
+            \`\${ids.length} of \${items.length} candidates selected (\${total} comments in scope)\`;
+        document.getElementById('archive-option').hidden = !commentedCode;
+        document.getElementById('apply').disabled = stale || ids.length === 0;
+        document.getElementById('remove-all').disabled = stale;
+        vscode.postMessage({ type: 'select', ids });
+    }
+
+    slider.addEventListener('input', update);
+    document.getElementById('apply').addEventListener('click', () => {
+        const ids = selectedIds();
+        const archive = document.getElementById('archive').checked && ids.some(id => items[id].category === 'commented_code');
+        vscode.postMessage({ type: 'apply', ids, archive });
+    });
+    document.getElementById('remove-all').addEventListener('click', () => vscode.postMessage({ type: 'removeAll' }));
+    document.getElementById('report').addEventListener('click', () => vscode.postMessage({ type: 'report' }));
+
+    window.addEventListener('message', event => {
+        if (event.data.type === 'stale') {
+            stale = true;
+            document.getElementById('stale').style.display = 'block';
+            update();
+        }
+    });
+
+    renderFilters();
+    renderItems();
+    update();
+</script>
+</body>
+</html>`;
+    }
+
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        if (ReviewPanel.current === this) ReviewPanel.current = null;
+
+        this.highlight([]);
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.panel.dispose();
+    }
+}
+
+ReviewPanel.current = null;
+
+module.exports = {
+    ReviewPanel
+};
@@ -0,0 +1,71 @@
+/**
+ * Cleaning Scope
+ * Narrows analyzed comments to selections or to the function or class around the cursor
+ */
+
+function comparePositions(a, b) {
+    return a.line !== b.line ? a.line - b.line : a.character - b.character;
+}
+
+/**
+ * Whether a comment overlaps any of the ranges; ranges that only touch the
+ * comment's first or last character do not count
+ */
+function isCommentInRanges(comment, ranges) {
+    return ranges.some(range =>
+        comparePositions(range.start, comment.range.end) < 0 &&
+        comparePositions(comment.range.start, range.end) < 0
+    );
+}
+
+/**
+ * Innermost symbol of one of the given kinds that contains a position
+ * Accepts both document symbols (with `children`) and flat symbol information
+ * (with `location`) as returned by a document symbol provider.
+ *
+ * @param {object[]} symbols
+ * @param {{ line: number, character: number }} position
+ * @param {number[]} kinds symbol kinds to consider, e.g. functions and classes
+ * @returns {{ name: string, kind: number, range: object }|null}
+ */
+function findEnclosingSymbol(symbols, position, kinds) {
+    let found = null;
+
+    const visit = list => (list || []).forEach(symbol => {
+        const range = symbol.range || (symbol.location && symbol.location.range);
+        if (!range || comparePositions(range.start, position) > 0 || comparePositions(position, range.end) > 0) return;
+
+        // Flat symbol lists are not nested, so keep the smallest match
+        if (kinds.includes(symbol.kind) && (!found || comparePositions(range.start, found.range.start) >= 0)) {
+            found = { name: symbol.name, kind: symbol.kind, range };
+        }
+        visit(symbol.children);
+    });
+
+    visit(symbols);
+    return found;
+}
+
+/**
+ * Extend a range upwards over the comments directly above it, such as the doc
+ * comment of a function, which symbol providers usually leave out
+ */
+function includeLeadingComments(range, comments) {
+    let start = range.start;
+    const sorted = comments.slice().sort((a, b) => comparePositions(b.range.start, a.range.start));
+
+    sorted.forEach(comment => {
+        if (comment.isInlineComment || comparePositions(comment.range.start, start) >= 0) return;
+        if (comment.range.end.line === start.line - 1 || comment.range.end.line === start.line) {
+            start = comment.range.start;
+        }
+    });
+
+    return { start, end: range.end };
+}
+
+module.exports = {
+    isCommentInRanges,
+    findEnclosingSymbol,
+    includeLeadingComments
+};
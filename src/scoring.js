@@ -0,0 +1,121 @@
+/**
+ * Comment Scoring
+ * Combines the weighted signals of the analyzer's detectors into a category and confidence
+ *
+ * A signal is { name, category, strength, reason, supporting, details }:
+ *   name        weight key, see DEFAULT_SIGNAL_WEIGHTS
+ *   category    category the signal argues for
+ *   strength    how strongly the detector matched, 0 to 1 (defaults to 1)
+ *   reason      explanation shown to the user
+ *   supporting  only raises the confidence of other removal signals, never decides the category
+ *   details     extra analysis fields, e.g. docFindings
+ *
+ * A signal scores its weight times its strength. Keep signals (critical, documentation)
+ * win when the strongest of them scores at least as much as the strongest removal signal.
+ * Otherwise the strongest removal signal names the category and the confidence combines the
+ * evidence: every removal signal adds to it (noisy-OR), then the strongest keep signal
+ * multiplies the odds of removal by one minus its score, so conflicting evidence lowers it.
+ */
+
+// Weight of each signal, tunable through the commentCleaner.weights setting
+const DEFAULT_SIGNAL_WEIGHTS = {
+    docblock: 1,
+    critical: 0.95,
+    documentation: 0.85,
+    resolved_todo: 0.9,
+    commented_code: 0.9,
+    redundant: 1,
+    noise: 0.8,
+    missing_identifiers: 0.75,
+    outdated: 0.7,
+    trivial: 0.75,
+    empty: 0.75,
+    duplicate: 0.8,
+    debug: 0.85,
+    history: 0.5
+};
+
+// Categories whose signals argue for keeping a comment
+const KEEP_CATEGORIES = ['critical', 'documentation'];
+
+const MAX_CONFIDENCE = 0.95;
+
+// Confidence of a comment no detector matched, which is kept
+const REGULAR_CONFIDENCE = 0.3;
+
+/**
+ * Validate configured weights, reporting unknown signals and values outside 0 to 1
+ *
+ * @param {object} configured { signal: weight } overrides
+ * @param {function} onWarning receives a message per ignored entry
+ * @returns {object} weights of every signal
+ */
+function resolveWeights(configured, onWarning = () => {}) {
+    const weights = { ...DEFAULT_SIGNAL_WEIGHTS };
+
+    Object.entries(configured || {}).forEach(([name, weight]) => {
+        if (!(name in DEFAULT_SIGNAL_WEIGHTS)) {
+            onWarning(`Ignoring unknown signal '${name}' in commentCleaner.weights, expected one of ${Object.keys(DEFAULT_SIGNAL_WEIGHTS).join(', ')}`);
+        } else if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+            onWarning(`Ignoring weight ${JSON.stringify(weight)} for '${name}' in commentCleaner.weights, expected a number between 0 and 1`);
+        } else {
+            weights[name] = weight;
+        }
+    });
+
+    return weights;
+}
+
+function formatReason(signal) {
+    return `${signal.reason} (${signal.category} ${signal.score.toFixed(2)})`;
+}
+
+/**
+ * Combine detector signals into an analysis
+ *
+ * @param {object[]} signals in detector order, which breaks ties between equal scores
+ * @param {object} weights resolved weights, see resolveWeights
+ * @returns {object} { category, shouldRemove, confidence, reasons, signals } plus the
+ *   details of every signal; reasons list every signal that scored, strongest first
+ */
+function combineSignals(signals, weights) {
+    const scored = signals
+        .map(signal => ({ ...signal, score: weights[signal.name] * (signal.strength === undefined ? 1 : signal.strength) }))
+        .filter(signal => signal.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    const keep = scored.find(signal => KEEP_CATEGORIES.includes(signal.category));
+    const removal = scored.filter(signal => !KEEP_CATEGORIES.includes(signal.category));
+    const primary = removal.find(signal => !signal.supporting);
+
+    const analysis = {
+        category: 'regular',
+        shouldRemove: false,
+        confidence: REGULAR_CONFIDENCE,
+        reasons: scored.map(formatReason),
+        signals: scored.map(({ name, category, score, reason, supporting }) => ({ name, category, score, reason, supporting: !!supporting }))
+    };
+    scored.forEach(signal => Object.assign(analysis, signal.details));
+
+    if (keep && (!primary || keep.score >= primary.score)) {
+        analysis.category = keep.category;
+        analysis.confidence = Math.min(MAX_CONFIDENCE, keep.score);
+    } else if (primary) {
+        const removed = 1 - removal.reduce((remaining, signal) => remaining * (1 - Math.min(1, signal.score)), 1);
+        const kept = keep ? keep.score : 0;
+        analysis.category = primary.category;
+        analysis.shouldRemove = true;
+        analysis.confidence = Math.min(MAX_CONFIDENCE, removed * (1 - kept) / (1 - removed * kept));
+    } else {
+        analysis.reasons.push('Regular comment - preserving for safety');
+    }
+
+    return analysis;
+}
+
+module.exports = {
+    DEFAULT_SIGNAL_WEIGHTS,
+    KEEP_CATEGORIES,
+    resolveWeights,
+    combineSignals
+};
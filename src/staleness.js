@@ -0,0 +1,117 @@
+const { tokenize } = require('./tokenizer');
+
+/**
+ * Stale Comment Detection
+ * Finds identifiers a comment mentions that no longer appear in the code of its file
+ */
+
+// Brand names and naming-convention terms that look like identifiers
+const NON_IDENTIFIERS = [
+    'camelcase', 'pascalcase', 'snake_case', 'screaming_snake_case',
+    'javascript', 'typescript', 'coffeescript', 'github', 'gitlab', 'bitbucket', 'macos', 'ios', 'ipados',
+    'iphone', 'ipad', 'youtube', 'linkedin', 'nodejs', 'postgresql', 'mysql', 'mongodb', 'graphql',
+    'webpack', 'vscode', 'openapi', 'oauth', 'jquery', 'ebay', 'paypal', 'wordpress', 'devops', 'powershell',
+    'webkit', 'nan'
+];
+
+const IDENTIFIER_PATTERNS = [
+    // camelCase
+    /\b[a-z][a-z0-9]*(?:[A-Z][a-z0-9]*)+\b/g,
+    // PascalCase with at least two words
+    /\b[A-Z][a-z0-9]+(?:[A-Z][a-z0-9]*)+\b/g,
+    // snake_case and SCREAMING_SNAKE_CASE
+    /\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/g,
+    /\b[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+\b/g,
+    // Calls written as `name(` or `name()`, but not plurals such as "item(s)"
+    /\b[A-Za-z_$][\w$]*(?=\((?!s\)))/g,
+    // Member access written as `object.member`, naming the member
+    /\b[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+\b/g
+];
+
+// Names followed by what they are, such as "the server_config table", live outside the code
+const EXTERNAL_NAME = /\b[\w$]+(?=\s+(?:tables?|columns?|views?|schemas?|databases?|collections?|buckets?|queues?|topics?|headers?|cookies?|env(?:ironment)? var(?:iable)?s?)\b)/gi;
+
+// Host names look like member access
+const HOST_NAME = /\b[\w-]+(?:\.[\w-]+)*\.(?:com|org|net|io|dev|edu|gov)\b/gi;
+
+// Comments that point elsewhere talk about identifiers from other files
+const EXTERNAL_REFERENCE = /\bsee\b|@see|@link|\{@link|\b[\w-]+\.(?:js|jsx|ts|tsx|py|java|cs|c|cpp|h|go|rs|rb|php|md)\b/i;
+
+/**
+ * Identifiers mentioned in comment text (without delimiters), in order of appearance
+ */
+function extractMentionedIdentifiers(text) {
+    const names = [];
+    const add = name => {
+        if (name.length > 2 && !NON_IDENTIFIERS.includes(name.toLowerCase()) && !names.includes(name)) {
+            names.push(name);
+        }
+    };
+
+    // URLs and paths name files and hosts, not code
+    let prose = text.replace(/\b\w+:\/\/\S+/g, ' ').replace(/\S*[\\/]\S*/g, ' ').replace(HOST_NAME, ' ').replace(EXTERNAL_NAME, ' ');
+
+    prose = prose.replace(/`([^`\n]+)`/g, (match, code) => {
+        const reference = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(?:\(\))?$/.exec(code.trim());
+        if (reference) add(reference[0].replace(/\(\)$/, '').split('.').pop());
+        return ' ';
+    });
+
+    IDENTIFIER_PATTERNS.forEach(pattern => {
+        (prose.match(pattern) || []).forEach(name => add(name.split('.').pop()));
+    });
+
+    return names;
+}
+
+/**
+ * Identifiers used anywhere in the code of a document, ignoring comments
+ */
+function collectCodeIdentifiers(text, syntax) {
+    let code = '';
+    let position = 0;
+
+    tokenize(text, syntax).forEach(token => {
+        code += text.substring(position, token.start) + ' ';
+        position = token.end;
+    });
+    code += text.substring(position);
+
+    return new Set(code.match(/[A-Za-z_$][\w$]*/g) || []);
+}
+
+class StalenessChecker {
+    constructor() {
+        // Identifiers of the last analyzed text; comments of one document are analyzed together
+        this.cache = { text: null, syntax: null, identifiers: null };
+    }
+
+    getCodeIdentifiers(text, syntax) {
+        if (this.cache.text !== text || this.cache.syntax !== syntax) {
+            this.cache = { text, syntax, identifiers: collectCodeIdentifiers(text, syntax) };
+        }
+        return this.cache.identifiers;
+    }
+
+    /**
+     * Names mentioned by a comment that are missing from its file's code
+     *
+     * @param {string} commentText comment text without delimiters
+     * @param {string} documentText full text of the comment's file
+     * @param {object} syntax tokenizer syntax of the file's language
+     */
+    findMissingIdentifiers(commentText, documentText, syntax) {
+        if (EXTERNAL_REFERENCE.test(commentText)) return [];
+
+        const mentioned = extractMentionedIdentifiers(commentText);
+        if (mentioned.length === 0) return [];
+
+        const identifiers = this.getCodeIdentifiers(documentText, syntax);
+        return mentioned.filter(name => !identifiers.has(name));
+    }
+}
+
+module.exports = {
+    StalenessChecker,
+    extractMentionedIdentifiers
+};
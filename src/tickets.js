@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Ticket References
+ * Finds issue references in comments and looks up their status
+ *
+ * A resolver is any object with a synchronous `resolve(id)` returning
+ * { id, status, closed, title } for known tickets and null otherwise. Ids are
+ * normalized: Jira-style keys in upper case ("PROJ-123") and numbered issues as
+ * "#456" (an "owner/repo" prefix is dropped).
+ */
+
+const CLOSED_STATUSES = [
+    'closed', 'done', 'resolved', 'fixed', 'completed', 'complete', 'merged',
+    'cancelled', 'canceled', 'duplicate', "won't fix", 'wontfix', 'invalid', 'rejected'
+];
+
+const TICKET_PATTERNS = [
+    // Jira, Linear, YouTrack and similar keys
+    /\b([A-Z][A-Z0-9]+-\d+)\b/g,
+    // GitHub and GitLab issues: #456, owner/repo#456, GH-456
+    /(?:^|[\s(:,])(?:[\w.-]+\/[\w.-]+)?#(\d+)\b/g,
+    /\bGH-(\d+)\b/gi
+];
+
+// Column names accepted for the id and status of an issue export
+const ID_FIELDS = ['id', 'key', 'issue', 'issue key', 'number', 'ticket'];
+const STATUS_FIELDS = ['status', 'state', 'resolution'];
+const TITLE_FIELDS = ['title', 'summary', 'name'];
+
+function normalizeTicketId(id) {
+    const text = String(id).trim();
+    const number = /^(?:[\w.-]+\/[\w.-]+)?#?(\d+)$/.exec(text) || /^GH-(\d+)$/i.exec(text);
+    return number ? `#${number[1]}` : text.toUpperCase();
+}
+
+/**
+ * Normalized ticket ids referenced in comment text, in order of appearance
+ */
+function extractTicketReferences(text) {
+    const ids = [];
+    TICKET_PATTERNS.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const id = normalizeTicketId(pattern === TICKET_PATTERNS[0] ? match[1] : `#${match[1]}`);
+            if (!ids.includes(id)) ids.push(id);
+        }
+    });
+    return ids;
+}
+
+function isClosedStatus(status) {
+    return CLOSED_STATUSES.includes(String(status || '').trim().toLowerCase());
+}
+
+function pickField(record, fields) {
+    const key = Object.keys(record).find(name => fields.includes(name.trim().toLowerCase()));
+    return key === undefined ? undefined : record[key];
+}
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ */
+function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Issue records from a JSON or CSV export
+ * JSON may be a list of issues, { issues: [...] } or a map of id to status.
+ */
+function parseIssueExport(filePath, content) {
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        const [header, ...rows] = parseCsv(content);
+        if (!header) return [];
+        return rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index]])));
+    }
+
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.issues)) return data.issues;
+    if (data && typeof data === 'object') {
+        return Object.entries(data).map(([id, value]) =>
+            (value && typeof value === 'object' ? { id, ...value } : { id, status: value }));
+    }
+    throw new Error('expected a list of issues');
+}
+
+/**
+ * Resolver reading a local JSON or CSV export of issues, re-read when the file changes
+ */
+class LocalIssueResolver {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.cache = { mtimeMs: null, tickets: new Map() };
+    }
+
+    load() {
+        const stat = fs.statSync(this.filePath);
+        if (this.cache.mtimeMs === stat.mtimeMs) return this.cache.tickets;
+
+        let records;
+        try {
+            records = parseIssueExport(this.filePath, fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${this.filePath}: invalid issue list: ${error.message}`);
+        }
+
+        const tickets = new Map();
+        records.forEach(record => {
+            if (!record || typeof record !== 'object') return;
+            const id = pickField(record, ID_FIELDS);
+            if (id === undefined || id === null || id === '') return;
+
+            const status = String(pickField(record, STATUS_FIELDS) || '');
+            const normalized = normalizeTicketId(id);
+            tickets.set(normalized, {
+                id: normalized,
+                status,
+                closed: record.closed === true || isClosedStatus(status),
+                title: pickField(record, TITLE_FIELDS) || null
+            });
+        });
+
+        this.cache = { mtimeMs: stat.mtimeMs, tickets };
+        return tickets;
+    }
+
+    resolve(id) {
+        return this.load().get(normalizeTicketId(id)) || null;
+    }
+}
+
+/**
+ * Resolver asking each resolver in turn until one knows the ticket
+ */
+function combineResolvers(resolvers) {
+    return {
+        resolve: id => {
+            for (const resolver of resolvers) {
+                const ticket = resolver.resolve(id);
+                if (ticket) return ticket;
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    extractTicketReferences,
+    normalizeTicketId,
+    isClosedStatus,
+    LocalIssueResolver,
+    combineResolvers,
+    CLOSED_STATUSES
+};
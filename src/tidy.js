@@ -0,0 +1,344 @@
+/**
+ * Comment Tidying
+ * Editor-independent computation of edits that normalize comments instead of removing them
+ *
+ * Comments are tidied as units: a run of whole-line line comments on consecutive
+ * lines, a whole-line block comment, or a single comment that shares its line with
+ * code. Each unit yields at most one edit, so the edits never overlap.
+ */
+
+const TIDY_STYLES = ['preserve', 'line', 'block'];
+
+// Categories whose text must stay exactly as written
+const PROTECTED_CATEGORIES = ['preserved', 'critical', 'commented_code', 'documentation'];
+
+// Directives that must follow the delimiter without a space, e.g. `//go:build` or `//export`
+const NO_SPACE_DIRECTIVE = /^(?:[a-z]+:\S|export\s|extern\s|line\s|nolint\b)/;
+
+// A body made of decoration only, e.g. `==========` or `-*-*-*-*`
+const BANNER_LINE = /^\s*[-=*#~_+/\\]{3,}\s*$/;
+const BANNER_EDGES = [/^\s*([-=*#~_+/\\])\1{2,}\s*/, /\s*([-=*#~_+/\\])\1{2,}\s*$/];
+
+// Lines that are not running prose: list items, tags, quotes, tables and indented code
+const NOT_PROSE = /^(?:[-*+>|#@]|\d+[.)]\s|\s{2,}|```)/;
+
+/**
+ * Line and block delimiters of a syntax, as used for conversions
+ */
+function getDelimiters(syntax) {
+    const line = (syntax.lineComments || []).map(def => (typeof def === 'string' ? def : def.open))[0] || null;
+    const block = (syntax.blockComments || []).find(def => def.open && !def.lineStart) || null;
+    return { line, blockOpen: block ? block.open : null, blockClose: block ? block.close : null };
+}
+
+function isBanner(body) {
+    return BANNER_LINE.test(body);
+}
+
+function stripBannerEdges(body) {
+    return BANNER_EDGES.reduce((text, pattern) => text.replace(pattern, ''), body);
+}
+
+function hasBanner(body) {
+    return isBanner(body) || stripBannerEdges(body.trim()) !== body.trim();
+}
+
+function columnWidth(text, tabSize) {
+    return text.replace(/\t/g, ' '.repeat(tabSize)).length;
+}
+
+/**
+ * Re-fill paragraphs that have a line longer than `width`; other lines stay as they are
+ */
+function wrapBodies(bodies, width) {
+    const result = [];
+    let paragraph = [];
+
+    const flush = () => {
+        if (paragraph.length > 0 && paragraph.some(body => body.length > width)) {
+            const words = paragraph.join(' ').split(/\s+/).filter(Boolean);
+            let line = '';
+            words.forEach(word => {
+                if (line && line.length + 1 + word.length > width) {
+                    result.push(line);
+                    line = word;
+                } else {
+                    line = line ? `${line} ${word}` : word;
+                }
+            });
+            if (line) result.push(line);
+        } else {
+            result.push(...paragraph);
+        }
+        paragraph = [];
+    };
+
+    bodies.forEach(body => {
+        if (body.trim() === '' || NOT_PROSE.test(body)) {
+            flush();
+            result.push(body);
+        } else {
+            paragraph.push(body.trim());
+        }
+    });
+    flush();
+
+    return result;
+}
+
+/**
+ * Upper-case the first word of a sentence when it is a plain lower-case word
+ */
+function capitalize(body) {
+    return body.replace(/^([a-z]+)(?=[ ,;!?]|$)(?!\s*[=(])/, word => word.charAt(0).toUpperCase() + word.substring(1));
+}
+
+/**
+ * Split a line comment into its body, reporting whether a space had to be added
+ */
+function parseLineBody(comment) {
+    const raw = comment.text.substring(comment.delimiter.length).replace(/\s+$/, '');
+    if (raw === '' || /^\s/.test(raw)) return { body: raw.replace(/^ /, ''), spacing: false };
+    if (!/^[A-Za-z0-9]/.test(raw) || NO_SPACE_DIRECTIVE.test(raw)) return { body: null, spacing: false };
+    return { body: raw, spacing: true };
+}
+
+/**
+ * Split a block comment into body lines and the shape needed to write it back
+ */
+function parseBlock(comment) {
+    const inner = comment.text.substring(comment.delimiter.length, comment.text.length - comment.closeDelimiter.length);
+    const lines = inner.split(/\r?\n/);
+    const starStyle = lines.length > 1 && lines.slice(1).every(line => /^\s*\*/.test(line) || line.trim() === '');
+    const firstHasText = lines[0].trim() !== '';
+    const lastOnlyClose = lines.length > 1 && lines[lines.length - 1].trim() === '';
+    const middle = lines.slice(1, lastOnlyClose ? -1 : undefined);
+
+    const indents = middle.filter(line => line.trim() !== '').map(line => line.match(/^\s*/)[0]);
+    const continuation = starStyle || indents.length === 0
+        ? ''
+        : indents.reduce((common, indent) => (indent.startsWith(common) ? common : indent.substring(0, common.length)));
+
+    const bodies = [];
+    if (firstHasText || lines.length === 1) bodies.push(lines[0].replace(/^ /, '').replace(/\s+$/, ''));
+    middle.forEach(line => {
+        bodies.push((starStyle ? line.replace(/^\s*\* ?/, '') : line.substring(continuation.length)).replace(/\s+$/, ''));
+    });
+
+    return {
+        bodies,
+        shape: { starStyle, firstHasText, lastOnlyClose, continuation, singleLine: lines.length === 1 },
+        spacing: lines.length === 1 && inner.trim() !== '' && (/^\S/.test(inner) || /\S$/.test(inner))
+    };
+}
+
+function renderLineRun(bodies, delimiter, indent, eol) {
+    return bodies.map((body, index) => `${index > 0 ? indent : ''}${delimiter}${body ? ` ${body}` : ''}`).join(eol);
+}
+
+function renderBlock(bodies, shape, open, close, indent, eol) {
+    if (bodies.length === 1 && (shape.singleLine || shape.firstHasText)) return `${open} ${bodies[0]} ${close}`;
+
+    const rest = shape.firstHasText ? bodies.slice(1) : bodies;
+    const lines = [shape.firstHasText ? `${open} ${bodies[0]}` : open];
+    rest.forEach(body => {
+        lines.push(shape.starStyle ? `${indent} *${body ? ` ${body}` : ''}` : `${indent}${shape.continuation}${body}`.replace(/\s+$/, ''));
+    });
+
+    if (shape.lastOnlyClose || lines.length === 1) {
+        lines.push(shape.starStyle ? `${indent} ${close}` : `${indent}${close}`);
+    } else {
+        lines[lines.length - 1] += ` ${close}`;
+    }
+    return lines.join(eol);
+}
+
+/**
+ * Group comments into tidy units; protected comments end a run and are left alone
+ */
+function collectUnits(document, items, stripBanners) {
+    const text = document.getText();
+    const units = [];
+    let run = null;
+
+    items
+        .slice()
+        .sort((a, b) => a.comment.start - b.comment.start)
+        .forEach(item => {
+            const { comment, analysis } = item;
+            const startLine = document.lineAt(comment.range.start.line);
+            const endLine = document.lineAt(comment.range.end.line);
+            const indent = startLine.text.substring(0, comment.range.start.character);
+            const ownLine = indent.trim() === '' && endLine.text.substring(comment.range.end.character).trim() === '';
+            // Banners often read as commented-out code, but are never anything else
+            const banner = stripBanners && comment.type === 'single' && hasBanner(comment.text.substring(comment.delimiter.length));
+            const skip = comment.suppression || comment.type === 'docblock' || comment.isDocBlock ||
+                (analysis && PROTECTED_CATEGORIES.includes(analysis.category) && !banner) ||
+                (comment.type === 'single' && parseLineBody(comment).body === null);
+
+            if (skip) {
+                run = null;
+                return;
+            }
+
+            const continuesRun = run && ownLine && comment.type === 'single' &&
+                comment.delimiter === run.delimiter && indent === run.indent &&
+                comment.range.start.line === run.comments[run.comments.length - 1].range.end.line + 1;
+
+            if (continuesRun) {
+                run.comments.push(comment);
+                run.end = comment.end;
+                return;
+            }
+
+            const unit = {
+                kind: comment.type === 'single' ? 'line' : 'block',
+                comments: [comment],
+                delimiter: comment.delimiter,
+                indent,
+                ownLine,
+                start: comment.start,
+                end: comment.end,
+                lineStart: document.offsetAt(startLine.range.start)
+            };
+            units.push(unit);
+            run = unit.kind === 'line' && ownLine ? unit : null;
+        });
+
+    units.forEach(unit => {
+        const lastLine = unit.comments[unit.comments.length - 1].range.end.line;
+        unit.lineEnd = lastLine + 1 < document.lineCount
+            ? document.offsetAt(document.lineAt(lastLine + 1).range.start)
+            : text.length;
+    });
+    return units;
+}
+
+/**
+ * Edits that tidy the given comments
+ *
+ * @param {object} document
+ * @param {object[]} items { comment, analysis } pairs; protected categories and doc comments are skipped
+ * @param {object} options
+ * @param {object} options.delimiters result of getDelimiters for the language
+ * @param {number} [options.wrapColumn] re-wrap prose longer than this column, 0 to never wrap
+ * @param {string} [options.style] 'preserve', or 'line'/'block' to convert comments to that form
+ * @param {boolean} [options.capitalize] upper-case the first word of each comment
+ * @param {boolean} [options.stripBanners] drop decorative lines such as `// =====`
+ * @param {number} [options.tabSize]
+ * @returns {{ start: number, end: number, text: string, changes: string[] }[]} in document order
+ */
+function tidyComments(document, items, options) {
+    const text = document.getText();
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const { delimiters } = options;
+    const wrapColumn = options.wrapColumn || 0;
+    const style = options.style || 'preserve';
+    const tabSize = options.tabSize || 4;
+    const cStyle = delimiters.line === '//' && delimiters.blockOpen === '/*' && delimiters.blockClose === '*/';
+
+    const edits = [];
+    collectUnits(document, items, options.stripBanners).forEach(unit => {
+        const changes = new Set();
+        let bodies;
+        let shape = null;
+
+        if (unit.kind === 'line') {
+            const parsed = unit.comments.map(parseLineBody);
+            if (parsed.some(part => part.spacing)) changes.add('spacing');
+            bodies = parsed.map(part => part.body);
+        } else {
+            const comment = unit.comments[0];
+            if (comment.delimiter !== delimiters.blockOpen || comment.closeDelimiter !== delimiters.blockClose) return;
+            if (!unit.ownLine && comment.range.start.line !== comment.range.end.line) return;
+
+            const parsed = parseBlock(comment);
+            if (parsed.spacing) changes.add('spacing');
+            bodies = parsed.bodies;
+            shape = parsed.shape;
+        }
+
+        // Empty comments are for the cleaner to remove, not to tidy
+        if (bodies.every(body => body.trim() === '')) return;
+
+        if (options.stripBanners && unit.ownLine) {
+            const stripped = bodies.filter(body => !isBanner(body)).map(stripBannerEdges);
+            if (stripped.join('\n') !== bodies.join('\n')) {
+                changes.add('banner');
+                bodies = stripped;
+                while (bodies.length > 0 && bodies[0].trim() === '') bodies.shift();
+                while (bodies.length > 0 && bodies[bodies.length - 1].trim() === '') bodies.pop();
+            }
+            if (bodies.length === 0) {
+                edits.push({ start: unit.lineStart, end: unit.lineEnd, text: '', changes: ['banner'] });
+                return;
+            }
+        }
+
+        if (options.capitalize) {
+            const first = bodies.findIndex(body => body.trim() !== '');
+            if (first !== -1 && capitalize(bodies[first]) !== bodies[first]) {
+                bodies[first] = capitalize(bodies[first]);
+                changes.add('capitalization');
+            }
+        }
+
+        let kind = unit.kind;
+        if (unit.ownLine && cStyle) {
+            if (style === 'block' && kind === 'line' && bodies.length > 1 && !bodies.some(body => body.includes('*/'))) {
+                kind = 'block';
+                shape = { starStyle: true, firstHasText: false, lastOnlyClose: true, continuation: '', singleLine: false };
+                changes.add('converted');
+            } else if (style === 'line' && kind === 'block' && !shape.singleLine) {
+                kind = 'line';
+                changes.add('converted');
+            }
+        }
+
+        if (wrapColumn > 0 && unit.ownLine) {
+            const prefix = kind === 'line' ? delimiters.line.length + 1 : 3;
+            const width = Math.max(20, wrapColumn - columnWidth(unit.indent, tabSize) - prefix);
+            const wrapped = wrapBodies(bodies, width);
+            if (wrapped.join('\n') !== bodies.join('\n')) {
+                changes.add('wrapped');
+                bodies = wrapped;
+                if (shape && shape.singleLine && bodies.length > 1) {
+                    shape = { ...shape, singleLine: false, lastOnlyClose: true };
+                }
+            }
+        }
+
+        const rendered = kind === 'line'
+            ? renderLineRun(bodies, kind === unit.kind ? unit.delimiter : delimiters.line, unit.indent, eol)
+            : renderBlock(bodies, shape, delimiters.blockOpen, delimiters.blockClose, unit.indent, eol);
+
+        if (rendered !== text.substring(unit.start, unit.end)) {
+            edits.push({ start: unit.start, end: unit.end, text: rendered, changes: [...changes] });
+        }
+    });
+
+    return edits;
+}
+
+/**
+ * Return text with non-overlapping edits applied
+ */
+function applyEdits(text, edits) {
+    let result = '';
+    let position = 0;
+    edits
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .forEach(edit => {
+            result += text.substring(position, edit.start) + edit.text;
+            position = edit.end;
+        });
+    return result + text.substring(position);
+}
+
+module.exports = {
+    tidyComments,
+    applyEdits,
+    getDelimiters,
+    TIDY_STYLES
+};
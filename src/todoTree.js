@@ -0,0 +1,219 @@
+const vscode = require('vscode');
+const path = require('path');
+const { extractTodos, groupTodos, formatTodos, isOverdue, GROUPINGS } = require('./todos');
+
+/**
+ * TODO Tree View
+ * Sidebar listing TODO/FIXME/HACK/BUG/TICKET comments across the workspace
+ */
+
+const GROUP_LABELS = { tag: 'Tag', author: 'Author', file: 'File' };
+
+class TodoTreeProvider {
+    constructor(commentCleaner) {
+        this.commentCleaner = commentCleaner;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changeEmitter.event;
+
+        // TODOs per file path; null until the workspace was first scanned
+        this.todosByFile = null;
+        this.scanning = null;
+        this.listeners = [
+            vscode.workspace.onDidSaveTextDocument(document => this.refreshDocument(document)),
+            vscode.workspace.onDidDeleteFiles(event => this.forgetFiles(event.files))
+        ];
+        this.loadSettings();
+    }
+
+    loadSettings() {
+        const config = vscode.workspace.getConfiguration('commentCleaner.todos');
+        const groupBy = config.get('groupBy', 'tag');
+        this.groupBy = GROUPINGS.includes(groupBy) ? groupBy : 'tag';
+        this.maxAgeDays = config.get('maxAgeDays', 180);
+        this.changeEmitter.fire();
+    }
+
+    getBaseDir() {
+        const folders = vscode.workspace.workspaceFolders || [];
+        return folders.length > 0 ? folders[0].uri.fsPath : null;
+    }
+
+    getTodos() {
+        return this.todosByFile ? [].concat(...this.todosByFile.values()) : [];
+    }
+
+    /**
+     * TODOs of one document, with blame authors and ages when history is enabled
+     */
+    async collectDocumentTodos(document) {
+        if (!this.commentCleaner.isSupported(document)) return [];
+
+        const { analyzer, languageId } = this.commentCleaner.getAnalysisContext(document);
+        const comments = analyzer.extractComments(document, languageId);
+        if (extractTodos(comments, document.uri.fsPath).length === 0) return [];
+
+        // Blame only files that have TODOs; it adds authors and ages
+        await this.commentCleaner.annotateHistory(document, comments);
+        return extractTodos(comments, document.uri.fsPath);
+    }
+
+    /**
+     * Rescan every matching workspace file
+     */
+    refresh() {
+        if (this.scanning) return this.scanning;
+
+        this.scanning = vscode.window.withProgress({
+            location: { viewId: 'commentCleaner.todos' },
+            title: 'Collecting TODOs...'
+        }, async () => {
+            const folders = (vscode.workspace.workspaceFolders || []).map(folder => folder.uri);
+            const tokenSource = new vscode.CancellationTokenSource();
+            const todosByFile = new Map();
+
+            try {
+                const uris = await this.commentCleaner.findWorkspaceFiles(folders, tokenSource.token);
+                for (const uri of uris) {
+                    const document = await vscode.workspace.openTextDocument(uri);
+                    const todos = await this.collectDocumentTodos(document);
+                    if (todos.length > 0) todosByFile.set(uri.fsPath, todos);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error collecting TODOs: ${error.message}`);
+            } finally {
+                tokenSource.dispose();
+            }
+
+            this.todosByFile = todosByFile;
+            this.scanning = null;
+            this.changeEmitter.fire();
+        });
+
+        return this.scanning;
+    }
+
+    async refreshDocument(document) {
+        if (!this.todosByFile || document.uri.scheme !== 'file') return;
+
+        const todos = await this.collectDocumentTodos(document);
+        if (todos.length > 0) {
+            this.todosByFile.set(document.uri.fsPath, todos);
+        } else if (!this.todosByFile.delete(document.uri.fsPath)) {
+            return;
+        }
+        this.changeEmitter.fire();
+    }
+
+    forgetFiles(uris) {
+        if (!this.todosByFile) return;
+        if (uris.filter(uri => this.todosByFile.delete(uri.fsPath)).length > 0) this.changeEmitter.fire();
+    }
+
+    async chooseGrouping() {
+        const picked = await vscode.window.showQuickPick(
+            GROUPINGS.map(groupBy => ({ label: GROUP_LABELS[groupBy], picked: groupBy === this.groupBy, groupBy })),
+            { placeHolder: 'Group TODOs by' }
+        );
+        if (!picked) return;
+
+        await vscode.workspace.getConfiguration('commentCleaner.todos')
+            .update('groupBy', picked.groupBy, vscode.ConfigurationTarget.Global);
+    }
+
+    async exportTodos() {
+        if (!this.todosByFile) await this.refresh();
+
+        const todos = this.getTodos();
+        if (todos.length === 0) {
+            vscode.window.showInformationMessage('No TODO comments found.');
+            return;
+        }
+
+        const formatItem = await vscode.window.showQuickPick([
+            { label: 'Markdown', description: '.md', format: 'markdown', extension: 'md' },
+            { label: 'JSON', description: '.json', format: 'json', extension: 'json' }
+        ], { placeHolder: 'Select export format', title: 'Export TODOs' });
+        if (!formatItem) return;
+
+        const baseDir = this.getBaseDir() || path.dirname(todos[0].filePath);
+        const target = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(baseDir, `todos.${formatItem.extension}`)),
+            filters: { [formatItem.label]: [formatItem.extension] }
+        });
+        if (!target) return;
+
+        const content = formatTodos(todos, formatItem.format, { baseDir, groupBy: this.groupBy, maxAgeDays: this.maxAgeDays });
+        await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf8'));
+
+        const action = await vscode.window.showInformationMessage(
+            `Exported ${todos.length} TODOs to ${path.basename(target.fsPath)}.`,
+            'Open Export'
+        );
+        if (action === 'Open Export') {
+            await vscode.window.showTextDocument(target);
+        }
+    }
+
+    getTreeItem(element) {
+        return element.treeItem;
+    }
+
+    async getChildren(element) {
+        if (element) return element.children || [];
+
+        // Scan lazily the first time the view is shown
+        if (!this.todosByFile) await this.refresh();
+
+        const baseDir = this.getBaseDir();
+        return groupTodos(this.getTodos(), this.groupBy, baseDir).map(group => {
+            const overdue = group.todos.filter(todo => isOverdue(todo, this.maxAgeDays)).length;
+            const treeItem = new vscode.TreeItem(group.key, vscode.TreeItemCollapsibleState.Expanded);
+            treeItem.description = overdue > 0 ? `${group.todos.length} · ${overdue} overdue` : `${group.todos.length}`;
+            treeItem.contextValue = 'todoGroup';
+            if (this.groupBy === 'file') treeItem.resourceUri = vscode.Uri.file(group.todos[0].filePath);
+
+            return { treeItem, children: group.todos.map(todo => ({ treeItem: this.createTodoItem(todo, baseDir) })) };
+        });
+    }
+
+    createTodoItem(todo, baseDir) {
+        const overdue = isOverdue(todo, this.maxAgeDays);
+        const location = `${baseDir ? path.relative(baseDir, todo.filePath) : todo.filePath}:${todo.line + 1}`;
+
+        const treeItem = new vscode.TreeItem(
+            this.groupBy === 'tag' ? (todo.text || todo.tag) : `${todo.tag}: ${todo.text}`,
+            vscode.TreeItemCollapsibleState.None
+        );
+        const details = [];
+        if (this.groupBy !== 'file') details.push(location);
+        if (this.groupBy !== 'author' && todo.author) details.push(todo.author);
+        if (overdue) details.push(`${todo.ageDays} days old`);
+        treeItem.description = details.join(' · ');
+
+        const tooltip = new vscode.MarkdownString(`**${todo.tag}** ${todo.text}\n\n${location}`);
+        if (todo.author) tooltip.appendMarkdown(`\n\nAuthor: ${todo.author}${todo.authorSource === 'blame' ? ' (git blame)' : ''}`);
+        if (todo.ageDays !== null) tooltip.appendMarkdown(`\n\nLast changed ${todo.ageDays} days ago${overdue ? ` — older than ${this.maxAgeDays} days` : ''}`);
+        treeItem.tooltip = tooltip;
+
+        treeItem.iconPath = new vscode.ThemeIcon(overdue ? 'warning' : 'checklist');
+        treeItem.contextValue = overdue ? 'todo.overdue' : 'todo';
+        treeItem.command = {
+            command: 'vscode.open',
+            title: 'Open',
+            arguments: [
+                vscode.Uri.file(todo.filePath),
+                { selection: new vscode.Range(todo.line, todo.character, todo.line, todo.character) }
+            ]
+        };
+        return treeItem;
+    }
+
+    dispose() {
+        this.listeners.forEach(listener => listener.dispose());
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = {
+    TodoTreeProvider
+};
@@ -0,0 +1,154 @@
+const path = require('path');
+const { toPosixPath } = require('./glob');
+
+/**
+ * TODO Tracker
+ * Collects TODO, FIXME, HACK, BUG and TICKET annotations from comments
+ */
+
+const TODO_TAGS = ['TODO', 'FIXME', 'HACK', 'BUG', 'TICKET'];
+
+// `TODO: text`, `TODO(alice): text` or `FIXME - text`, anywhere on a comment line
+const TODO_PATTERN = new RegExp(`\\b(${TODO_TAGS.join('|')})\\b(?:\\s*\\(([^)]*)\\))?(?:\\s*:|\\s+-)\\s*(.*)$`, 'i');
+
+const MENTION_PATTERN = /(?:^|\s)@([A-Za-z][\w.-]*)/;
+
+const GROUPINGS = ['tag', 'author', 'file'];
+
+const UNKNOWN_AUTHOR = 'Unknown author';
+
+/**
+ * Annotations in the comments of one file
+ * The author comes from `TODO(name)` or an `@name` mention, otherwise from the
+ * git blame history of the comment when it was annotated.
+ *
+ * @param {object[]} comments extracted comments, optionally with `history`
+ * @param {string} filePath
+ * @returns {object[]} { tag, text, author, authorSource, filePath, line, character, ageDays }
+ */
+function extractTodos(comments, filePath) {
+    const todos = [];
+
+    comments.forEach(comment => {
+        comment.text.split('\n').forEach((lineText, index) => {
+            const match = TODO_PATTERN.exec(lineText);
+            if (!match) return;
+
+            let text = match[3].trim();
+            if (comment.closeDelimiter && text.endsWith(comment.closeDelimiter)) {
+                text = text.substring(0, text.length - comment.closeDelimiter.length).trim();
+            }
+
+            const mention = match[2] ? match[2].trim() : (MENTION_PATTERN.exec(text) || [])[1];
+            const history = comment.history || null;
+            const author = mention || (history && history.author) || null;
+
+            todos.push({
+                tag: match[1].toUpperCase(),
+                text,
+                author,
+                authorSource: mention ? 'comment' : (author ? 'blame' : null),
+                filePath,
+                line: comment.range.start.line + index,
+                character: index === 0 ? comment.range.start.character + match.index : match.index,
+                ageDays: history ? history.ageDays : null
+            });
+        });
+    });
+
+    return todos;
+}
+
+/**
+ * Whether a TODO is older than the configured age; 0 disables the check
+ */
+function isOverdue(todo, maxAgeDays) {
+    return maxAgeDays > 0 && todo.ageDays !== null && todo.ageDays >= maxAgeDays;
+}
+
+function groupKey(todo, groupBy, baseDir) {
+    if (groupBy === 'tag') return todo.tag;
+    if (groupBy === 'author') return todo.author || UNKNOWN_AUTHOR;
+    return baseDir ? toPosixPath(path.relative(baseDir, todo.filePath)) : todo.filePath;
+}
+
+/**
+ * Group TODOs by tag, author or file
+ * Tags keep their TODO_TAGS order, other groups are sorted by name; TODOs within a
+ * group are ordered by file and line.
+ *
+ * @returns {{ key: string, todos: object[] }[]}
+ */
+function groupTodos(todos, groupBy, baseDir = null) {
+    const groups = new Map();
+
+    todos.forEach(todo => {
+        const key = groupKey(todo, groupBy, baseDir);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(todo);
+    });
+
+    const order = groupBy === 'tag'
+        ? (a, b) => TODO_TAGS.indexOf(a) - TODO_TAGS.indexOf(b)
+        : (a, b) => a.localeCompare(b);
+
+    return [...groups.keys()].sort(order).map(key => ({
+        key,
+        todos: groups.get(key).sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line)
+    }));
+}
+
+/**
+ * Render TODOs as a markdown or JSON export
+ *
+ * @param {object[]} todos
+ * @param {'markdown'|'json'} format
+ * @param {object} options { baseDir, groupBy, maxAgeDays }
+ */
+function formatTodos(todos, format, options = {}) {
+    const baseDir = options.baseDir || null;
+    const relative = todo => (baseDir ? toPosixPath(path.relative(baseDir, todo.filePath)) : todo.filePath);
+
+    if (format === 'json') {
+        return JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            total: todos.length,
+            todos: todos.map(todo => ({
+                tag: todo.tag,
+                text: todo.text,
+                author: todo.author,
+                file: relative(todo),
+                line: todo.line + 1,
+                ageDays: todo.ageDays,
+                overdue: isOverdue(todo, options.maxAgeDays || 0)
+            }))
+        }, null, 2);
+    }
+
+    let content = `# Comment TODOs\n\n`;
+    content += `**Total:** ${todos.length}\n`;
+    content += `**Generated:** ${new Date().toLocaleString()}\n\n`;
+
+    groupTodos(todos, options.groupBy || 'tag', baseDir).forEach(group => {
+        content += `## ${group.key} (${group.todos.length})\n\n`;
+        group.todos.forEach(todo => {
+            const details = [`${relative(todo)}:${todo.line + 1}`];
+            if (todo.author) details.push(todo.author);
+            if (isOverdue(todo, options.maxAgeDays || 0)) details.push(`**${todo.ageDays} days old**`);
+            content += `- **${todo.tag}** ${todo.text || '(no description)'} — ${details.join(', ')}\n`;
+        });
+        content += '\n';
+    });
+
+    return content;
+}
+
+module.exports = {
+    extractTodos,
+    groupTodos,
+    formatTodos,
+    isOverdue,
+    TODO_TAGS,
+    GROUPINGS,
+    UNKNOWN_AUTHOR
+};
@@ -0,0 +1,649 @@
+/**
+ * Comment Tokenizer
+ * Language-aware lexer that only reports real comment tokens
+ */
+
+// Keywords after which a `/` starts a regex literal rather than a division
+const REGEX_PRECEDING_KEYWORDS = [
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+];
+
+// Characters after which a `/` starts a regex literal rather than a division
+const REGEX_PRECEDING_CHARS = '(,=:[!&|?{};+-*%<>~^';
+
+// Keywords whose parenthesized condition is followed by a statement, where a `/` starts a regex
+const CONDITION_KEYWORDS = ['if', 'while', 'for', 'with'];
+
+const WORD_CHAR = /[A-Za-z0-9_$]/;
+
+// Closing delimiters of bracketed percent literals such as Ruby's %w(...)
+const PAIRED_DELIMITERS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+/**
+ * Built-in syntax descriptions
+ *
+ * lineComments:  line comment openers, as strings or { open, requiresBoundary, notFollowedBy, notPrecededBy }
+ *                where notFollowedBy is a string or sticky regex and notPrecededBy a character regex
+ * blockComments: { open, close, nested, lineStart } or { pattern, close(match) } for delimiter-based forms
+ * strings:       { open, close, escape, doubled, multiline, interpolation, rawPrefixes, docstring, char }
+ *                or { pattern, close(match) } for raw strings with custom delimiters
+ * heredocs:      { pattern, id(match), indentedClose(match), allowSuffix } or { pattern, indentedBlock }
+ *                for bodies that end at the first line indented no deeper than the opener's key
+ * regexLiterals: whether `/.../` literals can appear in code
+ * regexKeywords: keywords after which a `/` starts a regex literal
+ */
+const syntaxes = {
+    javascript: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' },
+            { open: '`', close: '`', escape: '\\', multiline: true, interpolation: '${' }
+        ],
+        regexLiterals: true
+    },
+    python: {
+        lineComments: ['#'],
+        blockComments: [],
+        strings: [
+            { open: '"""', close: '"""', escape: '\\', multiline: true, rawPrefixes: true, docstring: true },
+            { open: '\'\'\'', close: '\'\'\'', escape: '\\', multiline: true, rawPrefixes: true, docstring: true },
+            { open: '"', close: '"', escape: '\\', rawPrefixes: true },
+            { open: '\'', close: '\'', escape: '\\', rawPrefixes: true }
+        ]
+    },
+    java: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { open: '"""', close: '"""', escape: '\\', multiline: true },
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    },
+    csharp: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { open: '"""', close: '"""', escape: null, multiline: true },
+            { open: '$@"', close: '"', escape: null, doubled: true, multiline: true, interpolation: '{' },
+            { open: '@$"', close: '"', escape: null, doubled: true, multiline: true, interpolation: '{' },
+            { open: '@"', close: '"', escape: null, doubled: true, multiline: true },
+            { open: '$"', close: '"', escape: '\\', interpolation: '{' },
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    },
+    cpp: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { pattern: /(?:u8|[uUL])?R"([^()\\\s]{0,16})\(/y, close: match => `)${match[1]}"`, wordBoundary: true },
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    },
+    html: {
+        lineComments: [],
+        blockComments: [{ open: '<!--', close: '-->' }],
+        strings: [
+            { open: '<![CDATA[', close: ']]>', escape: null, multiline: true }
+        ]
+    },
+    css: {
+        lineComments: [],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    },
+    go: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { open: '`', close: '`', escape: null, multiline: true },
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    },
+    rust: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/', nested: true }],
+        strings: [
+            { pattern: /b?r(#*)"/y, close: match => `"${match[1]}`, multiline: true, wordBoundary: true },
+            { open: '"', close: '"', escape: '\\', multiline: true },
+            { open: '\'', close: '\'', escape: '\\', char: true }
+        ]
+    },
+    ruby: {
+        lineComments: ['#'],
+        blockComments: [{ open: '=begin', close: '=end', lineStart: true }],
+        strings: [
+            { pattern: /%[qQwWiIrsx]([^\w\s])/y, close: match => PAIRED_DELIMITERS[match[1]] || match[1], escape: '\\', multiline: true },
+            { open: '"', close: '"', escape: '\\', multiline: true, interpolation: '#{' },
+            { open: '\'', close: '\'', escape: '\\', multiline: true },
+            { open: '`', close: '`', escape: '\\', multiline: true, interpolation: '#{' }
+        ],
+        // Unquoted identifiers are limited to upper case so `list << item` is not a heredoc
+        heredocs: [
+            { pattern: /<<([~-]?)(["'`])([A-Za-z_]\w*)\2/y, id: match => match[3], indentedClose: match => match[1] !== '' },
+            { pattern: /<<([~-]?)([A-Z_][A-Z0-9_]*)\b/y, id: match => match[2], indentedClose: match => match[1] !== '' }
+        ],
+        regexLiterals: true,
+        regexKeywords: ['if', 'elsif', 'unless', 'while', 'until', 'when', 'and', 'or', 'not', 'return', 'then', 'puts']
+    },
+    php: {
+        lineComments: ['//', { open: '#', notFollowedBy: '[' }],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { open: '"', close: '"', escape: '\\', multiline: true, interpolation: '{$' },
+            { open: '\'', close: '\'', escape: '\\', multiline: true },
+            { open: '`', close: '`', escape: '\\', multiline: true }
+        ],
+        heredocs: [
+            { pattern: /<<<[ \t]*(["']?)([A-Za-z_]\w*)\1/y, id: match => match[2], indentedClose: () => true, allowSuffix: true }
+        ]
+    },
+    shell: {
+        lineComments: [{ open: '#', requiresBoundary: true }],
+        blockComments: [],
+        strings: [
+            { open: '"', close: '"', escape: '\\', multiline: true },
+            { open: '\'', close: '\'', escape: null, multiline: true }
+        ],
+        heredocs: [
+            { pattern: /<<(-?)[ \t]*(["']?)([A-Za-z_]\w*)\2/y, id: match => match[3], indentedClose: match => match[1] === '-' }
+        ]
+    },
+    sql: {
+        lineComments: ['--'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            { pattern: /\$([A-Za-z_]\w*)?\$/y, close: match => match[0], multiline: true, wordBoundary: true },
+            { open: '\'', close: '\'', escape: null, doubled: true, multiline: true },
+            { open: '"', close: '"', escape: null, doubled: true },
+            { open: '`', close: '`', escape: null, doubled: true }
+        ]
+    },
+    yaml: {
+        lineComments: [{ open: '#', requiresBoundary: true }],
+        blockComments: [],
+        strings: [
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: null, doubled: true }
+        ],
+        // Literal and folded block scalars (`key: |`) hold text, not comments
+        heredocs: [
+            { pattern: /(?<=(?:^|[:?-])[ \t]*)[|>][-+0-9]*(?=[ \t]*(?:#.*)?$)/my, indentedBlock: true }
+        ]
+    },
+    lua: {
+        lineComments: ['--'],
+        blockComments: [{ pattern: /--\[(=*)\[/y, close: match => `]${match[1]}]` }],
+        strings: [
+            { pattern: /\[(=*)\[/y, close: match => `]${match[1]}]`, multiline: true },
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    },
+    kotlin: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/', nested: true }],
+        strings: [
+            { open: '"""', close: '"""', escape: null, multiline: true, interpolation: '${' },
+            { open: '"', close: '"', escape: '\\', interpolation: '${' },
+            { open: '\'', close: '\'', escape: '\\', char: true }
+        ]
+    },
+    swift: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/', nested: true }],
+        strings: [
+            { pattern: /(#+)("""|")/y, close: match => match[2] + match[1], multiline: true },
+            { open: '"""', close: '"""', escape: '\\', multiline: true },
+            { open: '"', close: '"', escape: '\\' }
+        ]
+    },
+    haskell: {
+        // `-->` and `|--` are operators: dashes only start a comment when not part of a symbol
+        lineComments: [{ open: '--', notFollowedBy: /-*[!#$%&*+./<=>?@\\^|~:]/y, notPrecededBy: /[!#$%&*+./<=>?@\\^|~:-]/ }],
+        blockComments: [{ open: '{-', close: '-}', nested: true }],
+        strings: [
+            // Pragmas share the block comment syntax but are compiler directives
+            { open: '{-#', close: '#-}', escape: null, multiline: true },
+            { open: '"', close: '"', escape: '\\', multiline: true },
+            { open: '\'', close: '\'', escape: '\\', char: true }
+        ]
+    },
+    scss: {
+        lineComments: ['//'],
+        blockComments: [{ open: '/*', close: '*/' }],
+        strings: [
+            // Unquoted url() arguments often contain `//`
+            { pattern: /url\((?!\s*["'])/y, close: () => ')', wordBoundary: true },
+            { open: '"', close: '"', escape: '\\' },
+            { open: '\'', close: '\'', escape: '\\' }
+        ]
+    }
+};
+
+/**
+ * Build the ordered list of openers tried at each position in code
+ */
+function compileSyntax(syntax) {
+    const openers = [];
+
+    (syntax.blockComments || []).forEach(def => {
+        openers.push({ kind: 'block', def, open: def.open, pattern: def.pattern });
+    });
+
+    (syntax.lineComments || []).forEach(def => {
+        const lineDef = typeof def === 'string' ? { open: def } : def;
+        openers.push({ kind: 'line', def: lineDef, open: lineDef.open });
+    });
+
+    (syntax.strings || []).forEach(def => {
+        openers.push({ kind: 'string', def, open: def.open, pattern: def.pattern });
+    });
+
+    (syntax.heredocs || []).forEach(def => {
+        openers.push({ kind: 'heredoc', def, pattern: def.pattern });
+    });
+
+    // Pattern-based openers first, then the longest literal delimiter wins
+    openers.sort((a, b) => {
+        if (a.pattern && !b.pattern) return -1;
+        if (!a.pattern && b.pattern) return 1;
+        return (b.open ? b.open.length : 0) - (a.open ? a.open.length : 0);
+    });
+
+    return {
+        openers,
+        regexLiterals: !!syntax.regexLiterals,
+        regexKeywords: syntax.regexKeywords || REGEX_PRECEDING_KEYWORDS
+    };
+}
+
+const compiledCache = new WeakMap();
+
+function getCompiled(syntax) {
+    if (!compiledCache.has(syntax)) {
+        compiledCache.set(syntax, compileSyntax(syntax));
+    }
+    return compiledCache.get(syntax);
+}
+
+function startsWithPattern(text, i, expected) {
+    if (typeof expected === 'string') return text.startsWith(expected, i);
+    expected.lastIndex = i;
+    return expected.test(text);
+}
+
+/**
+ * Try to match an opener at the given position
+ * Returns the matched delimiter info or null
+ */
+function matchOpener(text, i, opener) {
+    if (opener.pattern) {
+        if (opener.def.wordBoundary && i > 0 && WORD_CHAR.test(text[i - 1])) return null;
+        opener.pattern.lastIndex = i;
+        const match = opener.pattern.exec(text);
+        if (!match) return null;
+        return { length: match[0].length, match };
+    }
+
+    if (!text.startsWith(opener.open, i)) return null;
+
+    const def = opener.def;
+    if (def.requiresBoundary && i > 0 && !/[\s;|&()]/.test(text[i - 1])) return null;
+    if (def.notFollowedBy && startsWithPattern(text, i + opener.open.length, def.notFollowedBy)) return null;
+    if (def.notPrecededBy && i > 0 && def.notPrecededBy.test(text[i - 1])) return null;
+    if (def.lineStart && i > 0 && text[i - 1] !== '\n') return null;
+
+    return { length: opener.open.length, match: null };
+}
+
+function findLineEnd(text, i) {
+    let end = i;
+    while (end < text.length && text[end] !== '\n' && text[end] !== '\r') end++;
+    return end;
+}
+
+/**
+ * Scan a block comment starting at `i`, honoring nesting when the language allows it
+ */
+function scanBlockComment(text, i, opener, matched, close) {
+    const def = opener.def;
+    let pos = i + matched.length;
+
+    if (def.lineStart) {
+        // e.g. Ruby's =begin/=end, where the closer must start a line
+        const closeAt = text.indexOf('\n' + close, pos);
+        return closeAt === -1 ? text.length : findLineEnd(text, closeAt + 1);
+    }
+
+    let depth = 1;
+    while (pos < text.length) {
+        if (def.nested && !def.pattern && text.startsWith(def.open, pos)) {
+            depth++;
+            pos += def.open.length;
+            continue;
+        }
+        if (text.startsWith(close, pos)) {
+            depth--;
+            pos += close.length;
+            if (depth === 0) return pos;
+            continue;
+        }
+        pos++;
+    }
+
+    return text.length;
+}
+
+/**
+ * Scan a regex literal starting at `i`
+ * Returns the end offset, or -1 if this `/` is not a regex literal after all
+ */
+function scanRegexLiteral(text, i) {
+    let pos = i + 1;
+    let inClass = false;
+
+    while (pos < text.length) {
+        const ch = text[pos];
+        if (ch === '\n' || ch === '\r') return -1;
+        if (ch === '\\') {
+            pos += 2;
+            continue;
+        }
+        if (ch === '[') inClass = true;
+        else if (ch === ']') inClass = false;
+        else if (ch === '/' && !inClass) {
+            pos++;
+            while (pos < text.length && /[a-z]/i.test(text[pos])) pos++;
+            return pos;
+        }
+        pos++;
+    }
+
+    return -1;
+}
+
+/**
+ * Check whether a string with a docstring-capable delimiter is a bare statement
+ */
+function isStatementString(text, i, state) {
+    if (state.bracketDepth > 0) return false;
+    if (/[=\\,+\-*/%([{]/.test(state.lastSignificant)) return false;
+
+    const lineStart = text.lastIndexOf('\n', i - 1) + 1;
+    const prefix = text.substring(lineStart, i);
+    return /^\s*[rRuU]?$/.test(prefix);
+}
+
+/**
+ * Skip the bodies of heredocs opened on the line that just ended
+ * Returns the offset of the newline that closes the last heredoc body
+ */
+function skipHeredocBodies(text, newlineAt, pending) {
+    let pos = newlineAt;
+
+    pending.forEach(heredoc => {
+        let lineStart = pos + 1;
+
+        if (heredoc.blockIndent !== undefined) {
+            while (lineStart < text.length) {
+                const lineEnd = findLineEnd(text, lineStart);
+                const line = text.substring(lineStart, lineEnd);
+                if (line.trim() !== '' && line.match(/^[ \t]*/)[0].length <= heredoc.blockIndent) break;
+
+                pos = lineEnd < text.length && text[lineEnd] === '\r' ? lineEnd + 1 : lineEnd;
+                lineStart = pos + 1;
+            }
+            return;
+        }
+
+        while (lineStart < text.length) {
+            const lineEnd = findLineEnd(text, lineStart);
+            const line = text.substring(lineStart, lineEnd);
+            const candidate = heredoc.indentedClose ? line.trim() : line;
+            const closes = heredoc.allowSuffix
+                ? candidate.startsWith(heredoc.id) && !WORD_CHAR.test(candidate.charAt(heredoc.id.length))
+                : candidate === heredoc.id;
+
+            pos = lineEnd < text.length && text[lineEnd] === '\r' ? lineEnd + 1 : lineEnd;
+            if (closes) break;
+            lineStart = pos + 1;
+        }
+    });
+
+    pending.length = 0;
+    return pos;
+}
+
+/**
+ * Tokenize source text and return only the comment tokens
+ *
+ * Each token is { kind, start, end, text, delimiter, closeDelimiter } where kind is 'line',
+ * 'block' or 'docstring' and start/end are character offsets into `text`.
+ */
+function tokenize(text, syntax) {
+    const { openers, regexLiterals, regexKeywords } = getCompiled(syntax);
+    const tokens = [];
+    const stack = [{ kind: 'code', braces: 0 }];
+    const pendingHeredocs = [];
+    // conditions: for each open `(`, whether it holds the condition of an `if`, `while`, ...
+    const state = { lastSignificant: '', lastWord: '', bracketDepth: 0, conditions: [] };
+
+    const emit = (kind, start, end, extra) => {
+        tokens.push(Object.assign({ kind, start, end, text: text.substring(start, end) }, extra));
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const frame = stack[stack.length - 1];
+
+        if (frame.kind === 'string') {
+            i = scanStringBody(text, i, frame, stack);
+            if (stack[stack.length - 1] !== frame || i >= text.length) {
+                state.lastSignificant = '"';
+                state.lastWord = '';
+            }
+            continue;
+        }
+
+        const ch = text[i];
+
+        if (ch === '\n') {
+            i = pendingHeredocs.length > 0 ? skipHeredocBodies(text, i, pendingHeredocs) + 1 : i + 1;
+            continue;
+        }
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        let handled = false;
+        for (const opener of openers) {
+            const matched = matchOpener(text, i, opener);
+            if (!matched) continue;
+
+            if (opener.kind === 'line') {
+                const end = findLineEnd(text, i);
+                emit('line', i, end, { delimiter: opener.open });
+                i = end;
+            } else if (opener.kind === 'block') {
+                const close = opener.def.pattern ? opener.def.close(matched.match) : opener.def.close;
+                const end = scanBlockComment(text, i, opener, matched, close);
+                emit('block', i, end, { delimiter: matched.match ? matched.match[0] : opener.open, closeDelimiter: close });
+                i = end;
+            } else if (opener.kind === 'heredoc') {
+                pendingHeredocs.push(opener.def.indentedBlock ? { blockIndent: keyIndentAt(text, i) } : {
+                    id: opener.def.id(matched.match),
+                    indentedClose: opener.def.indentedClose ? opener.def.indentedClose(matched.match) : false,
+                    allowSuffix: !!opener.def.allowSuffix
+                });
+                i += matched.length;
+                state.lastSignificant = '"';
+                state.lastWord = '';
+            } else {
+                const def = opener.def;
+                if (def.char && !matchCharLiteral(text, i)) continue;
+
+                const close = def.pattern ? def.close(matched.match) : def.close;
+                let escape = def.escape;
+                if (def.rawPrefixes && /^(?=[rRbBfF]{1,2}$).*[rR]/.test(precedingWord(text, i))) {
+                    escape = null;
+                }
+
+                const isDocstring = def.docstring && isStatementString(text, i, state);
+                const stringFrame = { kind: 'string', def, close, escape, start: i, docstring: isDocstring };
+                stack.push(stringFrame);
+                i += matched.length;
+
+                if (isDocstring) {
+                    // Docstrings never interpolate, so scan them to the end right away
+                    i = scanStringBody(text, i, stringFrame, stack);
+                    emit('docstring', stringFrame.start, i, { delimiter: opener.open, closeDelimiter: close });
+                }
+                state.lastSignificant = '"';
+                state.lastWord = '';
+            }
+
+            handled = true;
+            break;
+        }
+        if (handled) continue;
+
+        if (ch === '/' && regexLiterals && regexAllowed(state, regexKeywords)) {
+            const end = scanRegexLiteral(text, i);
+            if (end !== -1) {
+                i = end;
+                state.lastSignificant = '/';
+                state.lastWord = 'regex';
+                continue;
+            }
+        }
+
+        if (WORD_CHAR.test(ch)) {
+            let end = i + 1;
+            while (end < text.length && WORD_CHAR.test(text[end])) end++;
+            state.lastWord = text.substring(i, end);
+            state.lastSignificant = 'a';
+            i = end;
+            continue;
+        }
+
+        // Postfix `++` and `--` end an operand, so a `/` after them is a division
+        if ((ch === '+' || ch === '-') && text[i + 1] === ch && !regexAllowed(state, regexKeywords)) {
+            i += 2;
+            continue;
+        }
+
+        if (ch === '{' || ch === '(' || ch === '[') {
+            state.bracketDepth++;
+            if (ch === '{') frame.braces++;
+            if (ch === '(') state.conditions.push(state.lastSignificant === 'a' && CONDITION_KEYWORDS.includes(state.lastWord));
+        } else if (ch === ')' && state.conditions.pop()) {
+            // A statement starts after `if (...)`, as after `;`
+            state.bracketDepth = Math.max(0, state.bracketDepth - 1);
+            state.lastSignificant = ';';
+            state.lastWord = '';
+            i++;
+            continue;
+        } else if (ch === '}' || ch === ')' || ch === ']') {
+            if (ch === '}' && frame.braces === 0 && stack.length > 1) {
+                // End of a `${...}` interpolation, resume the enclosing string
+                stack.pop();
+                i++;
+                continue;
+            }
+            state.bracketDepth = Math.max(0, state.bracketDepth - 1);
+            if (ch === '}') frame.braces--;
+        }
+
+        state.lastSignificant = ch;
+        state.lastWord = '';
+        i++;
+    }
+
+    return tokens;
+}
+
+/**
+ * Scan string content until the closing delimiter or an interpolation opener
+ * Pops the string frame when the string ends
+ */
+function scanStringBody(text, i, frame, stack) {
+    const def = frame.def;
+    const close = frame.close;
+    let pos = i;
+
+    while (pos < text.length) {
+        const ch = text[pos];
+
+        if (frame.escape && ch === frame.escape) {
+            pos += 2;
+            continue;
+        }
+
+        if (text.startsWith(close, pos)) {
+            if (def.doubled && text.startsWith(close, pos + close.length)) {
+                pos += close.length * 2;
+                continue;
+            }
+            stack.pop();
+            return pos + close.length;
+        }
+
+        if (def.interpolation && !frame.docstring && text.startsWith(def.interpolation, pos)) {
+            stack.push({ kind: 'code', braces: 0 });
+            return pos + def.interpolation.length;
+        }
+
+        if ((ch === '\n' || ch === '\r') && !def.multiline) {
+            // Unterminated single-line string, recover at the end of the line
+            stack.pop();
+            return pos;
+        }
+
+        pos++;
+    }
+
+    stack.pop();
+    return pos;
+}
+
+function matchCharLiteral(text, i) {
+    return /'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]{1,6}\}|.)|[^\\'\n])'/y.test(text.substring(i, i + 12));
+}
+
+/**
+ * Indentation of the line containing `i`, counting sequence dashes (`- key:`) as indentation
+ */
+function keyIndentAt(text, i) {
+    const lineStart = text.lastIndexOf('\n', i - 1) + 1;
+    return text.substring(lineStart, i).match(/^[ \t]*(?:-[ \t]+)*/)[0].length;
+}
+
+function precedingWord(text, i) {
+    let start = i;
+    while (start > 0 && WORD_CHAR.test(text[start - 1])) start--;
+    return text.substring(start, i);
+}
+
+function regexAllowed(state, regexKeywords) {
+    if (state.lastSignificant === 'a') {
+        return regexKeywords.includes(state.lastWord);
+    }
+    return state.lastSignificant === '' || REGEX_PRECEDING_CHARS.includes(state.lastSignificant);
+}
+
+module.exports = {
+    tokenize,
+    syntaxes
+};
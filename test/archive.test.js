@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CommentAnalyzer } = require('../src/analyzer');
+const { TextDocument } = require('../src/document');
+const { applyRemovals } = require('../src/removal');
+const { createArchiveEntry, getRestoreEdit } = require('../src/archive');
+
+/**
+ * Comment Archive Tests
+ */
+
+const analyzer = new CommentAnalyzer();
+
+// Archive the first comment of `text`, remove it and restore it from the archive entry
+function roundTrip(text) {
+    const document = new TextDocument(text, 'javascript', 'example.js');
+    const comments = analyzer.extractComments(document);
+    const entry = createArchiveEntry(document, comments[0], { file: 'example.js', category: 'commented_code', comments });
+    const removed = applyRemovals(document, [comments[0]]);
+    const edit = getRestoreEdit(removed, entry);
+    return { entry, restored: removed.substring(0, edit.offset) + edit.text + removed.substring(edit.offset) };
+}
+
+test('archive: a trailing comment is archived inline and restored after its code', () => {
+    const { entry, restored } = roundTrip('function f() {\n    foo(); // bar(baz);\n    next();\n}\n');
+
+    assert.strictEqual(entry.wholeLine, false);
+    assert.strictEqual(entry.text, '// bar(baz);');
+    assert.strictEqual(entry.anchor, 'foo();');
+    assert.strictEqual(restored, 'function f() {\n    foo(); // bar(baz);\n    next();\n}\n');
+});
+
+test('archive: a comment on its own line is archived with its line and restored above its code', () => {
+    const { entry, restored } = roundTrip('function f() {\n    // bar(baz);\n    next();\n}\n');
+
+    assert.strictEqual(entry.wholeLine, true);
+    assert.strictEqual(entry.text, '    // bar(baz);\n');
+    assert.strictEqual(restored, 'function f() {\n    // bar(baz);\n    next();\n}\n');
+});
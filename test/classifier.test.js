@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CommentAnalyzer } = require('../src/analyzer');
+const { languages } = require('../src/languages');
+const { detectLanguage } = require('../src/document');
+const { loadFixture, classifyFixture, measure, formatMetrics } = require('./classifierHarness');
+
+/**
+ * Classifier Regression Tests
+ * Measures the analyzer against the annotated fixtures (see ./classifierHarness.js) and
+ * fails when precision or recall of a category drops below the recorded baseline.
+ * Run with UPDATE_CLASSIFIER_BASELINE=1 to record new numbers after improving a heuristic.
+ */
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'classifier');
+const BASELINE = path.join(FIXTURES, 'baseline.json');
+
+// Baseline numbers are rounded down so recording them never makes the test fail
+const round = value => (value === null ? null : Math.floor(value * 10000) / 10000);
+
+const fixtureFiles = fs.readdirSync(FIXTURES).filter(fileName => fileName !== 'baseline.json').sort();
+
+function classify(fileName) {
+    return classifyFixture(new CommentAnalyzer(), loadFixture(path.join(FIXTURES, fileName)));
+}
+
+fixtureFiles.forEach(fileName => {
+    test(`classifier: ${fileName}`, t => {
+        classify(fileName)
+            .filter(result => result.expected !== result.actual)
+            .forEach(result => t.diagnostic(`line ${result.line}: expected ${result.expected}, got ${result.actual}: ${result.text.split('\n')[0]}`));
+    });
+});
+
+test('classifier: every supported language has a fixture', () => {
+    const covered = fixtureFiles.map(fileName => languages.get(detectLanguage(fileName)));
+    const missing = languages.getLanguageIds().filter(languageId => !covered.includes(languages.get(languageId)));
+    assert.deepStrictEqual(missing, []);
+});
+
+test('classifier: precision and recall per category', t => {
+    const metrics = measure([].concat(...fixtureFiles.map(classify)));
+    formatMetrics(metrics).split('\n').forEach(line => t.diagnostic(line));
+
+    if (process.env.UPDATE_CLASSIFIER_BASELINE) {
+        const baseline = {};
+        Object.keys(metrics.categories).sort().forEach(category => {
+            const { precision, recall } = metrics.categories[category];
+            baseline[category] = { precision: round(precision), recall: round(recall) };
+        });
+        fs.writeFileSync(BASELINE, `${JSON.stringify(baseline, null, 2)}\n`);
+        return;
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(BASELINE, 'utf8'));
+    const drops = [];
+    Object.entries(baseline).forEach(([category, recorded]) => {
+        const counts = metrics.categories[category] || { precision: null, recall: null };
+        ['precision', 'recall'].forEach(metric => {
+            if (recorded[metric] !== null && (counts[metric] === null || counts[metric] < recorded[metric])) {
+                drops.push(`${category} ${metric} dropped from ${recorded[metric].toFixed(2)} to ${counts[metric] === null ? 'none' : counts[metric].toFixed(2)}`);
+            }
+        });
+    });
+    assert.deepStrictEqual(drops, []);
+});
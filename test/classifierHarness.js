@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { TextDocument, detectLanguage } = require('../src/document');
+
+/**
+ * Classifier Harness
+ * Runs CommentAnalyzer over annotated fixtures and measures precision and recall per category
+ *
+ * In a fixture every comment is preceded by its expected category, e.g.
+ * `«noise»// Some stuff here`. The annotations are stripped before analysis.
+ */
+
+const ANNOTATION = /«([a-z_]+)»/g;
+
+/**
+ * Read a fixture and separate its annotations from the source
+ *
+ * @returns {{ filePath: string, document: TextDocument, expected: Map<number, string> }}
+ *   expected categories by the offset of the comment in the stripped source
+ */
+function loadFixture(filePath) {
+    const annotated = fs.readFileSync(filePath, 'utf8');
+    const expected = new Map();
+
+    let text = '';
+    let position = 0;
+    let match;
+    ANNOTATION.lastIndex = 0;
+    while ((match = ANNOTATION.exec(annotated)) !== null) {
+        text += annotated.substring(position, match.index);
+        expected.set(text.length, match[1]);
+        position = match.index + match[0].length;
+    }
+    text += annotated.substring(position);
+
+    return { filePath, document: new TextDocument(text, detectLanguage(filePath), filePath), expected };
+}
+
+/**
+ * Classify every comment of a fixture
+ * Throws when a comment has no annotation or an annotation precedes no comment.
+ *
+ * @returns {object[]} { file, line, text, expected, actual } per comment
+ */
+function classifyFixture(analyzer, fixture) {
+    const { document, expected } = fixture;
+    const file = path.basename(fixture.filePath);
+    const comments = analyzer.extractComments(document);
+
+    const results = comments.map(comment => {
+        const line = comment.range.start.line + 1;
+        if (!expected.has(comment.start)) throw new Error(`${file}:${line}: comment has no expected category`);
+
+        return {
+            file,
+            line,
+            text: comment.text,
+            expected: expected.get(comment.start),
+            actual: analyzer.analyzeComment(comment, document).category
+        };
+    });
+
+    const starts = new Set(comments.map(comment => comment.start));
+    expected.forEach((category, offset) => {
+        if (!starts.has(offset)) {
+            throw new Error(`${file}:${document.positionAt(offset).line + 1}: «${category}» does not precede a comment`);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Precision and recall per category over classification results
+ * Precision is null for a category that was never predicted, recall for one never expected.
+ *
+ * @returns {{ total: number, correct: number, categories: object }} categories maps each
+ *   category to { expected, predicted, correct, precision, recall }
+ */
+function measure(results) {
+    const categories = {};
+    const entry = category => {
+        if (!categories[category]) categories[category] = { expected: 0, predicted: 0, correct: 0 };
+        return categories[category];
+    };
+
+    results.forEach(result => {
+        entry(result.expected).expected++;
+        entry(result.actual).predicted++;
+        if (result.expected === result.actual) entry(result.expected).correct++;
+    });
+
+    Object.values(categories).forEach(counts => {
+        counts.precision = counts.predicted > 0 ? counts.correct / counts.predicted : null;
+        counts.recall = counts.expected > 0 ? counts.correct / counts.expected : null;
+    });
+
+    return {
+        total: results.length,
+        correct: results.filter(result => result.expected === result.actual).length,
+        categories
+    };
+}
+
+/**
+ * Plain-text table of a measurement
+ */
+function formatMetrics(metrics) {
+    const percent = value => (value === null ? '-' : `${Math.round(value * 100)}%`);
+    const names = Object.keys(metrics.categories).sort();
+    const width = Math.max(8, ...names.map(name => name.length));
+
+    const lines = [`${'category'.padEnd(width)}  expected  predicted  precision  recall`];
+    names.forEach(name => {
+        const counts = metrics.categories[name];
+        lines.push(
+            `${name.padEnd(width)}  ${String(counts.expected).padStart(8)}  ${String(counts.predicted).padStart(9)}` +
+            `  ${percent(counts.precision).padStart(9)}  ${percent(counts.recall).padStart(6)}`
+        );
+    });
+    lines.push(`${metrics.correct} of ${metrics.total} comments classified as expected (${percent(metrics.total ? metrics.correct / metrics.total : null)})`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    loadFixture,
+    classifyFixture,
+    measure,
+    formatMetrics
+};
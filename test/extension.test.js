@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Extension Activation Tests
+ * Activates the extension against a stand-in for the `vscode` module that accepts any
+ * call, so code paths that only run inside the editor are at least executed once
+ */
+
+// Any property is another stand-in, and calling or constructing one returns a stand-in
+function createStandIn(overrides = {}) {
+    const target = function () {};
+    return new Proxy(target, {
+        get: (_, property) => {
+            if (property in overrides) return overrides[property];
+            if (property === 'then') return undefined;
+            if (property === Symbol.toPrimitive) return () => '';
+            if (property === Symbol.iterator) return [][Symbol.iterator];
+            return createStandIn();
+        },
+        apply: () => createStandIn(),
+        construct: () => createStandIn()
+    });
+}
+
+/**
+ * Load the extension with the stand-in `vscode` module
+ *
+ * @returns {{ extension: object, watchers: object[] }} watchers record the listeners of
+ *   every file system watcher, by event
+ */
+function loadExtension() {
+    const watchers = [];
+    const configuration = { get: (key, defaultValue) => defaultValue, update: async () => {}, inspect: () => undefined };
+    const vscode = createStandIn({
+        workspace: createStandIn({
+            workspaceFolders: undefined,
+            getConfiguration: () => configuration,
+            createFileSystemWatcher: pattern => {
+                const watcher = { pattern, listeners: { create: [], change: [], delete: [] } };
+                watchers.push(watcher);
+                return createStandIn({
+                    onDidCreate: listener => watcher.listeners.create.push(listener),
+                    onDidChange: listener => watcher.listeners.change.push(listener),
+                    onDidDelete: listener => watcher.listeners.delete.push(listener)
+                });
+            }
+        })
+    });
+
+    const resolve = Module._resolveFilename;
+    Module._resolveFilename = function (request, ...rest) {
+        return request === 'vscode' ? 'vscode' : resolve.call(this, request, ...rest);
+    };
+    require.cache.vscode = { id: 'vscode', filename: 'vscode', loaded: true, exports: vscode };
+
+    try {
+        delete require.cache[require.resolve('../extension')];
+        return { extension: require('../extension'), watchers };
+    } finally {
+        Module._resolveFilename = resolve;
+        delete require.cache.vscode;
+    }
+}
+
+test('extension: editing a rules file reloads the settings', () => {
+    const { extension, watchers } = loadExtension();
+    const context = {
+        subscriptions: [],
+        storageUri: { fsPath: path.join(os.tmpdir(), 'comment-cleaner-test') }
+    };
+    extension.activate(context);
+
+    const rulesWatcher = watchers.find(watcher => watcher.pattern === '**/.commentcleanerrc*');
+    assert.ok(rulesWatcher, 'no watcher for rules files');
+    ['create', 'change', 'delete'].forEach(event => {
+        assert.strictEqual(rulesWatcher.listeners[event].length, 1);
+        assert.doesNotThrow(() => rulesWatcher.listeners[event][0]());
+    });
+});
@@ -0,0 +1,21 @@
+«critical»/* SPDX-License-Identifier: GPL-2.0 license */
+#include <stdio.h>
+
+«documentation»/**
+ * Print a buffer as hexadecimal bytes, sixteen per line.
+ */
+void hexdump(const unsigned char *buf, int len)
+{
+    «regular»/* Sixteen bytes fit an 80 column terminal */
+    for (int i = 0; i < len; i++) {
+        «commented_code»/* printf("%d: ", i); */
+        printf("%02x ", buf[i]);
+        if (i % 16 == 15) putchar('\n');
+    }
+    «trivial»/* return */
+    return;
+}
+
+«empty»/* */
+«debug»/* debug output, remove before merging */
+«noise»/* misc helpers */
@@ -0,0 +1,23 @@
+«critical»// Copyright 2024 Example Corp.
+#include <vector>
+
+«documentation»/// Sorts values in place using insertion sort, which is fast for nearly sorted input.
+template <typename T>
+void insertionSort(std::vector<T>& values) {
+    «regular»// Shift larger values right until the gap fits
+    for (size_t i = 1; i < values.size(); ++i) {
+        «commented_code»// std::sort(values.begin(), values.end());
+        T key = values[i];
+        size_t j = i;
+        while (j > 0 && values[j - 1] > key) {
+            values[j] = values[j - 1];
+            --j;
+        }
+        values[j] = key;
+    }
+}
+
+«noise»// =====================================
+«critical»// NOTE: callers rely on the sort being stable
+«redundant»// insertion sort the values
+template void insertionSort<int>(std::vector<int>& values);
@@ -0,0 +1,21 @@
+«documentation»/// <summary>
+«documentation»/// Converts temperatures between scales.
+«documentation»/// </summary>
+public static class Temperature
+{
+    «regular»// Absolute zero in Celsius
+    public const double AbsoluteZero = -273.15;
+
+    public static double ToFahrenheit(double celsius)
+    {
+        «commented_code»// return celsius * 1.8 + 32.0;
+        «redundant»// return celsius converted
+        return celsius * 9 / 5 + 32;
+    }
+
+    «noise»// ********************************
+    «critical»// HACK: rounding matches the legacy reports
+    public static double Round(double value) => System.Math.Round(value, 1);
+    «outdated»// Deprecated overload, will be removed in the next release
+    public static double ToKelvin(double celsius) => celsius - AbsoluteZero;
+}
@@ -0,0 +1,24 @@
+«critical»// Copyright 2024 Example Corp. Use of this source code is governed by a BSD-style license.
+
+«regular»// Package cache keeps recently used values in memory.
+package cache
+
+«regular»// Cache maps keys to values with a size limit.
+type Cache struct {
+	«regular»// Guarded by the owner goroutine
+	items map[string]string
+}
+
+«regular»// Get returns the value stored for key.
+func (c *Cache) Get(key string) string {
+	«commented_code»// if v, ok := c.items[key]; ok { return v }
+	«redundant»// return the items key
+	return c.items[key]
+}
+
+«noise»// misc
+«critical»// TODO(bob): evict when the limit is reached
+«debug»// for now skip validation
+func (c *Cache) Set(key, value string) {
+	c.items[key] = value
+}
@@ -0,0 +1,15 @@
+«critical»-- Copyright 2024 Example Corp.
+module Queue where
+
+«documentation»-- | A first-in first-out queue built from two lists.
+data Queue a = Queue [a] [a]
+
+«regular»-- Amortized constant time
+push :: a -> Queue a -> Queue a
+push x (Queue front back) = Queue front (x : back)
+
+«commented_code»-- pop (Queue [] []) = Nothing
+«noise»{- misc -}
+«critical»-- TODO: implement a Foldable instance
+empty :: Queue a
+empty = Queue [] []
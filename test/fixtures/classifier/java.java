@@ -0,0 +1,26 @@
+«critical»// Licensed under the Apache License, Version 2.0
+package com.example;
+
+«documentation»/**
+ * Keeps a bounded number of recent events in memory.
+ */
+public class EventBuffer {
+    «regular»// Oldest first
+    private final java.util.ArrayDeque<String> events = new java.util.ArrayDeque<>();
+
+    «regular»// Drop the oldest when full
+    public void add(String event) {
+        «commented_code»// if (events.size() > 100) { events.removeFirst(); }
+        events.addLast(event);
+    }
+
+    «trivial»// constructor
+    public EventBuffer() {
+    }
+
+    «debug»// TEMP remove me later
+    «critical»// FIXME: not thread safe yet
+    public int size() {
+        return events.size();
+    }
+}
@@ -0,0 +1,40 @@
+«critical»/* Copyright (c) 2024 Example Corp. Licensed under the MIT License. */
+
+«critical»// eslint-disable-next-line no-console
+const logger = console;
+
+«documentation»/**
+ * Parse a duration such as "5m" or "2h" into milliseconds.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseDuration(value) {
+    «regular»// Retry on timeout
+    «regular»// Returns NaN when the input has no unit
+    «outdated»// Falls back to `parseLegacyDuration` for values without a unit
+    «outdated»// Units were validated by checkDurationUnit and MAX_DURATION_UNITS
+    const match = /^(\d+)([smh])$/.exec(value);
+    «commented_code»// const legacy = parseLegacy(value);
+    «redundant»// return the match
+    return match;
+}
+
+«noise»// stuff
+let counter = 0;
+
+«trivial»// increment counter
+counter++;
+
+«empty»//
+«debug»// temporary hack, delete before release
+const result = parseDuration('5m');
+
+«regular»// Work around a WebKit rendering quirk that drops the first log line
+«outdated»// This legacy workaround is no longer needed since v2
+logger.log(result);
+
+«critical»// TODO: support days and weeks
+«regular»// Units are case sensitive, so "5M" is rejected on purpose.
+module.exports = { parseDuration };
+
+«preserved»// comment-cleaner-keep the exports above are public API
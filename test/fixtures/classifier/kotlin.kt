@@ -0,0 +1,17 @@
+«critical»// Copyright 2024 Example Corp.
+package com.example
+
+«documentation»/**
+ * A user profile as shown on the account page.
+ */
+data class Profile(val name: String, val email: String)
+
+fun greet(profile: Profile): String {
+    «regular»// Names may be empty for imported accounts
+    «commented_code»// val name = profile.name.ifEmpty { "there" }
+    «redundant»// greet the profile name
+    return "Hello, ${profile.name}"
+}
+
+«noise»// ---------------------------------
+«critical»// FIXME: localize the greeting
@@ -0,0 +1,14 @@
+«critical»-- Copyright 2024 Example Corp.
+
+«regular»--[[ Vector helpers shared by the physics and rendering code ]]
+local vector = {}
+
+«regular»-- Length without the square root, for comparisons
+function vector.length2(x, y)
+    «commented_code»-- return math.sqrt(x * x + y * y)
+    return x * x + y * y
+end
+
+«noise»-- stuff
+«trivial»-- return vector
+return vector
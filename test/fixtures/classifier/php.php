@@ -0,0 +1,19 @@
+<?php
+«critical»// Copyright 2024 Example Corp.
+
+«documentation»/**
+ * Sends a welcome email to a new user.
+ *
+ * @param string $address
+ */
+function sendWelcome($address)
+{
+    «regular»# Mail is queued, not sent inline
+    «commented_code»// $mailer->send($address, 'Welcome!');
+    queue_mail($address, 'welcome');
+}
+
+«noise»// ---------------------------------
+«trivial»// call queue_mail
+queue_mail('admin@example.com', 'report');
+«outdated»/* Legacy handler, no longer used by the signup form */
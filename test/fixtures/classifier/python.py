@@ -0,0 +1,24 @@
+«critical»# Copyright 2024 Example Corp. All rights reserved.
+import os
+
+
+def read_config(path):
+    «regular»# Fall back to defaults when missing
+    if not os.path.exists(path):
+        return {}
+    «commented_code»#     data = yaml.safe_load(handle)
+    with open(path) as handle:
+        «redundant»# read the handle
+        return handle.read()
+
+
+«noise»# misc
+«critical»# TODO: cache parsed files
+«trivial»# return result
+result = read_config("settings.cfg")
+
+«outdated»# The old version of this loader is obsolete and no longer used
+«regular»# Environment variables take precedence over the config file, see the README.
+override = os.environ.get("APP_CONFIG")
+«empty»#
+«debug»# print debugging output here
@@ -0,0 +1,23 @@
+«critical»# frozen_string_literal: true
+«critical»# Copyright 2024 Example Corp.
+
+«documentation»# Represents a shopping cart holding line items and computing totals.
+class Cart
+  «regular»# Items keep insertion order
+  def initialize
+    @items = []
+  end
+
+  def add(item)
+    «commented_code»#   @items.push(item) unless item.nil?
+    @items << item
+  end
+
+  «redundant»# total of the items
+  def total
+    @items.sum(&:price)
+  end
+
+  «debug»# debug puts here
+  «noise»# stuff
+end
@@ -0,0 +1,22 @@
+«documentation»//! Helpers for reading configuration from the environment.
+
+use std::env;
+
+«documentation»/// Reads a port number, falling back to the given default.
+pub fn port(default: u16) -> u16 {
+    «regular»// Invalid values fall back silently
+    env::var("PORT").ok().and_then(|value| value.parse().ok()).unwrap_or(default)
+}
+
+pub fn host() -> String {
+    «commented_code»// let host = env::var("HOST").expect("HOST must be set");
+    «trivial»// return host
+    env::var("HOST").unwrap_or_else(|_| "localhost".to_string())
+}
+
+«noise»/* ... */
+«critical»// SAFETY: the pointer comes from a Box we own
+«outdated»// Workaround for the old toolchain, no longer needed
+pub fn leak(value: Box<u32>) -> &'static u32 {
+    Box::leak(value)
+}
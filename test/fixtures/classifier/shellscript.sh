@@ -0,0 +1,15 @@
+«critical»#!/bin/sh
+«critical»# Copyright 2024 Example Corp.
+
+«regular»# Stop at the first failing command
+set -e
+
+«commented_code»# rm -rf "$BUILD_DIR"
+«redundant»# make the build dir
+mkdir -p build
+
+«debug»# echo "debug: $PWD"
+«noise»# stuff
+«critical»# TODO: support a custom prefix
+«regular»# Packages are built in dependency order so each can link against the previous ones.
+./scripts/build-all.sh
@@ -0,0 +1,15 @@
+«critical»-- Copyright 2024 Example Corp.
+
+«regular»-- Orders older than a year move to the archive
+CREATE TABLE orders (
+    id INTEGER PRIMARY KEY,
+    «regular»-- Stored in cents
+    «regular»-- Keep in sync with the server_config table on the billing host
+    total INTEGER NOT NULL
+);
+
+«commented_code»-- DROP TABLE IF EXISTS orders_old;
+«noise»-- ----------------------------------------
+«redundant»/* select the orders */
+SELECT * FROM orders;
+«outdated»-- The legacy reporting view is no longer used
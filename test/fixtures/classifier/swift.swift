@@ -0,0 +1,15 @@
+«critical»// Copyright 2024 Example Corp.
+import Foundation
+
+«documentation»/// Formats a byte count as a human readable string such as "1.5 MB".
+func formatBytes(_ bytes: Int64) -> String {
+    «regular»// Decimal units to match the file browser
+    let formatter = ByteCountFormatter()
+    «commented_code»// formatter.countStyle = .binary
+    formatter.countStyle = .decimal
+    return formatter.string(fromByteCount: bytes)
+}
+
+«noise»// MARK stuff
+«debug»// quick hack until the settings screen exists
+let defaultLimit: Int64 = 1_000_000
@@ -0,0 +1,29 @@
+«critical»// @ts-check
+import { readFile } from 'fs/promises';
+
+«documentation»/**
+ * Settings loaded from disk, merged over the defaults.
+ */
+export interface Settings {
+    «regular»// Milliseconds between polls
+    interval: number;
+}
+
+export async function load(path: string): Promise<Settings> {
+    «commented_code»// const raw = await readFile(path, 'utf8').catch(() => '{}');
+    const raw = await readFile(path, 'utf8');
+    «redundant»// parse the raw json
+    return JSON.parse(raw) as Settings;
+}
+
+«noise»// ----------------------------------------
+«debug»// remember to drop the verbose flag before shipping
+export const verbose = true;
+
+«critical»// @ts-ignore missing type declarations upstream
+export { default as merge } from 'lodash.merge';
+
+«duplicate»// Keep in sync with the server schema
+export const VERSION = 3;
+«duplicate»// Keep in sync with the server schema
+export const MIN_VERSION = 2;
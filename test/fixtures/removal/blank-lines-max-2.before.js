@@ -0,0 +1,25 @@
+// File header
+
+'use strict';
+
+const a = 1;
+
+// Section comment
+
+const b = 2;
+
+
+// Section after two blank lines
+
+const c = 3;
+
+// First of a group
+
+// Second of a group
+
+const d = 4;
+// Directly above code
+
+const e = 5;
+
+// Trailing comment
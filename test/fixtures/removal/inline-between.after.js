@@ -0,0 +1,10 @@
+call(first, second);
+call();
+call(value);
+call(value);
+const size = 1024;
+const list = [one, two];
+if (ready) {
+    run();
+}
+const x = y +z;
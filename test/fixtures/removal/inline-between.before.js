@@ -0,0 +1,10 @@
+call(first, /* unused */ second);
+call(/* none */);
+call(/* leading */ value);
+call(value /* trailing */);
+const size = /* bytes */ 1024;
+const list = [one /* first */, two];
+if (ready) /* fast path */ {
+    run();
+}
+const x = y/* glued */+z;
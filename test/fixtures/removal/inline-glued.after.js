@@ -0,0 +1,3 @@
+const sum = a +b;
+const word = type name;
+const spaced = a b;
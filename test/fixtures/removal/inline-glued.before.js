@@ -0,0 +1,3 @@
+const sum = a/* plus */+b;
+const word = type/* c */name;
+const spaced = a/* c */ b;
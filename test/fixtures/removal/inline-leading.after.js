@@ -0,0 +1,4 @@
+function setup() {
+    return cache;
+	load();
+}
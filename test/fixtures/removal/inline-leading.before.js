@@ -0,0 +1,4 @@
+function setup() {
+    /* cached */ return cache;
+	/* tab indented */	load();
+}
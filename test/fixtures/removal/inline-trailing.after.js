@@ -0,0 +1,4 @@
+const total = 1;
+const tabbed = 2;
+const spaced = 3;
+const kept = 4; // keep this one
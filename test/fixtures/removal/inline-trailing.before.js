@@ -0,0 +1,4 @@
+const total = 1; // running total
+const tabbed = 2;	// tab before the comment   
+const spaced = 3; /* block at the end */  
+const kept = 4; // keep this one
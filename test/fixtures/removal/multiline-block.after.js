@@ -0,0 +1,12 @@
+function compute() {
+    return value;
+}
+
+function store() {
+    save();
+    flush();
+}
+
+function both() {
+    begin(); end();
+}
@@ -0,0 +1,15 @@
+function compute() {
+    /* the first line of the comment
+       and the last one */ return value;
+}
+
+function store() {
+    save(); /* the comment starts after code
+               and ends the line */
+    flush();
+}
+
+function both() {
+    begin(); /* spans lines
+                between code */ end();
+}
@@ -0,0 +1,7 @@
+# keep: run with python3
+
+import os
+
+
+def main():
+    print(os.getcwd())  # keep: current directory
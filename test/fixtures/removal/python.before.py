@@ -0,0 +1,9 @@
+# keep: run with python3
+# Module comment
+
+import os  # for paths
+
+
+def main():
+    # Print the path
+    print(os.getcwd())  # keep: current directory
@@ -0,0 +1,3 @@
+run();
+/* keep: license */ start();
+start(); /* keep me */
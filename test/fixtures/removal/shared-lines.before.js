@@ -0,0 +1,5 @@
+/* one */ /* two */
+/* three */ // four
+run(); /* five */ // six
+/* keep: license */ /* seven */ start();
+start(); /* keep me */ /* eight */
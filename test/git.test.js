@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { blameFile } = require('../src/git');
+
+/**
+ * Git History Tests
+ */
+
+// Large enough that git exits before reading all of it when it refuses the file
+const LARGE_CONTENTS = 'const value = 1; // comment\n'.repeat(150000);
+
+function createRepository() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comment-cleaner-git-'));
+    const run = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'ignore' });
+    run(['init', '-q']);
+    fs.writeFileSync(path.join(dir, 'tracked.js'), 'const a = 1; // one\n');
+    run(['add', 'tracked.js']);
+    run(['commit', '-q', '-m', 'Add tracked.js']);
+    return dir;
+}
+
+test('git: blaming unsaved contents of an untracked file resolves to null', async () => {
+    const dir = createRepository();
+    try {
+        fs.writeFileSync(path.join(dir, 'untracked.js'), '');
+        assert.strictEqual(await blameFile(path.join(dir, 'untracked.js'), LARGE_CONTENTS), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('git: blaming unsaved contents outside a repository resolves to null', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'comment-cleaner-nogit-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'file.js'), '');
+        assert.strictEqual(await blameFile(path.join(dir, 'file.js'), LARGE_CONTENTS), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('git: blaming unsaved contents of a tracked file marks the new lines uncommitted', async () => {
+    const dir = createRepository();
+    try {
+        const blame = await blameFile(path.join(dir, 'tracked.js'), 'const a = 1; // one\nconst b = 2;\n');
+        assert.strictEqual(blame.length, 2);
+        assert.strictEqual(blame[0].author, 'Test');
+        assert.match(blame[1].commit, /^0{40}$/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CommentAnalyzer } = require('../src/analyzer');
+const { TextDocument, detectLanguage } = require('../src/document');
+const { getRemovalRanges, applyRemovals } = require('../src/removal');
+const { recordRemovals, planRestore, applyRestore } = require('../src/removalHistory');
+
+/**
+ * Removal Engine Tests
+ * Each fixture pair `<name>.before.<ext>` / `<name>.after.<ext>` is the file before and
+ * after removing every comment that does not contain "keep"
+ */
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'removal');
+
+// Removal options for fixtures that do not use the defaults
+const FIXTURE_OPTIONS = {
+    'blank-lines-max-0': { maxBlankLines: 0 },
+    'blank-lines-max-2': { maxBlankLines: 2 }
+};
+
+const analyzer = new CommentAnalyzer();
+
+function load(text, fileName) {
+    const document = new TextDocument(text, detectLanguage(fileName), fileName);
+    const comments = analyzer.extractComments(document).filter(comment => !comment.text.includes('keep'));
+    return { document, comments };
+}
+
+fs.readdirSync(FIXTURES)
+    .filter(fileName => fileName.includes('.before.'))
+    .forEach(fileName => {
+        const name = fileName.split('.before.')[0];
+        const before = fs.readFileSync(path.join(FIXTURES, fileName), 'utf8');
+        const after = fs.readFileSync(path.join(FIXTURES, fileName.replace('.before.', '.after.')), 'utf8');
+        const options = FIXTURE_OPTIONS[name] || {};
+
+        test(`removal: ${name}`, () => {
+            const { document, comments } = load(before, fileName);
+            assert.strictEqual(applyRemovals(document, comments, options), after);
+        });
+
+        test(`removal: ${name} with CRLF line endings`, () => {
+            const { document, comments } = load(before.replace(/\n/g, '\r\n'), fileName);
+            assert.strictEqual(applyRemovals(document, comments, options), after.replace(/\n/g, '\r\n'));
+        });
+
+        test(`removal: ${name} can be restored from history`, () => {
+            const { document, comments } = load(before, fileName);
+            const entries = recordRemovals(document, comments.map(comment => ({ comment, analysis: null })), options);
+            const removed = applyRemovals(document, comments, options);
+            const { edits, conflicts } = planRestore(removed, { filePath: fileName, entries }, entries);
+
+            assert.deepStrictEqual(conflicts, []);
+            assert.strictEqual(applyRestore(removed, edits), before);
+        });
+    });
+
+test('removal: ranges never overlap and are in document order', () => {
+    const fileName = 'shared-lines.before.js';
+    const { document, comments } = load(fs.readFileSync(path.join(FIXTURES, fileName), 'utf8'), fileName);
+    const ranges = getRemovalRanges(document, comments.concat(comments));
+
+    ranges.forEach((range, index) => {
+        assert.ok(range.end > range.start);
+        if (index > 0) assert.ok(range.start >= ranges[index - 1].end);
+    });
+    assert.strictEqual(ranges.reduce((count, range) => count + range.comments.length, 0), comments.length);
+});
+
+test('removal: a file of comments only becomes empty', () => {
+    const { document, comments } = load('// one\n\n/* two */\n\n// three\n', 'only.js');
+    assert.strictEqual(applyRemovals(document, comments), '');
+});
+
+test('removal: the last line without a line break', () => {
+    const { document, comments } = load('run();\n\n// last', 'last.js');
+    assert.strictEqual(applyRemovals(document, comments), 'run();\n');
+});
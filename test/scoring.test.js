@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CommentAnalyzer } = require('../src/analyzer');
+const { TextDocument } = require('../src/document');
+const { DEFAULT_SIGNAL_WEIGHTS, resolveWeights, combineSignals } = require('../src/scoring');
+
+/**
+ * Signal Scoring Tests
+ */
+
+function analyze(text, settings = {}) {
+    const analyzer = new CommentAnalyzer({ settings });
+    const document = new TextDocument(text, 'javascript', 'example.js');
+    const comment = analyzer.extractComments(document)[0];
+    return analyzer.analyzeComment(comment, document);
+}
+
+test('scoring: a single signal scores its weight', () => {
+    const analysis = combineSignals([{ name: 'debug', category: 'debug', reason: 'Debug' }], DEFAULT_SIGNAL_WEIGHTS);
+
+    assert.strictEqual(analysis.category, 'debug');
+    assert.strictEqual(analysis.shouldRemove, true);
+    assert.strictEqual(analysis.confidence, DEFAULT_SIGNAL_WEIGHTS.debug);
+    assert.deepStrictEqual(analysis.reasons, ['Debug (debug 0.85)']);
+});
+
+test('scoring: removal signals add up and are all listed, strongest first', () => {
+    const analysis = combineSignals([
+        { name: 'redundant', category: 'redundant', strength: 0.6, reason: 'Redundant' },
+        { name: 'debug', category: 'debug', reason: 'Debug' }
+    ], DEFAULT_SIGNAL_WEIGHTS);
+
+    assert.strictEqual(analysis.category, 'debug');
+    assert.ok(analysis.confidence > DEFAULT_SIGNAL_WEIGHTS.debug);
+    assert.deepStrictEqual(analysis.signals.map(signal => signal.name), ['debug', 'redundant']);
+    assert.deepStrictEqual(analysis.reasons, ['Debug (debug 0.85)', 'Redundant (redundant 0.60)']);
+});
+
+test('scoring: keep signals win ties and lower the confidence when outweighed', () => {
+    const tie = combineSignals([
+        { name: 'critical', category: 'critical', reason: 'Critical' },
+        { name: 'redundant', category: 'redundant', strength: 0.95, reason: 'Redundant' }
+    ], DEFAULT_SIGNAL_WEIGHTS);
+    assert.strictEqual(tie.category, 'critical');
+    assert.strictEqual(tie.shouldRemove, false);
+
+    const outweighed = combineSignals([
+        { name: 'documentation', category: 'documentation', reason: 'Documentation' },
+        { name: 'commented_code', category: 'commented_code', reason: 'Code' }
+    ], DEFAULT_SIGNAL_WEIGHTS);
+    assert.strictEqual(outweighed.category, 'commented_code');
+    assert.ok(outweighed.confidence > 0.5 && outweighed.confidence < DEFAULT_SIGNAL_WEIGHTS.commented_code);
+});
+
+test('scoring: supporting signals never decide the category', () => {
+    const analysis = combineSignals([{ name: 'history', category: 'outdated', strength: 0.3, supporting: true, reason: 'Changed' }], DEFAULT_SIGNAL_WEIGHTS);
+
+    assert.strictEqual(analysis.category, 'regular');
+    assert.strictEqual(analysis.shouldRemove, false);
+    assert.strictEqual(analysis.reasons.length, 2);
+});
+
+test('scoring: configured weights override the defaults and invalid ones are reported', () => {
+    const warnings = [];
+    const weights = resolveWeights({ noise: 0.5, debug: 2, unknown: 0.1 }, message => warnings.push(message));
+
+    assert.strictEqual(weights.noise, 0.5);
+    assert.strictEqual(weights.debug, DEFAULT_SIGNAL_WEIGHTS.debug);
+    assert.strictEqual(warnings.length, 2);
+});
+
+test('scoring: a weight of 0 turns a signal off', () => {
+    assert.strictEqual(analyze('// temp\nrun();\n').category, 'debug');
+    assert.strictEqual(analyze('// temp\nrun();\n', { weights: { debug: 0 } }).category, 'noise');
+});
+
+test('scoring: a debug-like and short comment lists both signals', () => {
+    const analysis = analyze('// temp value\nconst value = 1;\n');
+
+    assert.deepStrictEqual(analysis.signals.map(signal => signal.category), ['debug', 'noise']);
+    assert.ok(analysis.confidence > DEFAULT_SIGNAL_WEIGHTS.debug);
+});
+
+test('scoring: commented-out code above a function is not taken for its documentation', () => {
+    const analysis = analyze('// const old = compute(x);\nfunction f() {}\n');
+
+    assert.strictEqual(analysis.category, 'commented_code');
+    assert.strictEqual(analysis.shouldRemove, true);
+    assert.ok(!analysis.signals.some(signal => signal.category === 'documentation'));
+    assert.ok(analysis.confidence >= 0.6);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, syntaxes } = require('../src/tokenizer');
+
+/**
+ * Comment Tokenizer Tests
+ * Each case lists the comments the tokenizer must find in a source, and nothing else:
+ * comment openers inside strings, template literals, regex literals, heredocs and raw
+ * strings are code.
+ */
+
+function commentTexts(text, syntax = syntaxes.javascript) {
+    return tokenize(text, syntax).map(token => token.text);
+}
+
+const CASES = {
+    javascript: [
+        ['const url = "http://example.com"; // c\n', ['// c']],
+        ['const s = \'/* no */\'; /* c */\n', ['/* c */']],
+        ['const t = `a ${b + "}//"} // ${`${c}`}`; // c\n', ['// c']],
+        ['const re = /\\/\\/ [/*]/g; // c\n', ['// c']],
+        ['if (x) /re\\/\\//.test(s); // c\n', ['// c']],
+        ['while (x) /a/.test(s) && y / 2; // c\n', ['// c']],
+        ['const half = (a + b) / 2; // c /\n', ['// c /']],
+        ['return /x/.test(s); // c\n', ['// c']]
+    ],
+    python: [
+        ['s = "# no"  # c\n', ['# c']],
+        ['p = r"\\d+ # no"  # c\n', ['# c']],
+        ['def f():\n    """Doc # no"""\n    return 1  # c\n', ['"""Doc # no"""', '# c']],
+        ['x = \'\'\'\n# no\n\'\'\'  # c\n', ['# c']]
+    ],
+    java: [
+        ['String s = "// no"; // c\n', ['// c']],
+        ['String t = """\n    /* no */\n    """; /* c */\n', ['/* c */']],
+        ['char c = \'"\'; // c\n', ['// c']]
+    ],
+    csharp: [
+        ['var a = @"C:\\dir\\"" // no"; // c\n', ['// c']],
+        ['var b = $"{x} // {y}"; // c\n', ['// c']],
+        ['var c = """\n  // no\n  """; // c\n', ['// c']]
+    ],
+    cpp: [
+        ['auto s = R"x(a )" // no)x"; // c\n', ['// c']],
+        ['auto t = u8R"(/* no */)"; /* c */\n', ['/* c */']],
+        ['char q = \'"\'; // c\n', ['// c']]
+    ],
+    html: [
+        ['<script><![CDATA[ <!-- no --> ]]></script> <!-- c -->\n', ['<!-- c -->']]
+    ],
+    css: [
+        ['a::after { content: "/* no */"; } /* c */\n', ['/* c */']]
+    ],
+    go: [
+        ['s := `// no\n/* no */` // c\n', ['// c']],
+        ['r := \'"\' // c\n', ['// c']]
+    ],
+    rust: [
+        ['let s = r#"a "// no" b"#; // c\n', ['// c']],
+        ['let q = \'"\'; // c\n', ['// c']],
+        ['fn f<\'a>(x: &\'a str) {} /* outer /* inner */ still */\n', ['/* outer /* inner */ still */']]
+    ],
+    ruby: [
+        ['s = "#{x} # no" # c\n', ['# c']],
+        ['w = %w(a # no) # c\n', ['# c']],
+        ['text = <<~EOS\n  # no\nEOS\nputs text # c\n', ['# c']],
+        ['ok = true if /#/ =~ s # c\n', ['# c']]
+    ],
+    php: [
+        ['$s = "{$a[\'#\']} // no"; // c\n', ['// c']],
+        ['#[Attribute]\nclass A {} # c\n', ['# c']],
+        ['$t = <<<EOT\n    // no\n    EOT;\n// c\n', ['// c']]
+    ],
+    shell: [
+        ['echo "$# # no" \'# no\' # c\n', ['# c']],
+        ['cat <<EOF\n# no\nEOF\necho ${#x} # c\n', ['# c']]
+    ],
+    sql: [
+        ['SELECT \'it\'\'s -- no\'; -- c\n', ['-- c']],
+        ['CREATE FUNCTION f() AS $body$ -- no $body$; /* c */\n', ['/* c */']]
+    ],
+    yaml: [
+        ['url: http://example.com/#anchor # c\n', ['# c']],
+        ['text: |\n  # no\n  line\nkey: "# no" # c\n', ['# c']]
+    ],
+    lua: [
+        ['local s = [==[ -- no ]] ]==] -- c\n', ['-- c']],
+        ['--[[ c\n]] x = "-- no"\n', ['--[[ c\n]]']]
+    ],
+    kotlin: [
+        ['val s = "${a + "// no"} // no" // c\n', ['// c']],
+        ['val t = """\n    /* no */ ${x}\n""" /* c /* nested */ */\n', ['/* c /* nested */ */']]
+    ],
+    swift: [
+        ['let s = #"a "// no" b"# // c\n', ['// c']],
+        ['let t = """\n    // no\n    """ /* c /* nested */ */\n', ['/* c /* nested */ */']]
+    ],
+    haskell: [
+        ['x --> y = x -- c\n', ['-- c']],
+        ['{-# LANGUAGE GADTs #-}\ns = "-- no" {- c {- nested -} -}\n', ['{- c {- nested -} -}']]
+    ],
+    scss: [
+        ['a { background: url(http://example.com/a.png); } // c\n', ['// c']],
+        ['$s: "// no"; /* c */\n', ['/* c */']]
+    ]
+};
+
+Object.entries(CASES).forEach(([name, cases]) => {
+    test(`tokenizer: ${name} strings and literals are not comments`, () => {
+        cases.forEach(([source, expected]) => {
+            assert.deepStrictEqual(commentTexts(source, syntaxes[name]), expected, source);
+        });
+    });
+});
+
+test('tokenizer: every syntax has cases', () => {
+    assert.deepStrictEqual(Object.keys(syntaxes).filter(name => !CASES[name]), []);
+});
+
+test('tokenizer: a `/` after postfix `++` or `--` is a division', () => {
+    assert.deepStrictEqual(commentTexts('x = a++ / 2 // c\n'), ['// c']);
+    assert.deepStrictEqual(commentTexts('x = a[0]-- / 2 // c\n'), ['// c']);
+    assert.deepStrictEqual(commentTexts('x = f(a)++ / 2 /* c */\n'), ['/* c */']);
+});